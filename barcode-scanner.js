@@ -0,0 +1,45 @@
+// barcode-scanner.js - SERIAL BARCODE SCANNERS
+//
+// Scanners in serial (or USB virtual COM) mode send each code followed by
+// CR and/or LF. Codes that start with an AIM symbology identifier
+// (]E0 for EAN-13, ]C1 for GS1-128, ...) have it stripped and reported.
+const SerialInput = require('./serial-input.js');
+
+// AIM identifier code letter -> symbology
+const AIM_SYMBOLOGIES = {
+    A: 'CODE39',
+    C: 'CODE128',
+    E: 'EAN',
+    F: 'CODABAR',
+    G: 'CODE93',
+    I: 'ITF',
+    L: 'PDF417',
+    Q: 'QRCODE',
+    d: 'DATAMATRIX',
+    e: 'GS1_DATABAR'
+};
+
+const AIM_ID = /^\](.)(.)/;
+
+/*
+ * Events: 'scan' ({ data, symbology, at }), plus those of SerialInput
+ */
+class BarcodeScanner extends SerialInput {
+    handleFrame(frame) {
+        let data = frame.toString('utf8').replace(/[\x00-\x1f\x7f]/g, '').trim();
+        let symbology = null;
+
+        const aim = AIM_ID.exec(data);
+        if (aim) {
+            symbology = AIM_SYMBOLOGIES[aim[1]] || null;
+            // ]E0 is EAN-13/UPC-A, ]E4 EAN-8
+            if (aim[1] === 'E') symbology = aim[2] === '4' ? 'EAN8' : 'EAN13';
+            data = data.slice(3);
+        }
+        if (!data) return;
+
+        this.emit('scan', { data, symbology, at: new Date().toISOString() });
+    }
+}
+
+module.exports = BarcodeScanner;
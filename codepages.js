@@ -0,0 +1,196 @@
+// codepages.js - ESC/POS CHARACTER CODE TABLES AND TEXT ENCODING
+const ESC = 0x1B;
+const FS = 0x1C;
+
+// Unassigned positions in a table
+const NONE = '\uFFFD';
+
+const CP437_HIGH =
+    'ÇüéâäàåçêëèïîìÄÅ' +
+    'ÉæÆôöòûùÿÖÜ¢£¥₧ƒ' +
+    'áíóúñÑªº¿⌐¬½¼¡«»' +
+    '░▒▓│┤╡╢╖╕╣║╗╝╜╛┐' +
+    '└┴┬├─┼╞╟╚╔╩╦╠═╬╧' +
+    '╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀' +
+    'αßΓπΣσµτΦΘΩδ∞φε∩' +
+    '≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00A0';
+
+const CP850_HIGH =
+    'ÇüéâäàåçêëèïîìÄÅ' +
+    'ÉæÆôöòûùÿÖÜø£Ø×ƒ' +
+    'áíóúñÑªº¿®¬½¼¡«»' +
+    '░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐' +
+    '└┴┬├─┼ãÃ╚╔╩╦╠═╬¤' +
+    'ðÐÊËÈıÍÎÏ┘┌█▄¦Ì▀' +
+    'ÓßÔÒõÕµþÞÚÛÙýÝ¯´' +
+    '\u00AD±‗¾¶§÷¸°¨·¹³²■\u00A0';
+
+// CP858 is CP850 with the euro sign in place of the dotless i
+const CP858_HIGH = CP850_HIGH.slice(0, 0x55) + '€' + CP850_HIGH.slice(0x56);
+
+const CP866_HIGH =
+    'АБВГДЕЖЗИЙКЛМНОП' +
+    'РСТУФХЦЧШЩЪЫЬЭЮЯ' +
+    'абвгдежзийклмноп' +
+    '░▒▓│┤╡╢╖╕╣║╗╝╜╛┐' +
+    '└┴┬├─┼╞╟╚╔╩╦╠═╬╧' +
+    '╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀' +
+    'рстуфхцчшщъыьэюя' +
+    'ЁёЄєЇїЎў°∙·√№¤■\u00A0';
+
+const CP1252_HIGH =
+    `€${NONE}‚ƒ„…†‡ˆ‰Š‹Œ${NONE}Ž${NONE}` +
+    `${NONE}‘’“”•–—˜™š›œ${NONE}žŸ` +
+    '\u00A0¡¢£¤¥¦§¨©ª«¬\u00AD®¯' +
+    '°±²³´µ¶·¸¹º»¼½¾¿' +
+    'ÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏ' +
+    'ÐÑÒÓÔÕÖ×ØÙÚÛÜÝÞß' +
+    'àáâãäåæçèéêëìíîï' +
+    'ðñòóôõö÷øùúûüýþÿ';
+
+// ESC t n table numbers (Epson numbering)
+const CODE_PAGES = {
+    CP437: { escT: 0, high: CP437_HIGH },
+    CP850: { escT: 2, high: CP850_HIGH },
+    CP1252: { escT: 16, high: CP1252_HIGH },
+    CP866: { escT: 17, high: CP866_HIGH },
+    CP858: { escT: 19, high: CP858_HIGH }
+};
+
+// Multi-byte modes selected with FS ( C (character encoding system)
+const MULTI_BYTE = {
+    UTF8: { fsC: 2 }
+};
+
+const DEFAULT_CODE_PAGE = 'CP437';
+
+// Candidates tried in order when a character is missing from the code page
+const FALLBACKS = {
+    '₹': ['Rs.'],
+    '€': ['EUR'],
+    '₧': ['Pts'],
+    '‘': ["'"], '’': ["'"], '‚': [','], '‛': ["'"],
+    '“': ['"'], '”': ['"'], '„': ['"'],
+    '–': ['-'], '—': ['-'], '−': ['-'],
+    '…': ['...'],
+    '•': ['·', '*'],
+    '™': ['TM'], '©': ['(C)'], '®': ['(R)'],
+    '×': ['x'], '÷': ['/'],
+    '✅': ['√', 'v'], '✔': ['√', 'v'], '✓': ['√', 'v'],
+    '\u00A0': [' '],
+    // Box drawing: double lines fall back to single lines, then ASCII
+    '═': ['─', '='], '║': ['│', '|'],
+    '╔': ['┌', '+'], '╗': ['┐', '+'], '╚': ['└', '+'], '╝': ['┘', '+'],
+    '╠': ['├', '+'], '╣': ['┤', '+'], '╦': ['┬', '+'], '╩': ['┴', '+'], '╬': ['┼', '+'],
+    '─': ['-'], '│': ['|'],
+    '┌': ['+'], '┐': ['+'], '└': ['+'], '┘': ['+'],
+    '├': ['+'], '┤': ['+'], '┬': ['+'], '┴': ['+'], '┼': ['+']
+};
+
+const tables = new Map();
+
+function normalizeName(codePage) {
+    const name = String(codePage || DEFAULT_CODE_PAGE).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (name === 'UTF8') return name;
+    if (/^\d+$/.test(name)) return `CP${name}`;
+    if (name === 'WPC1252' || name === 'WINDOWS1252') return 'CP1252';
+    return name;
+}
+
+// char -> byte for one code page, built on first use
+function getTable(name) {
+    if (!tables.has(name)) {
+        const table = new Map();
+        [...CODE_PAGES[name].high].forEach((char, i) => {
+            if (char !== NONE) table.set(char, 0x80 + i);
+        });
+        tables.set(name, table);
+    }
+    return tables.get(name);
+}
+
+function resolve(codePage) {
+    const name = normalizeName(codePage);
+    if (!CODE_PAGES[name] && !MULTI_BYTE[name]) {
+        throw new Error(`Unsupported code page: ${codePage} (expected ${module.exports.SUPPORTED.join(', ')})`);
+    }
+    return name;
+}
+
+// Command that switches the printer to this code page or encoding
+function select(codePage) {
+    const name = resolve(codePage);
+    if (MULTI_BYTE[name]) {
+        return Buffer.from([FS, 0x28, 0x43, 0x02, 0x00, 0x30, MULTI_BYTE[name].fsC]);
+    }
+    return Buffer.from([ESC, 0x74, CODE_PAGES[name].escT]);
+}
+
+function encodeChar(char, table, depth = 0) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+        return [code];
+    }
+    if (table.has(char)) {
+        return [table.get(char)];
+    }
+    if (depth > 2) {
+        return [0x3F];
+    }
+
+    for (const candidate of FALLBACKS[char] || []) {
+        const bytes = [...candidate].map(c => encodeChar(c, table, depth + 1)).flat();
+        if (!bytes.includes(0x3F)) {
+            return bytes;
+        }
+    }
+
+    // Accented letters missing from the table lose their accents
+    const stripped = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    if (stripped !== char && stripped.length > 0) {
+        return [...stripped].map(c => encodeChar(c, table, depth + 1)).flat();
+    }
+
+    return [0x3F];
+}
+
+// Text bytes for the code page (without the selection command)
+function encode(text, codePage) {
+    const name = resolve(codePage);
+    if (MULTI_BYTE[name]) {
+        return Buffer.from(String(text), 'utf8');
+    }
+
+    const table = getTable(name);
+    const bytes = [];
+    for (const char of String(text)) {
+        bytes.push(...encodeChar(char, table));
+    }
+    return Buffer.from(bytes);
+}
+
+// Text for bytes printed in the code page (the inverse of encode, for previews)
+function decode(bytes, codePage) {
+    const name = resolve(codePage);
+    if (MULTI_BYTE[name]) {
+        return Buffer.from(bytes).toString('utf8');
+    }
+
+    const high = [...CODE_PAGES[name].high];
+    return [...bytes].map(byte => (byte < 0x80 ? String.fromCharCode(byte) : high[byte - 0x80])).join('');
+}
+
+// Code page for an ESC t n table number, or null for tables we do not know
+function fromTableNumber(n) {
+    return Object.keys(CODE_PAGES).find(name => CODE_PAGES[name].escT === n) || null;
+}
+
+module.exports = {
+    DEFAULT_CODE_PAGE,
+    SUPPORTED: [...Object.keys(CODE_PAGES), ...Object.keys(MULTI_BYTE)],
+    resolve,
+    select,
+    encode,
+    decode,
+    fromTableNumber
+};
@@ -0,0 +1,377 @@
+// config-store.js - AGENT CONFIGURATION (JSON file in the agent data directory)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const codepages = require('./codepages.js');
+const ReceiptBuilder = require('./receipt-builder.js');
+const labelBuilder = require('./label-builder.js');
+
+const CONFIG_VERSION = 2;
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const ROLE_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+
+const DEFAULTS = {
+    version: CONFIG_VERSION,
+    // WebSocket server
+    server: {
+        port: 9978,
+        // Agent token for local integrations, generated on first run
+        token: null,
+        logLevel: 'info'
+    },
+    // Browser origins allowed to connect with the agent token
+    allowedOrigins: [],
+    // Paired clients: { id, name, origin, tokenHash, createdAt, lastSeenAt }
+    clients: [],
+    // Launch the agent when the user logs in
+    autoStart: true,
+    // Used for printers that do not set their own
+    printerDefaults: {
+        paperWidth: '80mm',
+        codePage: 'CP437'
+    },
+    // Default retry policy for printers without their own
+    retry: {
+        retries: 1,
+        backoffMs: 1000,
+        backoffFactor: 2,
+        maxBackoffMs: 30000
+    },
+    // Per-printer settings, keyed by printer name
+    printers: {},
+    // Named failover groups: { "front-counter": { printers: ["Primary", "Backup"] } }
+    groups: {},
+    // Logical roles the POS prints to, mapped to a printer or group name (null = unassigned)
+    roles: {
+        receipt: null,
+        kitchen: null,
+        bar: null,
+        label: null
+    },
+    // Polling for printers with drawer.monitor enabled
+    drawerMonitor: {
+        intervalMs: 1000
+    },
+    // Status polling of direct printers while a client subscribes to printer events
+    printerMonitor: {
+        intervalMs: 15000
+    },
+    // Customer pole display (null = none): transport settings as for a
+    // direct printer plus the display options in customer-display.js
+    customerDisplay: null,
+    // Serial scanners and scales, keyed by name: { kind: 'scanner' | 'scale',
+    // device and line settings, and for scales protocol and unit }
+    inputDevices: {}
+};
+
+// MIGRATIONS[n] upgrades a stored config from version n to n + 1
+const MIGRATIONS = [
+    // 0 -> 1: unversioned files predate the server settings, which DEFAULTS fills in
+    (data) => data,
+    // 1 -> 2: every install shipped with the same token; pairing replaces it
+    (data) => {
+        if (data.server && data.server.token === 'supersecret') {
+            delete data.server.token;
+        }
+        return data;
+    }
+];
+
+function migrate(stored, log) {
+    let data = stored;
+    let version = Number.isInteger(data.version) ? data.version : 0;
+
+    if (version > CONFIG_VERSION) {
+        log(`⚠️ Configuration version ${version} is newer than this agent (${CONFIG_VERSION})`);
+        return data;
+    }
+
+    while (version < CONFIG_VERSION) {
+        data = MIGRATIONS[version](data);
+        version++;
+        data.version = version;
+    }
+    return data;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(base, override) {
+    const result = { ...base };
+    Object.keys(override || {}).forEach(key => {
+        result[key] = isPlainObject(base[key]) && isPlainObject(override[key])
+            ? merge(base[key], override[key])
+            : override[key];
+    });
+    return result;
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// "https://pos.example.com/app" -> "https://pos.example.com"
+function normalizeOrigin(value) {
+    let url;
+    try {
+        url = new URL(String(value).trim());
+    } catch (error) {
+        throw new Error(`Invalid origin: ${value}`);
+    }
+    if (url.origin === 'null') {
+        throw new Error(`Invalid origin: ${value}`);
+    }
+    return url.origin;
+}
+
+class ConfigStore {
+    constructor(options = {}) {
+        this.filePath = options.filePath;
+        this.log = options.log || (() => {});
+        this.data = clone(DEFAULTS);
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return this;
+        }
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            const storedVersion = stored.version;
+            this.data = merge(clone(DEFAULTS), migrate(stored, this.log));
+
+            if (storedVersion !== this.data.version) {
+                this.log(`🔧 Configuration migrated to version ${this.data.version}`);
+                this.save();
+            }
+        } catch (error) {
+            this.log(`⚠️ Could not read configuration (${error.message}), using defaults`);
+        }
+        return this;
+    }
+
+    // Each install gets its own agent token instead of a shared default
+    ensureToken() {
+        if (!this.data.server.token) {
+            this.resetToken();
+            this.log('🔑 Generated a new agent token');
+        }
+        return this;
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempFile = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tempFile, this.filePath);
+    }
+
+    // Dotted keys: get('retry.retries')
+    get(key) {
+        return clone(key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), this.data));
+    }
+
+    set(key, value) {
+        const parts = key.split('.');
+        const last = parts.pop();
+        let node = this.data;
+
+        parts.forEach(part => {
+            if (!isPlainObject(node[part])) {
+                node[part] = {};
+            }
+            node = node[part];
+        });
+
+        if (value === undefined) {
+            delete node[last];
+        } else {
+            node[last] = clone(value);
+        }
+        this.save();
+    }
+
+    /* ============================
+       AGENT SETTINGS
+    ============================ */
+    getSettings() {
+        return {
+            port: this.data.server.port,
+            token: this.data.server.token,
+            logLevel: this.data.server.logLevel,
+            allowedOrigins: clone(this.data.allowedOrigins),
+            autoStart: this.data.autoStart,
+            printerDefaults: clone(this.data.printerDefaults)
+        };
+    }
+
+    // Validates and applies a partial settings object; returns the changed keys
+    updateSettings(changes = {}) {
+        const next = this.getSettings();
+        const changed = [];
+
+        if (changes.port !== undefined) {
+            const port = Number(changes.port);
+            if (!Number.isInteger(port) || port < 1024 || port > 65535) {
+                throw new Error(`Invalid port: ${changes.port} (expected 1024-65535)`);
+            }
+            next.port = port;
+        }
+        if (changes.token !== undefined) {
+            if (typeof changes.token !== 'string' || changes.token.length < 8) {
+                throw new Error('Token must be at least 8 characters');
+            }
+            next.token = changes.token;
+        }
+        if (changes.logLevel !== undefined) {
+            if (!LOG_LEVELS.includes(changes.logLevel)) {
+                throw new Error(`Invalid log level: ${changes.logLevel} (expected ${LOG_LEVELS.join(', ')})`);
+            }
+            next.logLevel = changes.logLevel;
+        }
+        if (changes.allowedOrigins !== undefined) {
+            if (!Array.isArray(changes.allowedOrigins)) {
+                throw new Error('Allowed origins must be a list');
+            }
+            next.allowedOrigins = [...new Set(changes.allowedOrigins.map(normalizeOrigin))];
+        }
+        if (changes.autoStart !== undefined) {
+            next.autoStart = !!changes.autoStart;
+        }
+        if (changes.printerDefaults !== undefined) {
+            const defaults = merge(next.printerDefaults, changes.printerDefaults);
+            ReceiptBuilder.resolveColumns({ paperWidth: defaults.paperWidth });
+            defaults.codePage = codepages.resolve(defaults.codePage);
+            next.printerDefaults = defaults;
+        }
+
+        const current = this.getSettings();
+        Object.keys(next).forEach(key => {
+            if (JSON.stringify(next[key]) !== JSON.stringify(current[key])) {
+                changed.push(key);
+            }
+        });
+
+        this.data.server = { ...this.data.server, port: next.port, token: next.token, logLevel: next.logLevel };
+        this.data.allowedOrigins = next.allowedOrigins;
+        this.data.autoStart = next.autoStart;
+        this.data.printerDefaults = next.printerDefaults;
+        this.save();
+
+        return changed;
+    }
+
+    resetToken() {
+        this.data.server.token = crypto.randomBytes(24).toString('base64url');
+        this.save();
+        return this.data.server.token;
+    }
+
+    /* ============================
+       PRINTERS
+    ============================ */
+    getPrinterSettings(printerName) {
+        return clone(this.data.printers[printerName] || {});
+    }
+
+    setPrinterSettings(printerName, settings) {
+        if (!printerName) {
+            throw new Error('Missing printer name');
+        }
+        // escpos (receipt printers, the default), zpl or tspl (label printers)
+        if (settings && settings.language !== undefined && !labelBuilder.LANGUAGES.includes(settings.language)) {
+            throw Object.assign(new Error(`Invalid printer language: ${settings.language} (expected ${labelBuilder.LANGUAGES.join(', ')})`), { code: 'INVALID_PAYLOAD' });
+        }
+        this.data.printers[printerName] = this.mergePrinterSettings(printerName, settings);
+        this.save();
+        return this.getPrinterSettings(printerName);
+    }
+
+    // What setPrinterSettings would store, without storing it
+    mergePrinterSettings(printerName, settings) {
+        return merge(this.getPrinterSettings(printerName), settings || {});
+    }
+
+    removePrinter(printerName) {
+        delete this.data.printers[printerName];
+        this.save();
+    }
+
+    // Printers the agent talks to directly (not through the OS spooler)
+    getDirectPrinters() {
+        return Object.keys(this.data.printers)
+            .filter(name => this.data.printers[name].transport)
+            .map(name => ({ name, ...clone(this.data.printers[name]) }));
+    }
+
+    getRetryPolicy(printerName) {
+        return merge(this.data.retry, this.getPrinterSettings(printerName).retry || {});
+    }
+
+    /* ============================
+       FAILOVER GROUPS
+    ============================ */
+    getGroups() {
+        return clone(this.data.groups);
+    }
+
+    setGroup(name, printers) {
+        if (!name) {
+            throw new Error('Missing group name');
+        }
+
+        if (!printers || printers.length === 0) {
+            delete this.data.groups[name];
+        } else {
+            if (!Array.isArray(printers) || printers.some(p => typeof p !== 'string' || !p)) {
+                throw new Error('Group printers must be a list of printer names');
+            }
+            this.data.groups[name] = { printers: [...printers] };
+        }
+        this.save();
+    }
+
+    // A group name expands to its failover list; anything else is a printer
+    resolvePrinters(name) {
+        const group = this.data.groups[name];
+        return group ? [...group.printers] : [name];
+    }
+
+    /* ============================
+       PRINTER ROLES
+    ============================ */
+    getRoles() {
+        return clone(this.data.roles);
+    }
+
+    // printerName may be a printer or a group; null unassigns the role
+    setRole(role, printerName) {
+        if (typeof role !== 'string' || !ROLE_PATTERN.test(role)) {
+            throw Object.assign(new Error(`Invalid role name: ${role} (lowercase letters, digits, "-" and "_")`), { code: 'INVALID_PAYLOAD' });
+        }
+        if (printerName !== null && (typeof printerName !== 'string' || !printerName)) {
+            throw Object.assign(new Error('Role printer must be a printer name or null'), { code: 'INVALID_PAYLOAD' });
+        }
+        this.data.roles[role] = printerName;
+        this.save();
+    }
+
+    resolveRole(role) {
+        if (!Object.prototype.hasOwnProperty.call(this.data.roles, role)) {
+            throw Object.assign(new Error(`Unknown role: ${role}`), { code: 'INVALID_PAYLOAD' });
+        }
+        if (!this.data.roles[role]) {
+            throw Object.assign(new Error(`No printer assigned to the ${role} role`), { code: 'ROLE_NOT_ASSIGNED' });
+        }
+        return this.data.roles[role];
+    }
+}
+
+ConfigStore.DEFAULTS = DEFAULTS;
+ConfigStore.CONFIG_VERSION = CONFIG_VERSION;
+ConfigStore.LOG_LEVELS = LOG_LEVELS;
+
+module.exports = ConfigStore;
@@ -0,0 +1,264 @@
+// customer-display.js - CUSTOMER POLE DISPLAY (2x20 VFD/LCD) DRIVER
+//
+// Drives a character display through any printer transport (usually a serial
+// DeviceTransport). Two command sets are understood:
+//   escpos - Epson customer display commands (US $ x y cursor moves)
+//   cd5220 - the CD5220 set most generic displays emulate (ESC Q A/B line writes)
+// Lines longer than the display scroll as a marquee; after idleAfterMs
+// without an update the welcome message comes back.
+const codepages = require('./codepages.js');
+
+const COMMAND_SETS = ['escpos', 'cd5220'];
+const ALIGNMENTS = ['left', 'center', 'right'];
+
+const DEFAULT_COLUMNS = 20;
+const DEFAULT_ROWS = 2;
+const DEFAULT_IDLE_AFTER = 60 * 1000;
+const DEFAULT_SCROLL_INTERVAL = 400;
+// Blank columns between the end of a scrolling line and its next pass
+const SCROLL_GAP = '   ';
+
+const ESC = 0x1B;
+const US = 0x1F;
+const CLEAR = 0x0C;
+const CR = 0x0D;
+
+const COMMANDS = {
+    escpos: {
+        // Initialize, then overwrite mode (no automatic vertical scroll)
+        init: () => Buffer.from([ESC, 0x40, US, 0x01]),
+        clear: () => Buffer.from([CLEAR]),
+        line: (row, text) => Buffer.concat([Buffer.from([US, 0x24, 1, row + 1]), text])
+    },
+    cd5220: {
+        // Initialize, then overwrite mode
+        init: () => Buffer.from([ESC, 0x40, ESC, 0x11]),
+        clear: () => Buffer.from([CLEAR]),
+        line: (row, text) => Buffer.concat([Buffer.from([ESC, 0x51, row === 0 ? 0x41 : 0x42]), text, Buffer.from([CR])])
+    }
+};
+
+// Errors carry a protocol error code (see protocol.js)
+function displayError(message, code) {
+    return Object.assign(new Error(message), { code });
+}
+
+function integer(value, fallback, min, max, label) {
+    const result = value === undefined || value === null ? fallback : Number(value);
+    if (!Number.isInteger(result) || result < min || result > max) {
+        throw new Error(`Invalid ${label}: ${value} (expected ${min}-${max})`);
+    }
+    return result;
+}
+
+function singleLine(text) {
+    return String(text === undefined || text === null ? '' : text).replace(/[\x00-\x1f\x7f]+/g, ' ');
+}
+
+class CustomerDisplay {
+    constructor(options = {}) {
+        if (!options.transport) {
+            throw new Error('Customer display requires a transport');
+        }
+
+        this.transport = options.transport;
+        this.commandSet = options.commandSet || 'escpos';
+        if (!COMMAND_SETS.includes(this.commandSet)) {
+            throw new Error(`Invalid display command set: ${options.commandSet} (expected ${COMMAND_SETS.join(', ')})`);
+        }
+        this.columns = integer(options.columns, DEFAULT_COLUMNS, 8, 40, 'display columns');
+        // CD5220 only addresses an upper and a lower line
+        this.rows = integer(options.rows, DEFAULT_ROWS, 1, this.commandSet === 'cd5220' ? 2 : 4, 'display rows');
+        this.codePage = codepages.resolve(options.codePage);
+        this.welcome = (Array.isArray(options.welcome) ? options.welcome : [options.welcome === undefined ? 'WELCOME' : options.welcome])
+            .slice(0, this.rows).map(singleLine);
+        this.idleAfterMs = integer(options.idleAfterMs, DEFAULT_IDLE_AFTER, 0, 24 * 60 * 60 * 1000, 'idle timeout');
+        this.scrollIntervalMs = integer(options.scrollIntervalMs, DEFAULT_SCROLL_INTERVAL, 100, 5000, 'scroll interval');
+        this.log = options.log || (() => {});
+
+        // Full text of each row (before scrolling), and the scroll position
+        this.lines = [];
+        this.offset = 0;
+        this.scrollTimer = null;
+        this.idleTimer = null;
+        this.initialized = false;
+        // Writes go out one at a time, in order
+        this.writing = Promise.resolve();
+        this.busy = false;
+        this.failing = false;
+    }
+
+    get commands() {
+        return COMMANDS[this.commandSet];
+    }
+
+    start() {
+        return this.showWelcome();
+    }
+
+    stop() {
+        clearInterval(this.scrollTimer);
+        clearTimeout(this.idleTimer);
+        this.scrollTimer = null;
+        this.idleTimer = null;
+    }
+
+    /* ============================
+       CONTENT
+    ============================ */
+    // lines: one string per row (extra rows are dropped, missing ones blank)
+    showText(lines, options = {}) {
+        const align = options.align || 'left';
+        if (!ALIGNMENTS.includes(align)) {
+            throw displayError(`Invalid alignment: ${align} (expected ${ALIGNMENTS.join(', ')})`, 'INVALID_PAYLOAD');
+        }
+        if (!Array.isArray(lines) || lines.length === 0) {
+            throw displayError('Display text needs at least one line', 'INVALID_PAYLOAD');
+        }
+        if (lines.length > this.rows) {
+            throw displayError(`The display has ${this.rows} line(s), got ${lines.length}`, 'INVALID_PAYLOAD');
+        }
+
+        const result = this.show(lines.map(line => ({ text: singleLine(line), align })));
+        this.resetIdle();
+        return result;
+    }
+
+    // "TOTAL" on the top line and the amount right-aligned below it
+    // (side by side on a one-line display)
+    showTotal(amount, options = {}) {
+        const value = Number(amount);
+        if (!Number.isFinite(value)) {
+            throw displayError(`Invalid total: ${amount}`, 'INVALID_PAYLOAD');
+        }
+
+        const label = singleLine(options.label === undefined ? 'TOTAL' : options.label);
+        const formatted = `${singleLine(options.currency || '')}${value.toFixed(2)}`;
+        const lines = this.rows === 1
+            ? [{ text: `${label} ${formatted.padStart(Math.max(this.columns - label.length - 1, 0))}`, align: 'left' }]
+            : [{ text: label, align: 'left' }, { text: formatted, align: 'right' }];
+
+        const result = this.show(lines);
+        this.resetIdle();
+        return result;
+    }
+
+    clear() {
+        this.lines = [];
+        this.stopScrolling();
+        const result = this.enqueue(() => this.commands.clear());
+        this.resetIdle();
+        return result;
+    }
+
+    showWelcome() {
+        if (this.welcome.every(line => !line)) {
+            return this.clear();
+        }
+        return this.show(this.welcome.map(text => ({ text, align: 'center' })));
+    }
+
+    show(lines) {
+        this.lines = lines;
+        this.offset = 0;
+        this.stopScrolling();
+        if (lines.some(line => line.text.length > this.columns)) {
+            this.scrollTimer = setInterval(() => this.scroll(), this.scrollIntervalMs);
+        }
+
+        // Rows the new content leaves out are blanked, not left over
+        return this.enqueue(() => Buffer.concat(
+            Array.from({ length: this.rows }, (unused, row) => this.renderRow(row))
+        ));
+    }
+
+    resetIdle() {
+        clearTimeout(this.idleTimer);
+        if (this.idleAfterMs > 0) {
+            this.idleTimer = setTimeout(() => {
+                this.showWelcome().catch(() => {});
+            }, this.idleAfterMs);
+        }
+    }
+
+    /* ============================
+       RENDERING
+    ============================ */
+    fit(line) {
+        const text = line.text;
+        if (text.length > this.columns) {
+            const loop = text + SCROLL_GAP;
+            const start = this.offset % loop.length;
+            return (loop + loop).slice(start, start + this.columns);
+        }
+        if (line.align === 'right') {
+            return text.padStart(this.columns);
+        }
+        if (line.align === 'center') {
+            return text.padStart(Math.floor((this.columns + text.length) / 2)).padEnd(this.columns);
+        }
+        return text.padEnd(this.columns);
+    }
+
+    renderRow(row) {
+        const line = this.lines[row] || { text: '', align: 'left' };
+        return this.commands.line(row, codepages.encode(this.fit(line), this.codePage));
+    }
+
+    // Only the scrolling rows are rewritten; a tick is skipped while the
+    // previous write is still going out (slow serial lines)
+    scroll() {
+        if (this.busy) return;
+        this.offset++;
+
+        const rows = this.lines
+            .map((line, row) => (line.text.length > this.columns ? row : -1))
+            .filter(row => row !== -1);
+        this.enqueue(() => Buffer.concat(rows.map(row => this.renderRow(row)))).catch(() => {});
+    }
+
+    stopScrolling() {
+        clearInterval(this.scrollTimer);
+        this.scrollTimer = null;
+    }
+
+    /* ============================
+       OUTPUT
+    ============================ */
+    // `build` runs when the write's turn comes, so it sees the latest content
+    enqueue(build) {
+        const write = this.writing.then(async () => {
+            this.busy = true;
+            try {
+                const parts = [build()];
+                if (!this.initialized) {
+                    parts.unshift(this.commands.init());
+                }
+                await this.transport.send(Buffer.concat(parts));
+                this.initialized = true;
+
+                if (this.failing) {
+                    this.failing = false;
+                    this.log(`✅ Customer display on ${this.transport.address} is back`);
+                }
+            } catch (error) {
+                // The display may have been power cycled; initialize it again
+                this.initialized = false;
+                if (!this.failing) {
+                    this.failing = true;
+                    this.log(`⚠️ Customer display on ${this.transport.address} failed: ${error.message}`, 'warn');
+                }
+                throw error;
+            } finally {
+                this.busy = false;
+            }
+        });
+
+        this.writing = write.catch(() => {});
+        return write;
+    }
+}
+
+CustomerDisplay.COMMAND_SETS = COMMAND_SETS;
+
+module.exports = CustomerDisplay;
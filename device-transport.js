@@ -0,0 +1,346 @@
+// device-transport.js - DIRECT DEVICE TRANSPORT (USB PRINTER CLASS AND SERIAL PORTS)
+//
+// Writes straight to a device node: /dev/usb/lp0, /dev/ttyUSB0, /dev/cu.usbserial-*
+// or COM3 / LPT1 on Windows. Nothing else is accepted, so a printer setting
+// cannot point the agent at a disk or another node under /dev. Serial ports
+// (ttys) are configured with stty (mode on Windows) before each use. Status
+// queries need a tty on macOS or Linux, which is opened as a non-blocking
+// stream.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tty = require('tty');
+const { execFile } = require('child_process');
+
+const BAUD_RATES = [1200, 2400, 4800, 9600, 19200, 38400, 57600, 115200];
+const PARITIES = ['none', 'even', 'odd'];
+const FLOW_CONTROLS = ['none', 'rtscts', 'xonxoff'];
+
+const DEFAULT_BAUD_RATE = 9600;
+const DEFAULT_WRITE_TIMEOUT = 10000;
+
+// Serial ttys, USB printer class nodes and macOS call-out devices; on
+// Windows serial and parallel (printer) ports
+const UNIX_DEVICE = /^\/dev\/(?:tty[A-Za-z0-9_-][A-Za-z0-9._-]*|usb\/lp\d{1,3}|cu\.[A-Za-z0-9_-][A-Za-z0-9._-]*)$/;
+const WINDOWS_DEVICE = /^(?:\\\\\.\\)?((?:COM|LPT)\d{1,3})$/i;
+
+// Errors carry a protocol error code (see protocol.js)
+function transportError(message, code) {
+    return Object.assign(new Error(message), { code });
+}
+
+function choice(value, allowed, fallback, label) {
+    const result = value === undefined || value === null ? fallback : value;
+    if (!allowed.includes(result)) {
+        throw new Error(`Invalid ${label}: ${value} (expected ${allowed.join(', ')})`);
+    }
+    return result;
+}
+
+function run(command, args) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { timeout: 5000, windowsHide: true }, (error, stdout, stderr) => {
+            if (error) {
+                reject(transportError(`${command} failed: ${(stderr || error.message).trim()}`, 'PRINT_FAILED'));
+            } else {
+                resolve(stdout);
+            }
+        });
+    });
+}
+
+class DeviceTransport {
+    constructor(options = {}) {
+        const device = String(options.device || '');
+        if (!UNIX_DEVICE.test(device) && !WINDOWS_DEVICE.test(device)) {
+            throw new Error(`Invalid device: ${options.device || '(none)'} (expected /dev/tty*, /dev/usb/lp*, /dev/cu.* or COMn / LPTn)`);
+        }
+
+        this.device = WINDOWS_DEVICE.test(device) ? WINDOWS_DEVICE.exec(device)[1].toUpperCase() : device;
+        this.baudRate = choice(options.baudRate === undefined ? undefined : Number(options.baudRate), BAUD_RATES, DEFAULT_BAUD_RATE, 'baud rate');
+        this.dataBits = choice(options.dataBits, [7, 8], 8, 'data bits');
+        this.parity = choice(options.parity, PARITIES, 'none', 'parity');
+        this.stopBits = choice(options.stopBits, [1, 2], 1, 'stop bits');
+        this.flowControl = choice(options.flowControl, FLOW_CONTROLS, 'none', 'flow control');
+        // false for one-way links (e.g. TX-only cables) so status is not queried
+        this.bidirectional = options.bidirectional !== false;
+        this.writeTimeout = options.writeTimeout || DEFAULT_WRITE_TIMEOUT;
+    }
+
+    get address() {
+        return this.device;
+    }
+
+    // Path to open; Windows devices go through the \\.\ namespace (COM10 and up need it)
+    get path() {
+        return os.platform() === 'win32' && !this.device.startsWith('/') ? `\\\\.\\${this.device}` : this.device;
+    }
+
+    /* ============================
+       LINE SETTINGS
+    ============================ */
+    sttyArgs() {
+        const parity = { none: ['-parenb'], even: ['parenb', '-parodd'], odd: ['parenb', 'parodd'] }[this.parity];
+        return [
+            String(this.baudRate),
+            `cs${this.dataBits}`,
+            ...parity,
+            this.stopBits === 2 ? 'cstopb' : '-cstopb',
+            this.flowControl === 'rtscts' ? 'crtscts' : '-crtscts',
+            ...(this.flowControl === 'xonxoff' ? ['ixon', 'ixoff'] : ['-ixon', '-ixoff']),
+            'raw',
+            '-echo'
+        ];
+    }
+
+    // Serial line settings; only called for ttys and COM ports
+    configure() {
+        const platform = os.platform();
+        if (platform === 'win32') {
+            return run('mode', [
+                `${this.device}:`,
+                `BAUD=${this.baudRate}`,
+                `PARITY=${this.parity[0]}`,
+                `DATA=${this.dataBits}`,
+                `STOP=${this.stopBits}`,
+                `XON=${this.flowControl === 'xonxoff' ? 'on' : 'off'}`,
+                `OCTS=${this.flowControl === 'rtscts' ? 'on' : 'off'}`,
+                `RTS=${this.flowControl === 'rtscts' ? 'hs' : 'on'}`
+            ]);
+        }
+        // BSD stty (macOS) names the device with -f, GNU stty with -F
+        return run('stty', [platform === 'darwin' ? '-f' : '-F', this.device, ...this.sttyArgs()]);
+    }
+
+    async open(flags) {
+        try {
+            return await fs.promises.open(this.path, flags);
+        } catch (error) {
+            if (['EACCES', 'EPERM'].includes(error.code)) {
+                throw transportError(`No permission to open ${this.device} (on Linux, add the user to the "lp" or "dialout" group)`, 'PRINT_FAILED');
+            }
+            if (error.code === 'EBUSY') {
+                throw transportError(`${this.device} is in use by another program`, 'PRINTER_OFFLINE');
+            }
+            throw transportError(`Cannot open ${this.device}: ${error.message}`, 'PRINTER_OFFLINE');
+        }
+    }
+
+    // On macOS/Linux a tty is used as a stream, which can be abandoned on a
+    // timeout (a blocked write on a plain file handle could not be).
+    // Resolves with { stream } for a tty and { handle } for anything else.
+    async openDevice() {
+        if (os.platform() === 'win32') {
+            if (this.device.startsWith('COM')) await this.configure();
+            return { handle: await this.open('w') };
+        }
+
+        const handle = await this.open('r+');
+        if (!tty.isatty(handle.fd)) {
+            return { handle };
+        }
+
+        try {
+            await this.configure();
+        } catch (error) {
+            await handle.close();
+            throw error;
+        }
+        // libuv reopens the tty for the stream; our own descriptor closes with it
+        const stream = new tty.ReadStream(handle.fd);
+        stream.once('close', () => handle.close().catch(() => {}));
+        return { stream };
+    }
+
+    // Long-lived read stream for input devices (scanners, scales). A tty's
+    // stream can also be written to, for request/response protocols.
+    async openInput() {
+        if (os.platform() === 'win32') {
+            if (this.device.startsWith('COM')) await this.configure();
+            return (await this.open('r+')).createReadStream();
+        }
+
+        const { stream, handle } = await this.openDevice();
+        return stream || handle.createReadStream();
+    }
+
+    /* ============================
+       PRINTING
+    ============================ */
+    async send(buffer) {
+        const { stream, handle } = await this.openDevice();
+        if (stream) {
+            return this.writeStream(stream, buffer);
+        }
+
+        let timer;
+        try {
+            await Promise.race([
+                handle.write(buffer),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(transportError(`Write to ${this.device} timed out after ${this.writeTimeout}ms`, 'TIMEOUT')), this.writeTimeout);
+                })
+            ]);
+            return `${buffer.length} bytes sent to ${this.device}`;
+        } catch (error) {
+            throw error.code === 'TIMEOUT' ? error : transportError(`Write to ${this.device} failed: ${error.message}`, 'PRINTER_OFFLINE');
+        } finally {
+            clearTimeout(timer);
+            handle.close().catch(() => {});
+        }
+    }
+
+    writeStream(stream, buffer) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                stream.destroy();
+                reject(transportError(`Write to ${this.device} timed out after ${this.writeTimeout}ms (check flow control)`, 'TIMEOUT'));
+            }, this.writeTimeout);
+
+            stream.once('error', (error) => {
+                clearTimeout(timer);
+                stream.destroy();
+                reject(transportError(`Write to ${this.device} failed: ${error.message}`, 'PRINTER_OFFLINE'));
+            });
+            stream.write(buffer, (error) => {
+                if (error) return;
+                clearTimeout(timer);
+                stream.destroy();
+                resolve(`${buffer.length} bytes sent to ${this.device}`);
+            });
+        });
+    }
+
+    // Same contract as TcpTransport.request: one reply of `responseLength`
+    // bytes per command (DLE EOT status queries)
+    async request(commands, options = {}) {
+        if (!this.bidirectional || os.platform() === 'win32') {
+            throw transportError(`${this.device} does not support status queries`, 'NOT_SUPPORTED');
+        }
+
+        const responseLength = options.responseLength || 1;
+        const timeout = options.timeout || this.writeTimeout;
+        const { stream, handle } = await this.openDevice();
+        if (!stream) {
+            await handle.close();
+            throw transportError(`${this.device} does not support status queries`, 'NOT_SUPPORTED');
+        }
+
+        return new Promise((resolve, reject) => {
+            const replies = [];
+            let received = Buffer.alloc(0);
+            let settled = false;
+
+            const finish = (error) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                stream.destroy();
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(replies);
+                }
+            };
+
+            const sendNext = () => {
+                if (replies.length === commands.length) {
+                    finish();
+                } else {
+                    stream.write(commands[replies.length]);
+                }
+            };
+
+            const timer = setTimeout(() => {
+                finish(transportError(`No status reply from ${this.device} within ${timeout}ms`, 'TIMEOUT'));
+            }, timeout);
+
+            stream.on('data', (chunk) => {
+                received = Buffer.concat([received, chunk]);
+                while (received.length >= responseLength && replies.length < commands.length) {
+                    replies.push(received.subarray(0, responseLength));
+                    received = received.subarray(responseLength);
+                    sendNext();
+                }
+            });
+            stream.on('error', (error) => finish(transportError(`Status query to ${this.device} failed: ${error.message}`, 'PRINTER_OFFLINE')));
+
+            sendNext();
+        });
+    }
+
+    // True if the device node exists and is writable
+    async probe() {
+        if (os.platform() === 'win32') {
+            try {
+                const handle = await this.open('r+');
+                await handle.close();
+                return true;
+            } catch (error) {
+                return false;
+            }
+        }
+
+        try {
+            await fs.promises.access(this.device, fs.constants.W_OK);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+/* ============================
+   DISCOVERY
+============================ */
+// Linux lists 8250 ports that have no UART behind them; type 0 means none
+function hasUart(name) {
+    try {
+        return fs.readFileSync(`/sys/class/tty/${name}/type`, 'utf8').trim() !== '0';
+    } catch (error) {
+        return true;
+    }
+}
+
+function listDir(directory, pattern) {
+    try {
+        return fs.readdirSync(directory).filter(name => pattern.test(name)).map(name => path.join(directory, name));
+    } catch (error) {
+        return [];
+    }
+}
+
+// [{ device, kind: 'usb' | 'serial' | 'parallel' }] for devices present on this machine
+async function listDevices() {
+    const platform = os.platform();
+
+    if (platform === 'linux') {
+        return [
+            ...listDir('/dev/usb', /^lp\d+$/).map(device => ({ device, kind: 'usb' })),
+            ...listDir('/dev', /^tty(USB|ACM)\d+$/).map(device => ({ device, kind: 'serial' })),
+            ...listDir('/dev', /^ttyS\d+$/).filter(device => hasUart(path.basename(device))).map(device => ({ device, kind: 'serial' }))
+        ];
+    }
+    if (platform === 'darwin') {
+        return listDir('/dev', /^cu\./)
+            .filter(device => !device.includes('Bluetooth-Incoming-Port'))
+            .map(device => ({ device, kind: 'serial' }));
+    }
+    if (platform === 'win32') {
+        const stdout = await run('powershell.exe', [
+            '-NoProfile',
+            '-Command',
+            '[System.IO.Ports.SerialPort]::GetPortNames() -join "`n"'
+        ]).catch(() => '');
+        return stdout.split(/\r?\n/).map(name => name.trim()).filter(name => WINDOWS_DEVICE.test(name))
+            .map(device => ({ device, kind: 'serial' }));
+    }
+    return [];
+}
+
+DeviceTransport.BAUD_RATES = BAUD_RATES;
+DeviceTransport.PARITIES = PARITIES;
+DeviceTransport.FLOW_CONTROLS = FLOW_CONTROLS;
+DeviceTransport.listDevices = listDevices;
+
+module.exports = DeviceTransport;
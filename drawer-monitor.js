@@ -0,0 +1,118 @@
+// drawer-monitor.js - CASH DRAWER OPEN/CLOSE SENSING
+const { EventEmitter } = require('events');
+
+const DEFAULT_INTERVAL = 1000;
+
+/*
+ * Polls the drawer sensor of every printer whose settings enable
+ * drawer.monitor and reports transitions.
+ *
+ * Events: 'opened' ({ printerName, at })
+ *         'closed' ({ printerName, at, openDurationMs })
+ *         'left_open' ({ printerName, openedAt, openDurationMs }) - once per
+ *         opening, when the drawer stays open longer than drawer.alertAfterMs
+ */
+class DrawerMonitor extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.getPrinters = options.getPrinters;
+        this.queryDrawer = options.queryDrawer;
+        this.intervalMs = options.intervalMs || DEFAULT_INTERVAL;
+        this.log = options.log || (() => {});
+
+        // printerName -> { open, openedAt, alerted, failing }
+        this.states = new Map();
+        this.timer = null;
+        this.polling = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.poll(), this.intervalMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    getState(printerName) {
+        const state = this.states.get(printerName);
+        if (!state) return null;
+
+        return {
+            open: state.open,
+            openedAt: state.openedAt,
+            openDurationMs: state.open ? Date.now() - Date.parse(state.openedAt) : 0
+        };
+    }
+
+    async poll() {
+        // Skip a tick rather than pile up queries behind a slow printer
+        if (this.polling) return;
+        this.polling = true;
+
+        try {
+            const printers = this.getPrinters();
+            const names = new Set(printers.map(printer => printer.name));
+
+            [...this.states.keys()].forEach(name => {
+                if (!names.has(name)) this.states.delete(name);
+            });
+
+            for (const printer of printers) {
+                await this.check(printer);
+            }
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    async check(printer) {
+        const name = printer.name;
+        const state = this.states.get(name) || { open: null, openedAt: null, alerted: false, failing: false };
+        this.states.set(name, state);
+
+        let open;
+        try {
+            open = await this.queryDrawer(name);
+        } catch (error) {
+            if (!state.failing) {
+                this.log(`⚠️ Drawer sensing failed for ${name}: ${error.message}`);
+                state.failing = true;
+            }
+            return;
+        }
+        state.failing = false;
+
+        const now = new Date();
+
+        if (state.open === null) {
+            // The first reading only establishes the initial state; a drawer
+            // found open is timed from now for left_open
+            state.open = !!open;
+            state.openedAt = open ? now.toISOString() : null;
+        } else if (open && !state.open) {
+            state.open = true;
+            state.openedAt = now.toISOString();
+            state.alerted = false;
+            this.emit('opened', { printerName: name, at: state.openedAt });
+        } else if (!open && state.open) {
+            const openDurationMs = now - Date.parse(state.openedAt);
+            state.open = false;
+            state.openedAt = null;
+            this.emit('closed', { printerName: name, at: now.toISOString(), openDurationMs });
+        }
+
+        const alertAfterMs = printer.drawer && printer.drawer.alertAfterMs;
+        if (state.open && alertAfterMs && !state.alerted) {
+            const openDurationMs = now - Date.parse(state.openedAt);
+            if (openDurationMs >= alertAfterMs) {
+                state.alerted = true;
+                this.emit('left_open', { printerName: name, openedAt: state.openedAt, openDurationMs });
+            }
+        }
+    }
+}
+
+module.exports = DrawerMonitor;
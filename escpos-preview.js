@@ -0,0 +1,451 @@
+// escpos-preview.js - ESC/POS STREAM TO HTML (receipt previews without a printer)
+//
+// The stream is interpreted the way a printer would (styles, sizes, code
+// pages, raster images, cuts) into a list of items, then laid out as HTML at
+// the paper's column width. Barcodes and 2D codes are drawn as labelled
+// placeholders showing the encoded data.
+const zlib = require('zlib');
+const codepages = require('./codepages.js');
+const imageRaster = require('./image-raster.js');
+const ReceiptBuilder = require('./receipt-builder.js');
+
+const ESC = 0x1B;
+const GS = 0x1D;
+const FS = 0x1C;
+const DLE = 0x10;
+const LF = 0x0A;
+const HT = 0x09;
+
+const ALIGNMENTS = ['left', 'center', 'right', 'left'];
+const HRI_POSITIONS = ['none', 'above', 'below', 'both'];
+// GS k symbology numbers, function A (0-6) and function B (65-73)
+const BARCODES = ['UPCA', 'UPCE', 'EAN13', 'EAN8', 'CODE39', 'ITF', 'CODABAR', 'CODE93', 'CODE128'];
+
+// ESC commands followed by one parameter byte that only affect things we do
+// not draw (fonts, spacing, rotation, peripherals)
+const ESC_ONE_PARAM = [0x20, 0x33, 0x3D, 0x4D, 0x52, 0x53, 0x54, 0x55, 0x56, 0x7B, 0x4A];
+const GS_ONE_PARAM = [0x42, 0x49, 0x61, 0x62, 0x66, 0x68, 0x72, 0x77];
+
+/* ============================
+   INTERPRETER
+============================ */
+class Interpreter {
+    constructor(buffer, options = {}) {
+        this.buffer = buffer;
+        this.pos = 0;
+        this.defaultCodePage = codepages.resolve(options.codePage);
+        // Widest raster image the paper can take
+        this.dotWidth = imageRaster.DOT_WIDTHS[ReceiptBuilder.resolveColumns(options)];
+        this.items = [];
+        this.line = null;
+        this.symbols = {};
+        this.reset();
+    }
+
+    reset() {
+        this.style = { bold: false, underline: 0, width: 1, height: 1 };
+        this.align = 'left';
+        this.codePage = this.defaultCodePage;
+        this.hri = 'none';
+    }
+
+    byte(offset = 0) {
+        return this.buffer[this.pos + offset];
+    }
+
+    take(length) {
+        const bytes = this.buffer.subarray(this.pos, this.pos + length);
+        this.pos += length;
+        return bytes;
+    }
+
+    // Returns [{ type: 'text' | 'image' | 'barcode' | 'qrcode' | 'pdf417' | 'cut' | 'drawer', ... }]
+    run() {
+        while (this.pos < this.buffer.length) {
+            const byte = this.take(1)[0];
+
+            if (byte === ESC) {
+                this.escCommand(this.take(1)[0]);
+            } else if (byte === GS) {
+                this.gsCommand(this.take(1)[0]);
+            } else if (byte === FS) {
+                this.fsCommand(this.take(1)[0]);
+            } else if (byte === DLE) {
+                // Real-time requests (DLE EOT n, DLE ENQ n, DLE DC4 fn m t)
+                this.take(this.byte() === 0x14 ? 4 : 2);
+            } else if (byte === LF) {
+                this.endLine(true);
+            } else if (byte === HT) {
+                this.write(0x20);
+            } else if (byte >= 0x20) {
+                this.write(byte);
+            }
+        }
+
+        this.endLine(false);
+        return this.items;
+    }
+
+    /* ============================
+       TEXT
+    ============================ */
+    write(byte) {
+        if (!this.line) {
+            this.line = { type: 'text', align: this.align, segments: [] };
+        }
+
+        const segments = this.line.segments;
+        const last = segments[segments.length - 1];
+        const { bold, underline, width, height } = this.style;
+        if (last && last.codePage === this.codePage && last.bold === bold && last.underline === underline
+            && last.width === width && last.height === height) {
+            last.bytes.push(byte);
+        } else {
+            segments.push({ ...this.style, codePage: this.codePage, bytes: [byte] });
+        }
+    }
+
+    // A line feed prints the line (blank if empty); other commands only
+    // flush text that is waiting in the line buffer
+    endLine(feed) {
+        if (!this.line && !feed) return;
+
+        const line = this.line || { type: 'text', align: this.align, segments: [] };
+        line.segments = line.segments.map(({ bytes, codePage, ...segment }) => ({
+            ...segment,
+            text: codepages.decode(bytes, codePage)
+        }));
+        this.items.push(line);
+        this.line = null;
+    }
+
+    feed(lines) {
+        this.endLine(lines > 0);
+        for (let i = 1; i < lines; i++) {
+            this.endLine(true);
+        }
+    }
+
+    /* ============================
+       COMMANDS
+    ============================ */
+    escCommand(command) {
+        switch (command) {
+            case 0x40: // ESC @
+                this.endLine(false);
+                this.reset();
+                break;
+            case 0x61: // ESC a n
+                this.align = ALIGNMENTS[this.take(1)[0] & 0x03];
+                if (this.line && this.line.segments.length === 0) this.line.align = this.align;
+                break;
+            case 0x45: // ESC E n
+            case 0x47: // ESC G n (double strike)
+                this.style = { ...this.style, bold: (this.take(1)[0] & 0x01) === 1 };
+                break;
+            case 0x2D: // ESC - n
+                this.style = { ...this.style, underline: this.take(1)[0] & 0x03 };
+                break;
+            case 0x21: { // ESC ! n
+                const mode = this.take(1)[0];
+                this.style = {
+                    bold: !!(mode & 0x08),
+                    underline: mode & 0x80 ? 1 : 0,
+                    width: mode & 0x20 ? 2 : 1,
+                    height: mode & 0x10 ? 2 : 1
+                };
+                break;
+            }
+            case 0x74: { // ESC t n
+                const codePage = codepages.fromTableNumber(this.take(1)[0]);
+                if (codePage) this.codePage = codePage;
+                break;
+            }
+            case 0x64: // ESC d n
+                this.feed(this.take(1)[0]);
+                break;
+            case 0x69: // ESC i
+            case 0x6D: // ESC m
+                this.endLine(false);
+                this.items.push({ type: 'cut', partial: true });
+                break;
+            case 0x70: { // ESC p m t1 t2
+                const [pin] = this.take(3);
+                this.endLine(false);
+                this.items.push({ type: 'drawer', pin: pin & 0x01 ? 5 : 2 });
+                break;
+            }
+            case 0x32: // ESC 2
+                break;
+            default:
+                if (ESC_ONE_PARAM.includes(command)) this.take(1);
+        }
+    }
+
+    gsCommand(command) {
+        switch (command) {
+            case 0x21: { // GS ! n
+                const size = this.take(1)[0];
+                this.style = { ...this.style, width: (size >> 4) + 1, height: (size & 0x07) + 1 };
+                break;
+            }
+            case 0x48: // GS H n
+                this.hri = HRI_POSITIONS[this.take(1)[0] & 0x03];
+                break;
+            case 0x56: { // GS V m [n]
+                const mode = this.take(1)[0];
+                if (mode === 65 || mode === 66) this.take(1);
+                this.endLine(false);
+                this.items.push({ type: 'cut', partial: mode % 2 === 1 || mode === 66 });
+                break;
+            }
+            case 0x6B: // GS k
+                this.barcode();
+                break;
+            case 0x76: // GS v 0
+                this.rasterImage();
+                break;
+            case 0x28: // GS ( k and other GS ( functions with a pL pH length
+                this.gsFunction(this.take(1)[0]);
+                break;
+            default:
+                if (GS_ONE_PARAM.includes(command)) this.take(1);
+        }
+    }
+
+    fsCommand(command) {
+        if (command !== 0x28) return;
+
+        // FS ( C pL pH fn m - character encoding system (UTF-8 is m = 2)
+        const fn = this.take(1)[0];
+        const [pL, pH] = this.take(2);
+        const params = this.take(pL + pH * 256);
+        if (fn === 0x43 && params[0] === 0x30) {
+            this.codePage = params[1] === 2 ? 'UTF8' : this.defaultCodePage;
+        }
+    }
+
+    barcode() {
+        const m = this.take(1)[0];
+        let data;
+        if (m <= 6) {
+            // Function A: NUL terminated
+            const end = this.buffer.indexOf(0x00, this.pos);
+            data = this.take((end === -1 ? this.buffer.length : end) - this.pos);
+            this.take(1);
+        } else {
+            data = this.take(this.take(1)[0]);
+        }
+
+        const symbology = BARCODES[m <= 6 ? m : m - 65] || `#${m}`;
+        let text = data.toString('latin1');
+        // CODE128 data starts with a code set selector ({A, {B or {C)
+        if (symbology === 'CODE128' && text.startsWith('{')) {
+            text = text.slice(2);
+        }
+
+        this.endLine(false);
+        this.items.push({ type: 'barcode', align: this.align, symbology, data: text, hri: this.hri });
+    }
+
+    // GS ( k stores 2D code data (fn 80) and prints it (fn 81); cn 49 is QR, 48 PDF417
+    gsFunction(fn) {
+        const [pL, pH] = this.take(2);
+        const params = this.take(pL + pH * 256);
+        if (fn !== 0x6B || params.length < 2) return;
+
+        const kind = { 0x30: 'pdf417', 0x31: 'qrcode' }[params[0]];
+        if (!kind) return;
+
+        if (params[1] === 0x50) {
+            this.symbols[kind] = params.subarray(3).toString('utf8');
+        } else if (params[1] === 0x51 && this.symbols[kind] !== undefined) {
+            this.endLine(false);
+            this.items.push({ type: kind, align: this.align, data: this.symbols[kind] });
+        }
+    }
+
+    // GS v 0 m xL xH yL yH d1...dk; consecutive bands are joined into one image.
+    // The header is not trusted: only rows actually present in the stream are
+    // kept, and images wider than the paper are refused.
+    rasterImage() {
+        const [, mode, xL, xH, yL, yH] = this.take(6);
+        const bytesPerRow = (xL || 0) + (xH || 0) * 256;
+        if (bytesPerRow * 8 > this.dotWidth) {
+            throw new Error(`Raster image is ${bytesPerRow * 8} dots wide; the paper takes at most ${this.dotWidth}`);
+        }
+        const data = this.take(bytesPerRow * ((yL || 0) + (yH || 0) * 256));
+        const rows = bytesPerRow ? Math.floor(data.length / bytesPerRow) : 0;
+        if (rows === 0) return;
+        const bits = data.subarray(0, rows * bytesPerRow);
+        const scale = { x: mode & 0x01 ? 2 : 1, y: mode & 0x02 ? 2 : 1 };
+
+        this.endLine(false);
+        const last = this.items[this.items.length - 1];
+        if (last && last.type === 'image' && last.bytesPerRow === bytesPerRow && last.scale.x === scale.x) {
+            last.bits = Buffer.concat([last.bits, bits]);
+            last.height += rows;
+            return;
+        }
+        this.items.push({
+            type: 'image',
+            align: this.align,
+            width: bytesPerRow * 8,
+            height: rows,
+            bytesPerRow,
+            bits,
+            scale
+        });
+    }
+}
+
+/* ============================
+   PNG (for raster images)
+============================ */
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// 1-bit grayscale PNG; raster bits are 1 for black, PNG gray bits 1 for white
+function rasterToPng(image) {
+    const stride = image.bytesPerRow + 1;
+    const height = Math.min(image.height, Math.floor(image.bits.length / image.bytesPerRow));
+    const rows = Buffer.alloc(stride * height);
+    for (let y = 0; y < height; y++) {
+        for (let i = 0; i < image.bytesPerRow; i++) {
+            rows[y * stride + 1 + i] = ~image.bits[y * image.bytesPerRow + i] & 0xFF;
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(image.width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 1;
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(rows)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/* ============================
+   HTML
+============================ */
+// Font A is 12 x 24 dots, so one column is 1ch and one line 24px at 20px
+const STYLES = `
+body { margin: 0; padding: 16px; background: #e0e0e0; }
+.paper { margin: 0 auto; padding: 16px 1ch; background: #fff; color: #111; box-shadow: 0 2px 8px rgba(0,0,0,0.2);
+    font: 20px/24px 'Courier New', Courier, monospace; box-sizing: content-box; }
+.line { white-space: pre; min-height: 24px; overflow: hidden; }
+.b { font-weight: bold; }
+.u1 { text-decoration: underline; }
+.u2 { text-decoration: underline double; }
+.scaled { display: inline-block; position: relative; vertical-align: bottom; }
+.scaled > span { position: absolute; left: 0; bottom: 0; transform-origin: 0 100%; }
+.image img { image-rendering: pixelated; display: inline-block; }
+.symbol { margin: 4px 0; font: 12px/16px sans-serif; }
+.symbol .bars { display: inline-block; width: 60%; height: 60px;
+    background: repeating-linear-gradient(90deg, #111 0 2px, #fff 2px 5px, #111 5px 6px, #fff 6px 9px); }
+.symbol .matrix { display: inline-block; width: 120px; height: 120px; border: 8px solid #111; box-sizing: border-box;
+    background: repeating-conic-gradient(#111 0 25%, #fff 0 50%) 0 0 / 16px 16px; }
+.symbol .pdf417 { width: 80%; height: 48px; border-width: 4px 12px; background-size: 8px 8px; }
+.cut { margin: 12px -1ch; border-top: 2px dashed #9e9e9e; font: 11px sans-serif; color: #9e9e9e; text-align: center; }
+.event { font: italic 12px/20px sans-serif; color: #1565c0; text-align: center; }
+`;
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+function renderSegment(segment) {
+    const classes = [segment.bold ? 'b' : '', segment.underline ? `u${segment.underline}` : ''].filter(Boolean).join(' ');
+    const text = escapeHtml(segment.text);
+    if (segment.width === 1 && segment.height === 1) {
+        return classes ? `<span class="${classes}">${text}</span>` : text;
+    }
+
+    const length = [...segment.text].length;
+    return `<span class="scaled" style="width:${length * segment.width}ch;height:${segment.height * 24}px">` +
+        `<span class="${classes}" style="transform:scale(${segment.width},${segment.height})">${text}</span></span>`;
+}
+
+function renderItem(item, dotWidth) {
+    const align = `text-align:${item.align || 'left'}`;
+
+    switch (item.type) {
+        case 'text': {
+            const height = Math.max(1, ...item.segments.map(segment => segment.height)) * 24;
+            return `<div class="line" style="${align};min-height:${height}px">${item.segments.map(renderSegment).join('')}</div>`;
+        }
+        case 'image': {
+            const width = Math.min(item.width * item.scale.x / dotWidth, 1) * 100;
+            const src = `data:image/png;base64,${rasterToPng(item).toString('base64')}`;
+            return `<div class="image" style="${align}"><img src="${src}" style="width:${width.toFixed(2)}%" alt="image"></div>`;
+        }
+        case 'barcode': {
+            const label = `<div>${escapeHtml(item.data)}</div>`;
+            return `<div class="symbol" style="${align}" title="${item.symbology} barcode">` +
+                `${['above', 'both'].includes(item.hri) ? label : ''}<span class="bars"></span>` +
+                `${['below', 'both'].includes(item.hri) ? label : ''}<div class="event">${item.symbology}</div></div>`;
+        }
+        case 'qrcode':
+        case 'pdf417':
+            return `<div class="symbol" style="${align}" title="${item.type === 'qrcode' ? 'QR code' : 'PDF417'}">` +
+                `<span class="matrix ${item.type}"></span><div>${escapeHtml(item.data)}</div></div>`;
+        case 'cut':
+            return `<div class="cut">✂ ${item.partial ? 'partial cut' : 'cut'}</div>`;
+        case 'drawer':
+            return `<div class="event">💵 Cash drawer kick (pin ${item.pin})</div>`;
+        default:
+            return '';
+    }
+}
+
+function parse(buffer, options = {}) {
+    return new Interpreter(Buffer.from(buffer), options).run();
+}
+
+/*
+ * Options:
+ *   paperWidth / columns - paper the stream was built for (default 80mm)
+ *   codePage             - code page in effect before the first ESC t
+ *   title                - document title
+ */
+function renderHtml(buffer, options = {}) {
+    const columns = ReceiptBuilder.resolveColumns(options);
+    const dotWidth = imageRaster.DOT_WIDTHS[columns];
+    const body = parse(buffer, options).map(item => renderItem(item, dotWidth)).join('\n');
+
+    return '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="UTF-8">\n' +
+        `<title>${escapeHtml(options.title || 'Receipt preview')}</title>\n<style>${STYLES}</style>\n</head>\n` +
+        `<body>\n<div class="paper" style="width:${columns}ch">\n${body}\n</div>\n</body>\n</html>\n`;
+}
+
+module.exports = {
+    parse,
+    renderHtml
+};
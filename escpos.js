@@ -0,0 +1,188 @@
+// escpos.js - ESC/POS COMMAND HELPERS
+const ESC = 0x1B;
+const GS = 0x1D;
+const LF = 0x0A;
+
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+// ESC p m: connector pin 2 is m = 0, pin 5 is m = 1
+const DRAWER_PINS = { 2: 0x00, 5: 0x01 };
+const UNDERLINE_MODES = { none: 0, single: 1, double: 2 };
+
+// GS k m (function B) symbology numbers and the data each accepts
+const BARCODES = {
+    UPCA: { m: 65, pattern: /^\d{11,12}$/ },
+    UPCE: { m: 66, pattern: /^\d{6,8}$|^\d{11,12}$/ },
+    EAN13: { m: 67, pattern: /^\d{12,13}$/ },
+    EAN8: { m: 68, pattern: /^\d{7,8}$/ },
+    CODE39: { m: 69, pattern: /^[0-9A-Z $%*+\-./]+$/ },
+    ITF: { m: 70, pattern: /^(\d\d)+$/ },
+    CODABAR: { m: 71, pattern: /^[A-Da-d][0-9$+\-./:]+[A-Da-d]$/ },
+    CODE93: { m: 72, pattern: /^[\x00-\x7F]+$/ },
+    CODE128: { m: 73, pattern: /^[\x00-\x7F]+$/ }
+};
+const HRI_POSITIONS = { none: 0, above: 1, below: 2, both: 3 };
+const QR_ERROR_CORRECTION = { L: 48, M: 49, Q: 50, H: 51 };
+
+function clamp(value, min, max, fallback) {
+    const n = parseInt(value, 10);
+    return Number.isNaN(n) ? fallback : Math.min(Math.max(n, min), max);
+}
+
+// Character width/height multiplier as GS ! takes it (1-8, default 1)
+function magnification(value) {
+    return clamp(value, 1, 8, 1);
+}
+
+// GS ( k pL pH cn fn [params] - 2D symbol function
+function symbolFunction(cn, fn, params) {
+    const length = params.length + 2;
+    return Buffer.concat([
+        Buffer.from([GS, 0x28, 0x6B, length & 0xFF, (length >> 8) & 0xFF, cn, fn]),
+        Buffer.from(params)
+    ]);
+}
+
+function symbolData(data) {
+    const bytes = Buffer.from(String(data), 'utf8');
+    if (bytes.length === 0) {
+        throw new Error('Code data must not be empty');
+    }
+    if (bytes.length > 7000) {
+        throw new Error('Code data is too long');
+    }
+    return bytes;
+}
+
+module.exports = {
+    ESC,
+    GS,
+    LF,
+
+    INIT: Buffer.from([ESC, 0x40]),
+    NEWLINE: Buffer.from([LF]),
+    DRAWER_KICK: Buffer.from([ESC, 0x70, 0x00, 0x19, 0xFA]),
+    FEED_AND_CUT: Buffer.from([LF, LF, LF, LF, ESC, 0x69]),
+
+    magnification,
+
+    // ESC a n - 'left' | 'center' | 'right'
+    align(alignment = 'left') {
+        const n = ALIGNMENTS[alignment];
+        if (n === undefined) {
+            throw new Error(`Invalid alignment: ${alignment}`);
+        }
+        return Buffer.from([ESC, 0x61, n]);
+    },
+
+    // ESC E n
+    bold(on) {
+        return Buffer.from([ESC, 0x45, on ? 1 : 0]);
+    },
+
+    // ESC - n - accepts a boolean or 'none' | 'single' | 'double'
+    underline(mode) {
+        if (typeof mode === 'boolean') {
+            mode = mode ? 'single' : 'none';
+        }
+        const n = UNDERLINE_MODES[mode || 'none'];
+        if (n === undefined) {
+            throw new Error(`Invalid underline mode: ${mode}`);
+        }
+        return Buffer.from([ESC, 0x2D, n]);
+    },
+
+    // GS ! n - width/height multipliers from 1 to 8
+    size(width = 1, height = 1) {
+        const w = magnification(width);
+        const h = magnification(height);
+        return Buffer.from([GS, 0x21, ((w - 1) << 4) | (h - 1)]);
+    },
+
+    // ESC p m t1 t2 - pulse times are in ms and sent in 2ms units
+    drawerKick({ pin = 2, onMs = 50, offMs = 500 } = {}) {
+        const m = DRAWER_PINS[pin];
+        if (m === undefined) {
+            throw new Error(`Invalid drawer pin: ${pin} (expected 2 or 5)`);
+        }
+
+        const units = (ms, name) => {
+            const value = Number(ms);
+            if (!Number.isFinite(value) || value < 2 || value > 510) {
+                throw new Error(`Invalid drawer ${name} time: ${ms} (expected 2-510ms)`);
+            }
+            return Math.round(value / 2);
+        };
+
+        return Buffer.from([ESC, 0x70, m, units(onMs, 'on'), units(offMs, 'off')]);
+    },
+
+    // GS H / GS h / GS w then GS k m n d1...dn
+    barcode(data, { symbology = 'CODE128', height = 80, width = 3, hri = 'below' } = {}) {
+        const spec = BARCODES[String(symbology).toUpperCase()];
+        if (!spec) {
+            throw new Error(`Unsupported barcode symbology: ${symbology} (expected ${Object.keys(BARCODES).join(', ')})`);
+        }
+
+        let text = String(data === undefined ? '' : data);
+        if (!spec.pattern.test(text)) {
+            throw new Error(`Invalid ${String(symbology).toUpperCase()} barcode data: ${text}`);
+        }
+        // CODE128 needs a code set selector; default to code set B
+        if (spec.m === BARCODES.CODE128.m && !text.startsWith('{')) {
+            text = `{B${text}`;
+        }
+        if (text.length > 255) {
+            throw new Error('Barcode data is too long');
+        }
+
+        const position = HRI_POSITIONS[hri === false ? 'none' : (hri || 'none')];
+        if (position === undefined) {
+            throw new Error(`Invalid barcode HRI position: ${hri}`);
+        }
+
+        return Buffer.concat([
+            Buffer.from([GS, 0x48, position]),
+            Buffer.from([GS, 0x68, clamp(height, 1, 255, 80)]),
+            Buffer.from([GS, 0x77, clamp(width, 2, 6, 3)]),
+            Buffer.from([GS, 0x6B, spec.m, text.length]),
+            Buffer.from(text, 'ascii')
+        ]);
+    },
+
+    // QR Code, model 2 - size is the module size in dots (1-16)
+    qrcode(data, { size = 6, errorCorrection = 'M' } = {}) {
+        const level = QR_ERROR_CORRECTION[String(errorCorrection).toUpperCase()];
+        if (level === undefined) {
+            throw new Error(`Invalid QR error correction level: ${errorCorrection} (expected L, M, Q or H)`);
+        }
+
+        const bytes = symbolData(data);
+        return Buffer.concat([
+            symbolFunction(0x31, 0x41, [0x32, 0x00]),
+            symbolFunction(0x31, 0x43, [clamp(size, 1, 16, 6)]),
+            symbolFunction(0x31, 0x45, [level]),
+            symbolFunction(0x31, 0x50, [0x30, ...bytes]),
+            symbolFunction(0x31, 0x51, [0x30])
+        ]);
+    },
+
+    // PDF417 - errorCorrection is the level 0-8, columns 0 means automatic
+    pdf417(data, { columns = 0, rows = 0, width = 3, rowHeight = 3, errorCorrection = 1 } = {}) {
+        const bytes = symbolData(data);
+        return Buffer.concat([
+            symbolFunction(0x30, 0x41, [clamp(columns, 0, 30, 0)]),
+            symbolFunction(0x30, 0x42, [rows ? clamp(rows, 3, 90, 0) : 0]),
+            symbolFunction(0x30, 0x43, [clamp(width, 2, 8, 3)]),
+            symbolFunction(0x30, 0x44, [clamp(rowHeight, 2, 8, 3)]),
+            symbolFunction(0x30, 0x45, [0x30, 0x30 + clamp(errorCorrection, 0, 8, 1)]),
+            symbolFunction(0x30, 0x50, [0x30, ...bytes]),
+            symbolFunction(0x30, 0x51, [0x30])
+        ]);
+    },
+
+    // ESC d n
+    feed(lines = 1) {
+        const n = Math.min(Math.max(parseInt(lines, 10) || 0, 0), 255);
+        return Buffer.from([ESC, 0x64, n]);
+    }
+};
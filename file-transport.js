@@ -0,0 +1,129 @@
+// file-transport.js - VIRTUAL PRINTER THAT CAPTURES JOBS TO A DIRECTORY
+//
+// For development and CI machines without printers. Each job is written as
+// <stamp>-<id>.bin (the raw bytes) next to <stamp>-<id>.json (metadata).
+// Printer conditions and failures are simulated from the printer settings:
+//   simulate: { delayMs, fail: 'offline' | 'timeout' | 'error', failRate,
+//               paperOut, paperNearEnd, coverOpen, drawerOpen }
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FAILURES = {
+    offline: { code: 'PRINTER_OFFLINE', message: 'Simulated printer is offline' },
+    timeout: { code: 'TIMEOUT', message: 'Simulated printer did not respond' },
+    error: { code: 'PRINT_FAILED', message: 'Simulated print failure' }
+};
+
+// DLE EOT n replies: fixed bits 1 and 4, then the condition bits per status type
+const STATUS_BASE = 0x12;
+
+function transportError(message, code) {
+    return Object.assign(new Error(message), { code });
+}
+
+class FileTransport {
+    constructor(options = {}) {
+        if (!options.directory) {
+            throw new Error('File printer requires a directory');
+        }
+
+        const simulate = options.simulate || {};
+        if (simulate.fail && !FAILURES[simulate.fail]) {
+            throw new Error(`Invalid simulated failure: ${simulate.fail} (expected ${Object.keys(FAILURES).join(', ')})`);
+        }
+
+        this.name = options.name || 'file';
+        this.directory = options.directory;
+        this.simulate = simulate;
+    }
+
+    get address() {
+        return this.directory;
+    }
+
+    // fail alone fails every job; with failRate (0-1) only that share of them
+    failure() {
+        const { fail, failRate, paperOut, coverOpen } = this.simulate;
+        if (paperOut) {
+            return transportError('Simulated printer is out of paper', 'PRINTER_OFFLINE');
+        }
+        if (coverOpen) {
+            return transportError('Simulated printer cover is open', 'PRINTER_OFFLINE');
+        }
+        if (fail && (failRate === undefined || Math.random() < failRate)) {
+            return transportError(FAILURES[fail].message, FAILURES[fail].code);
+        }
+        if (!fail && failRate && Math.random() < failRate) {
+            return transportError(FAILURES.error.message, FAILURES.error.code);
+        }
+        return null;
+    }
+
+    async delay() {
+        if (this.simulate.delayMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.simulate.delayMs));
+        }
+    }
+
+    // meta: { jobId, type, requestId, attempt } from the print queue
+    async send(buffer, meta = {}) {
+        await this.delay();
+        const error = this.failure();
+        if (error) {
+            throw error;
+        }
+
+        const createdAt = new Date().toISOString();
+        const base = `${createdAt.replace(/[:.]/g, '-')}-${(meta.jobId || crypto.randomUUID()).slice(0, 8)}`;
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(path.join(this.directory, `${base}.bin`), buffer);
+        await fs.promises.writeFile(path.join(this.directory, `${base}.json`), JSON.stringify({
+            printerName: this.name,
+            jobId: meta.jobId || null,
+            type: meta.type || 'raw',
+            requestId: meta.requestId || null,
+            attempt: meta.attempt || 1,
+            bytes: buffer.length,
+            sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+            file: `${base}.bin`,
+            createdAt
+        }, null, 2));
+
+        return `${buffer.length} bytes written to ${base}.bin`;
+    }
+
+    // Answers DLE EOT status queries from the simulated conditions
+    async request(commands) {
+        await this.delay();
+        if (['offline', 'timeout'].includes(this.simulate.fail) && this.simulate.failRate === undefined) {
+            throw transportError(FAILURES[this.simulate.fail].message, FAILURES[this.simulate.fail].code);
+        }
+
+        return commands.map(command => Buffer.from([this.statusByte(command[2])]));
+    }
+
+    statusByte(n) {
+        const { paperOut, paperNearEnd, coverOpen, drawerOpen, fail } = this.simulate;
+        switch (n) {
+            case 1:
+                return STATUS_BASE | (drawerOpen ? 0x04 : 0) | (paperOut || coverOpen ? 0x08 : 0);
+            case 2:
+                return STATUS_BASE | (coverOpen ? 0x04 : 0) | (paperOut ? 0x20 : 0) | (fail === 'error' ? 0x40 : 0);
+            case 3:
+                return STATUS_BASE | (fail === 'error' ? 0x04 : 0);
+            case 4:
+                return STATUS_BASE | (paperNearEnd || paperOut ? 0x0C : 0) | (paperOut ? 0x60 : 0);
+            default:
+                return STATUS_BASE;
+        }
+    }
+
+    async probe() {
+        return this.simulate.fail !== 'offline';
+    }
+}
+
+FileTransport.FAILURES = Object.keys(FAILURES);
+
+module.exports = FileTransport;
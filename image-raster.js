@@ -0,0 +1,146 @@
+// image-raster.js - PNG TO MONOCHROME ESC/POS RASTER (GS v 0)
+const { MAX_PIXELS, decodePng } = require('./png-decoder.js');
+
+// Printable dots per line for each Font A column count
+const DOT_WIDTHS = {
+    32: 384,
+    42: 512,
+    48: 576
+};
+
+// Rows per GS v 0 command, keeps each block within small printer buffers
+const BAND_HEIGHT = 128;
+
+function toBuffer(image) {
+    if (Buffer.isBuffer(image)) {
+        return image;
+    }
+    if (typeof image !== 'string' || !image) {
+        throw new Error('Image must be a base64 encoded PNG');
+    }
+    return Buffer.from(image.replace(/^data:image\/png;base64,/, ''), 'base64');
+}
+
+// Luminance (0-255) of each pixel at the target size, alpha composited onto white
+function grayscale(image, width, height) {
+    const gray = new Float32Array(width * height);
+    const scaleX = image.width / width;
+    const scaleY = image.height / height;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            // Average the source pixels covered by this target pixel
+            const x0 = Math.floor(x * scaleX);
+            const y0 = Math.floor(y * scaleY);
+            const x1 = Math.max(Math.floor((x + 1) * scaleX), x0 + 1);
+            const y1 = Math.max(Math.floor((y + 1) * scaleY), y0 + 1);
+            let sum = 0;
+            let count = 0;
+
+            for (let sy = y0; sy < y1 && sy < image.height; sy++) {
+                for (let sx = x0; sx < x1 && sx < image.width; sx++) {
+                    const i = (sy * image.width + sx) * 4;
+                    const alpha = image.data[i + 3] / 255;
+                    const luminance = 0.299 * image.data[i] + 0.587 * image.data[i + 1] + 0.114 * image.data[i + 2];
+                    sum += luminance * alpha + 255 * (1 - alpha);
+                    count++;
+                }
+            }
+
+            gray[y * width + x] = sum / count;
+        }
+    }
+
+    return gray;
+}
+
+// Floyd-Steinberg dithering, returns 1 for each black dot
+function dither(gray, width, height, threshold) {
+    const dots = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const black = gray[i] < threshold;
+            const error = gray[i] - (black ? 0 : 255);
+            dots[i] = black ? 1 : 0;
+
+            if (x + 1 < width) gray[i + 1] += error * 7 / 16;
+            if (y + 1 < height) {
+                if (x > 0) gray[i + width - 1] += error * 3 / 16;
+                gray[i + width] += error * 5 / 16;
+                if (x + 1 < width) gray[i + width + 1] += error * 1 / 16;
+            }
+        }
+    }
+
+    return dots;
+}
+
+/*
+ * Options:
+ *   maxWidth  - printable dots per line; wider images are scaled down
+ *   width     - explicit target width in dots (capped at maxWidth)
+ *   threshold - 0-255 black/white cut-off (default 128)
+ *   dither    - false for a plain threshold instead of dithering
+ *
+ * Returns { width, height, bytesPerRow, bits } with 1 bit per dot, MSB first.
+ */
+function rasterize(png, options = {}) {
+    const image = decodePng(toBuffer(png));
+    const maxWidth = options.maxWidth || DOT_WIDTHS[48];
+    const width = Math.max(Math.min(parseInt(options.width, 10) || image.width, maxWidth), 1);
+    const height = Math.max(Math.round(image.height * (width / image.width)), 1);
+    // Scaling a narrow image up to the paper width multiplies its height
+    if (width * height > MAX_PIXELS) {
+        throw Object.assign(new Error(`Image is too tall to print (${width}x${height} dots)`), { code: 'INVALID_PAYLOAD' });
+    }
+    const threshold = options.threshold || 128;
+
+    const gray = grayscale(image, width, height);
+    const dots = options.dither === false
+        ? gray.map(value => (value < threshold ? 1 : 0))
+        : dither(gray, width, height, threshold);
+
+    const bytesPerRow = Math.ceil(width / 8);
+    const bits = Buffer.alloc(bytesPerRow * height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (dots[y * width + x]) {
+                bits[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+            }
+        }
+    }
+
+    return { width, height, bytesPerRow, bits };
+}
+
+// GS v 0 m xL xH yL yH d1...dk, split into bands of BAND_HEIGHT rows
+function encodeRaster(raster) {
+    const parts = [];
+
+    for (let top = 0; top < raster.height; top += BAND_HEIGHT) {
+        const rows = Math.min(BAND_HEIGHT, raster.height - top);
+        parts.push(Buffer.from([
+            0x1D, 0x76, 0x30, 0x00,
+            raster.bytesPerRow & 0xFF, (raster.bytesPerRow >> 8) & 0xFF,
+            rows & 0xFF, (rows >> 8) & 0xFF
+        ]));
+        parts.push(raster.bits.subarray(top * raster.bytesPerRow, (top + rows) * raster.bytesPerRow));
+    }
+
+    return Buffer.concat(parts);
+}
+
+function imageToEscPos(png, options = {}) {
+    return encodeRaster(rasterize(png, options));
+}
+
+module.exports = {
+    DOT_WIDTHS,
+    toBuffer,
+    rasterize,
+    encodeRaster,
+    imageToEscPos
+};
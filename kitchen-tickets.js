@@ -0,0 +1,127 @@
+// kitchen-tickets.js - ORDER ITEMS TO PER-STATION KITCHEN TICKETS
+//
+// Tickets are receipt documents (see receipt-builder.js), one per station:
+//   { station: 'kitchen', items: [...], document: { lines: [...] } }
+
+function formatTime(value) {
+    const date = value ? new Date(value) : new Date();
+    const valid = Number.isNaN(date.getTime()) ? new Date() : date;
+    return valid.toLocaleString([], {
+        day: '2-digit',
+        month: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// Detail rows are indented under their item (leading spaces would be lost
+// to word wrapping, so the indent is an empty fixed-width column)
+function detail(text, bold) {
+    return { type: 'columns', columns: [{ text: '', width: 2 }, { text, align: 'left' }], bold };
+}
+
+function itemLines(item) {
+    const quantity = item.quantity === undefined ? 1 : item.quantity;
+    const lines = [
+        { type: 'text', text: `${quantity} x ${item.name}`, bold: true, height: 2 }
+    ];
+
+    if (item.seat !== undefined && item.seat !== null && item.seat !== '') {
+        lines.push(detail(`Seat ${item.seat}`));
+    }
+    (item.modifiers || []).forEach(modifier => {
+        const name = typeof modifier === 'object' && modifier !== null ? modifier.name : modifier;
+        lines.push(detail(`+ ${name}`));
+    });
+    if (item.notes) {
+        lines.push(detail(`** ${item.notes}`, true));
+    }
+    return lines;
+}
+
+// Header with a large table number, then the items, then order notes
+function buildTicket(order, title, items, options = {}) {
+    const lines = [
+        { type: 'text', text: title.toUpperCase(), align: 'center', bold: true },
+        order.table !== undefined && order.table !== null && order.table !== ''
+            ? { type: 'text', text: `TABLE ${order.table}`, align: 'center', bold: true, width: 3, height: 3 }
+            : { type: 'text', text: 'TAKEAWAY', align: 'center', bold: true, width: 2, height: 2 },
+        { type: 'columns', columns: [order.id !== undefined ? `Order #${order.id}` : 'Order', formatTime(order.createdAt)] }
+    ];
+
+    const details = [
+        order.server ? `Server: ${order.server}` : null,
+        order.guests ? `Guests: ${order.guests}` : null
+    ].filter(Boolean);
+    if (details.length) {
+        lines.push({ type: 'text', text: details.join('  ') });
+    }
+    if (options.reprint) {
+        lines.push({ type: 'text', text: '*** REPRINT ***', align: 'center', bold: true });
+    }
+    lines.push({ type: 'separator', char: '=' });
+
+    if (options.groupByStation) {
+        // Full copy: items under their station headings
+        groupItems(items).forEach(({ station, items: stationItems }) => {
+            lines.push({ type: 'text', text: `[${station.toUpperCase()}]`, underline: true });
+            stationItems.forEach(item => lines.push(...itemLines(item)));
+        });
+    } else {
+        items.forEach(item => lines.push(...itemLines(item)));
+    }
+
+    lines.push({ type: 'separator', char: '=' });
+    if (order.notes) {
+        lines.push({ type: 'text', text: `NOTE: ${order.notes}`, bold: true });
+    }
+    lines.push({ type: 'feed', lines: 1 });
+
+    return { lines };
+}
+
+// [{ station, items }] in the order stations first appear
+function groupItems(items) {
+    const groups = new Map();
+    items.forEach(item => {
+        if (!groups.has(item.station)) {
+            groups.set(item.station, []);
+        }
+        groups.get(item.station).push(item);
+    });
+    return [...groups.entries()].map(([station, stationItems]) => ({ station, items: stationItems }));
+}
+
+/*
+ * Options:
+ *   fullCopy - station that gets a copy of the whole order (e.g. "receipt")
+ *   stations - only produce tickets for these stations (reprints)
+ */
+function splitOrder(order, options = {}) {
+    const only = options.stations ? new Set(options.stations) : null;
+    const reprint = !!only;
+
+    const tickets = groupItems(order.items)
+        .filter(({ station }) => !only || only.has(station))
+        .map(({ station, items }) => ({
+            station,
+            items,
+            document: buildTicket(order, station, items, { reprint })
+        }));
+
+    if (options.fullCopy && (!only || only.has(options.fullCopy))) {
+        tickets.push({
+            station: options.fullCopy,
+            fullCopy: true,
+            items: order.items,
+            document: buildTicket(order, 'Full Order', order.items, { reprint, groupByStation: true })
+        });
+    }
+
+    return tickets;
+}
+
+module.exports = {
+    buildTicket,
+    splitOrder
+};
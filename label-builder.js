@@ -0,0 +1,220 @@
+// label-builder.js - LABEL DEFINITIONS TO ZPL (ZEBRA) OR TSPL (TSC AND CLONES)
+//
+// Positions and sizes are in millimetres and converted to dots at the
+// printer's resolution:
+//   {
+//     width: 50, height: 30, gap: 2, quantity: 1,
+//     fields: [
+//       { type: 'text', text: 'Oat Milk 1L', x: 2, y: 2, size: 4, rotation: 0 },
+//       { type: 'barcode', data: '5012345678900', x: 2, y: 10, height: 10, symbology: 'EAN13', hri: true },
+//       { type: 'qrcode', data: 'https://...', x: 35, y: 10, size: 4 }
+//     ]
+//   }
+
+const LANGUAGES = ['escpos', 'zpl', 'tspl'];
+const DEFAULT_DPI = 203;
+const DEFAULT_TEXT_SIZE = 3;
+const DEFAULT_BARCODE_HEIGHT = 10;
+
+// Symbology -> ZPL command (with its parameter layout) and TSPL code name
+const BARCODES = {
+    CODE128: { zpl: (o, h, hri) => `^BC${o},${h},${hri},N,N`, tspl: '128' },
+    CODE39: { zpl: (o, h, hri) => `^B3${o},N,${h},${hri},N`, tspl: '39' },
+    EAN13: { zpl: (o, h, hri) => `^BE${o},${h},${hri},N`, tspl: 'EAN13' },
+    EAN8: { zpl: (o, h, hri) => `^B8${o},${h},${hri},N`, tspl: 'EAN8' },
+    UPCA: { zpl: (o, h, hri) => `^BU${o},${h},${hri},N,Y`, tspl: 'UPCA' }
+};
+
+const ZPL_ROTATIONS = { 0: 'N', 90: 'R', 180: 'I', 270: 'B' };
+
+function toDots(mm, dpi) {
+    return Math.max(Math.round((Number(mm) || 0) * dpi / 25.4), 0);
+}
+
+function rotation(field) {
+    const degrees = field.rotation === undefined ? 0 : Number(field.rotation);
+    if (ZPL_ROTATIONS[degrees] === undefined) {
+        throw new Error(`Invalid rotation: ${field.rotation} (expected 0, 90, 180 or 270)`);
+    }
+    return degrees;
+}
+
+function symbology(field) {
+    const name = String(field.symbology || 'CODE128').toUpperCase();
+    if (!BARCODES[name]) {
+        throw new Error(`Unsupported label barcode: ${field.symbology} (expected ${Object.keys(BARCODES).join(', ')})`);
+    }
+    return name;
+}
+
+function fieldText(field, key) {
+    const value = field[key];
+    if (value === undefined || value === null || value === '') {
+        throw new Error(`Label ${field.type} field needs "${key}"`);
+    }
+    return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+// Goes into the command itself (not field data), so only the four levels are allowed
+function errorCorrection(field) {
+    const level = String(field.errorCorrection || 'M').toUpperCase();
+    if (!['L', 'M', 'Q', 'H'].includes(level)) {
+        throw new Error(`Invalid QR error correction: ${field.errorCorrection} (expected L, M, Q or H)`);
+    }
+    return level;
+}
+
+function moduleWidth(field) {
+    const width = field.moduleWidth === undefined ? 2 : parseInt(field.moduleWidth, 10);
+    if (!Number.isInteger(width) || width < 1 || width > 10) {
+        throw new Error(`Invalid barcode module width: ${field.moduleWidth} (expected 1-10)`);
+    }
+    return width;
+}
+
+function quantity(label) {
+    const n = label.quantity === undefined ? 1 : parseInt(label.quantity, 10);
+    if (!Number.isInteger(n) || n < 1 || n > 9999) {
+        throw new Error(`Invalid label quantity: ${label.quantity} (expected 1-9999)`);
+    }
+    return n;
+}
+
+function validate(label) {
+    if (!label || typeof label !== 'object' || !Array.isArray(label.fields)) {
+        throw new Error('Label must contain a "fields" array');
+    }
+    if (!(Number(label.width) > 0) || !(Number(label.height) > 0)) {
+        throw new Error('Label needs a width and height in mm');
+    }
+}
+
+/* ============================
+   ZPL
+============================ */
+// ^FH lets field data carry ^ and ~, which would otherwise start commands
+function zplData(text) {
+    return `^FH^FD${text.replace(/[_^~]/g, char => `_${char.charCodeAt(0).toString(16).toUpperCase()}`)}^FS`;
+}
+
+function zplField(field, dpi) {
+    const origin = `^FO${toDots(field.x, dpi)},${toDots(field.y, dpi)}`;
+    const orientation = ZPL_ROTATIONS[rotation(field)];
+
+    switch (field.type || 'text') {
+        case 'text': {
+            const height = toDots(field.size || DEFAULT_TEXT_SIZE, dpi);
+            return `${origin}^A0${orientation},${height},${height}${zplData(fieldText(field, 'text'))}`;
+        }
+        case 'barcode': {
+            const height = toDots(field.height || DEFAULT_BARCODE_HEIGHT, dpi);
+            const command = BARCODES[symbology(field)].zpl(orientation, height, field.hri === false ? 'N' : 'Y');
+            return `${origin}^BY${moduleWidth(field)}${command}${zplData(fieldText(field, 'data'))}`;
+        }
+        case 'qrcode': {
+            // Data is prefixed with the error correction level and "A" (automatic input)
+            const level = errorCorrection(field);
+            return `${origin}^BQN,2,${Math.min(Math.max(parseInt(field.size, 10) || 4, 1), 10)}` +
+                zplData(`${level}A,${fieldText(field, 'data')}`);
+        }
+        default:
+            throw new Error(`Unknown label field type: ${field.type}`);
+    }
+}
+
+function buildZpl(label, dpi) {
+    return [
+        '^XA',
+        '^CI28',
+        `^PW${toDots(label.width, dpi)}`,
+        `^LL${toDots(label.height, dpi)}`,
+        ...label.fields.map(field => zplField(field, dpi)),
+        `^PQ${quantity(label)}`,
+        '^XZ',
+        ''
+    ].join('\n');
+}
+
+/* ============================
+   TSPL
+============================ */
+// TSPL strings escape a double quote as \["]
+function tsplString(text) {
+    return `"${text.replace(/"/g, '\\["]')}"`;
+}
+
+function tsplField(field, dpi) {
+    const x = toDots(field.x, dpi);
+    const y = toDots(field.y, dpi);
+    const degrees = rotation(field);
+
+    switch (field.type || 'text') {
+        case 'text': {
+            // Font 3 is 24 dots high; larger text is scaled up by whole multiples
+            const scale = Math.min(Math.max(Math.round(toDots(field.size || DEFAULT_TEXT_SIZE, dpi) / 24), 1), 10);
+            return `TEXT ${x},${y},"3",${degrees},${scale},${scale},${tsplString(fieldText(field, 'text'))}`;
+        }
+        case 'barcode': {
+            const height = toDots(field.height || DEFAULT_BARCODE_HEIGHT, dpi);
+            const narrow = moduleWidth(field);
+            return `BARCODE ${x},${y},"${BARCODES[symbology(field)].tspl}",${height},${field.hri === false ? 0 : 1},` +
+                `${degrees},${narrow},${narrow * 2},${tsplString(fieldText(field, 'data'))}`;
+        }
+        case 'qrcode': {
+            const level = errorCorrection(field);
+            const cell = Math.min(Math.max(parseInt(field.size, 10) || 4, 1), 10);
+            return `QRCODE ${x},${y},${level},${cell},A,${degrees},${tsplString(fieldText(field, 'data'))}`;
+        }
+        default:
+            throw new Error(`Unknown label field type: ${field.type}`);
+    }
+}
+
+function buildTspl(label, dpi) {
+    return [
+        `SIZE ${Number(label.width)} mm,${Number(label.height)} mm`,
+        `GAP ${Number(label.gap === undefined ? 2 : label.gap)} mm,0 mm`,
+        'CODEPAGE UTF-8',
+        'CLS',
+        ...label.fields.map(field => tsplField(field, dpi)),
+        `PRINT ${quantity(label)},1`,
+        ''
+    ].join('\r\n');
+}
+
+/* ============================
+   LABELS
+============================ */
+// Options: dpi - printer resolution (203 or 300 dots per inch)
+function buildLabel(label, language, options = {}) {
+    validate(label);
+    const dpi = parseInt(options.dpi || label.dpi, 10) || DEFAULT_DPI;
+
+    switch (language) {
+        case 'zpl':
+            return Buffer.from(buildZpl(label, dpi), 'utf8');
+        case 'tspl':
+            return Buffer.from(buildTspl(label, dpi), 'utf8');
+        default:
+            throw Object.assign(new Error(`Labels need a ZPL or TSPL printer (this one speaks ${language || 'escpos'})`), { code: 'NOT_SUPPORTED' });
+    }
+}
+
+function testLabel() {
+    return {
+        width: 50,
+        height: 30,
+        fields: [
+            { type: 'text', text: 'AARAVPOS AGENT', x: 3, y: 3, size: 4 },
+            { type: 'text', text: new Date().toLocaleString(), x: 3, y: 9, size: 3 },
+            { type: 'barcode', data: 'TEST-LABEL', x: 3, y: 15, height: 8 }
+        ]
+    };
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_DPI,
+    buildLabel,
+    testLabel
+};
@@ -0,0 +1,68 @@
+// logo-store.js - NAMED LOGO CACHE (PNG files in the agent data directory)
+const fs = require('fs');
+const path = require('path');
+const { decodePng } = require('./png-decoder.js');
+const { toBuffer } = require('./image-raster.js');
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+class LogoStore {
+    constructor(options = {}) {
+        this.directory = options.directory;
+    }
+
+    filePath(name) {
+        if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid logo name: ${name} (letters, digits, "-" and "_" only)`);
+        }
+        return path.join(this.directory, `${name}.png`);
+    }
+
+    save(name, image) {
+        const file = this.filePath(name);
+        const png = toBuffer(image);
+        const { width, height } = decodePng(png); // Reject anything we could not print later
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.writeFileSync(file, png);
+        return { name, width, height, size: png.length };
+    }
+
+    load(name) {
+        const file = this.filePath(name);
+        if (!fs.existsSync(file)) {
+            throw new Error(`Unknown logo: ${name}`);
+        }
+        return fs.readFileSync(file);
+    }
+
+    remove(name) {
+        const file = this.filePath(name);
+        if (!fs.existsSync(file)) {
+            return false;
+        }
+        fs.unlinkSync(file);
+        return true;
+    }
+
+    list() {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.png'))
+            .map(file => {
+                const png = fs.readFileSync(path.join(this.directory, file));
+                // Width and height sit at fixed offsets in the IHDR chunk
+                return {
+                    name: path.basename(file, '.png'),
+                    width: png.length >= 24 ? png.readUInt32BE(16) : null,
+                    height: png.length >= 24 ? png.readUInt32BE(20) : null,
+                    size: png.length
+                };
+            });
+    }
+}
+
+module.exports = LogoStore;
@@ -4,13 +4,13 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const PrintServer = require('./print-server.js');
 const TrayMenu = require('./tray-menu.js');
+const ConfigStore = require('./config-store.js');
+const TemplateStore = require('./template-store.js');
 
-// Configuration
+// Configuration (user-editable settings live in the ConfigStore below)
 const config = {
     appName: 'AaravPOS Agent',
     appId: 'com.aaravpos.agent',
-    port: 9978,
-    autoStart: true,
     showStatusWindowOnStart: false
 };
 
@@ -19,6 +19,7 @@ let tray = null;
 let printServer = null;
 let isQuitting = false;
 let statusWindow = null;
+let settingsWindow = null;
 
 // Get the correct resource path (works in both dev and production)
 function getResourcePath(relativePath) {
@@ -37,6 +38,15 @@ if (!fsSync.existsSync(logsDir)) {
     fsSync.mkdirSync(logsDir, { recursive: true });
 }
 
+// Persistent agent settings (port, token, auto-start, log level, printer defaults)
+const settings = new ConfigStore({
+    filePath: path.join(app.getPath('userData'), 'config.json'),
+    log: (message) => console.log(message)
+}).load().ensureToken();
+
+// Receipt templates, shared with the print server (same directory)
+const templates = new TemplateStore({ directory: path.join(app.getPath('userData'), 'templates') });
+
 // Single instance lock
 const gotTheLock = app.requestSingleInstanceLock();
 if (!gotTheLock) {
@@ -184,7 +194,7 @@ function updateTrayMenu() {
 
     const status = printServer ? printServer.getStatus() : {
         isRunning: false,
-        port: config.port,
+        port: settings.get('server.port'),
         connections: 0,
         logPath: path.join(logsDir, 'aaravpos-agent.log')
     };
@@ -197,6 +207,15 @@ function updateTrayMenu() {
         () => {
             isQuitting = true;
             app.quit();
+        },
+        {
+            autoStart: settings.get('autoStart'),
+            onToggleAutoStart: (enabled) => saveSettings({ autoStart: enabled }),
+            onChangePort: () => showSettingsWindow(),
+            onResetToken: () => confirmResetToken(),
+            onOpenSettings: () => showSettingsWindow(),
+            pendingPairings: printServer ? printServer.pairing.listPending() : [],
+            onDenyPairing: (id) => denyPairing(id)
         }
     );
 
@@ -239,11 +258,105 @@ function showStatusWindow() {
     }
 }
 
+// Show settings window
+function showSettingsWindow() {
+    if (settingsWindow) {
+        settingsWindow.show();
+        settingsWindow.focus();
+        return;
+    }
+
+    settingsWindow = new BrowserWindow({
+        width: 520,
+        height: 780,
+        resizable: false,
+        webPreferences: {
+            nodeIntegration: false,
+            contextIsolation: true,
+            preload: path.join(__dirname, 'preload.js')
+        },
+        icon: getIconPath(),
+        title: `${config.appName} Settings`
+    });
+    settingsWindow.setMenuBarVisibility(false);
+    settingsWindow.loadFile(path.join(__dirname, 'settings.html'));
+    settingsWindow.on('closed', () => {
+        settingsWindow = null;
+    });
+}
+
+// Keep the OS login item in sync with the autoStart setting
+function applyAutoStart() {
+    app.setLoginItemSettings({
+        openAtLogin: settings.get('autoStart'),
+        path: app.getPath('exe')
+    });
+}
+
+// Validate, persist and apply settings; the server restarts when port or token change
+async function saveSettings(changes) {
+    const changed = settings.updateSettings(changes);
+
+    if (changed.includes('autoStart')) {
+        applyAutoStart();
+    }
+    if (changed.includes('port') || changed.includes('token')) {
+        await restartServer();
+    }
+
+    updateTrayMenu();
+    return changed;
+}
+
+async function confirmResetToken() {
+    const { response } = await dialog.showMessageBox({
+        type: 'warning',
+        buttons: ['Reset Token', 'Cancel'],
+        defaultId: 1,
+        cancelId: 1,
+        title: 'Reset Token',
+        message: 'Generate a new agent token?',
+        detail: 'Integrations using the agent token will be disconnected and must be updated. Paired clients keep their own tokens.'
+    });
+    if (response !== 0) return;
+
+    const token = settings.resetToken();
+    await restartServer();
+    updateTrayMenu();
+
+    dialog.showMessageBox({
+        type: 'info',
+        title: 'Token Reset',
+        message: 'The connection token has been reset.',
+        detail: `New token: ${token}`
+    });
+}
+
+// Deny a pending pairing request; approval comes from the device entering the code
+function denyPairing(requestId) {
+    if (!printServer) {
+        throw new Error('Print server is not running');
+    }
+
+    try {
+        printServer.pairing.deny(requestId);
+    } finally {
+        updateTrayMenu();
+    }
+}
+
+// A client asked to pair: bring up the status window so the cashier sees the code
+function onPairingRequest(request) {
+    console.log(`Pairing requested by ${request.clientName} (${request.origin || 'no origin'})`);
+    updateTrayMenu();
+    showStatusWindow();
+}
+
 // Restart print server
 async function restartServer() {
     if (printServer) {
         try {
-            await printServer.stop();
+            await printServer.stop({ restarting: true });
             printServer = null;
             updateTrayMenu();
 
@@ -261,13 +374,16 @@ async function restartServer() {
 
 // Start print server
 async function startPrintServer() {
-    printServer = new PrintServer();
+    printServer = new PrintServer({ dataDir: app.getPath('userData'), config: settings });
+    printServer.pairing.on('request', onPairingRequest);
+    printServer.pairing.on('approved', () => updateTrayMenu());
+    printServer.pairing.on('denied', () => updateTrayMenu());
 
     try {
         await printServer.start();
         console.log('Print server started successfully');
 
-        const startupLog = `${new Date().toISOString()} - ${config.appName} started on port ${config.port}\n`;
+        const startupLog = `${new Date().toISOString()} - ${config.appName} started on port ${settings.get('server.port')}\n`;
         const logPath = path.join(logsDir, 'aaravpos-agent.log');
         await fs.writeFile(logPath, startupLog, { flag: 'a' });
 
@@ -277,7 +393,7 @@ async function startPrintServer() {
         if (mainWindow && mainWindow.isVisible()) {
             dialog.showErrorBox(
                 'Server Error',
-                `Failed to start print server on port ${config.port}.\n\nError: ${error.message}`
+                `Failed to start print server on port ${settings.get('server.port')}.\n\nError: ${error.message}`
             );
         }
 
@@ -317,6 +433,131 @@ function setupIpcHandlers() {
             mainWindow.hide();
         }
     });
+
+    ipcMain.handle('get-settings', () => ({
+        ...settings.getSettings(),
+        logLevels: ConfigStore.LOG_LEVELS
+    }));
+
+    ipcMain.handle('save-settings', async (event, changes) => {
+        try {
+            const changed = await saveSettings(changes);
+            return { success: true, changed, settings: settings.getSettings() };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('reset-token', async () => {
+        const token = settings.resetToken();
+        await restartServer();
+        updateTrayMenu();
+        return { success: true, token };
+    });
+
+    ipcMain.handle('show-settings', () => {
+        showSettingsWindow();
+    });
+
+    ipcMain.handle('get-roles', async () => ({
+        roles: settings.getRoles(),
+        printers: printServer ? (await printServer.getPrinters()).map(p => p.name) : [],
+        groups: Object.keys(settings.getGroups())
+    }));
+
+    ipcMain.handle('set-role', (event, role, printerName) => {
+        try {
+            settings.setRole(role, printerName || null);
+            return { success: true, roles: settings.getRoles() };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('get-previews', () => (
+        printServer ? printServer.previews.map(({ html, ...preview }) => preview) : []
+    ));
+
+    ipcMain.handle('get-preview', (event, id) => {
+        const preview = printServer && printServer.previews.find(p => p.id === id);
+        return preview ? preview.html : null;
+    });
+
+    ipcMain.handle('list-templates', () => templates.list());
+
+    ipcMain.handle('preview-template', (event, name) => {
+        try {
+            return { success: true, text: templates.preview(name, null, settings.get('printerDefaults')) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('import-template', async () => {
+        const { canceled, filePaths } = await dialog.showOpenDialog(statusWindow, {
+            title: 'Import Receipt Template',
+            filters: [{ name: 'Receipt Templates', extensions: ['json'] }],
+            properties: ['openFile']
+        });
+        if (canceled || !filePaths.length) return { success: false, canceled: true };
+
+        try {
+            return { success: true, template: templates.importFile(filePaths[0]) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('export-template', async (event, name) => {
+        const { canceled, filePath } = await dialog.showSaveDialog(statusWindow, {
+            title: 'Export Receipt Template',
+            defaultPath: `${name}.json`,
+            filters: [{ name: 'Receipt Templates', extensions: ['json'] }]
+        });
+        if (canceled || !filePath) return { success: false, canceled: true };
+
+        try {
+            templates.exportFile(name, filePath);
+            return { success: true, filePath };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('delete-template', (event, name) => {
+        try {
+            return templates.remove(name) ? { success: true } : { success: false, error: `Unknown template: ${name}` };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('get-pairing', () => ({
+        pending: printServer ? printServer.pairing.listPending() : [],
+        clients: settings.get('clients').map(({ tokenHash, ...client }) => client)
+    }));
+
+    ipcMain.handle('deny-pairing', (event, requestId) => {
+        try {
+            denyPairing(requestId);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle('revoke-client', (event, clientId) => {
+        try {
+            if (printServer) {
+                printServer.pairing.revoke(clientId);
+            } else {
+                settings.set('clients', settings.get('clients').filter(c => c.id !== clientId));
+            }
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
 }
 
 // Create default status page
@@ -392,7 +633,7 @@ function createDefaultStatusPage() {
             </div>
             <div class="status-item">
                 <span class="status-label">Port:</span>
-                <span class="status-value" id="portValue">${config.port}</span>
+                <span class="status-value" id="portValue">${settings.get('server.port')}</span>
             </div>
             <div class="status-item">
                 <span class="status-label">Connections:</span>
@@ -460,13 +701,7 @@ app.whenReady().then(async () => {
     await createMainWindow();
     createTray();
     await startPrintServer();
-
-    if (config.autoStart) {
-        app.setLoginItemSettings({
-            openAtLogin: true,
-            path: app.getPath('exe')
-        });
-    }
+    applyAutoStart();
 });
 
 app.on('second-instance', () => {
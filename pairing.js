@@ -0,0 +1,240 @@
+// pairing.js - PER-CLIENT PAIRING AND TOKENS
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const REQUEST_TTL = 2 * 60 * 1000;
+const MAX_PENDING = 5;
+// Wrong codes allowed before a request is denied
+const CODE_ATTEMPTS = 3;
+// lastSeenAt is kept in memory and written to the config at most this often
+const LAST_SEEN_SAVE_INTERVAL = 60 * 1000;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function sameHash(a, b) {
+    const left = Buffer.from(a, 'hex');
+    const right = Buffer.from(b, 'hex');
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/*
+ * A client from an allowed origin asks to pair and the agent shows the
+ * request (client name, origin and a short code) to the cashier. The code is
+ * never sent to the client: the cashier enters it on the device that asked,
+ * which sends it back with confirm(), and only then does the client get its
+ * own token. Tokens are stored hashed in the config together with the origin
+ * they were issued to.
+ *
+ * Events: 'request' (pending), 'approved' (pending, token, client),
+ *         'denied' (pending, reason), 'revoked' (client)
+ */
+class PairingManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.config = options.config;
+        this.log = options.log || (() => {});
+        this.pending = new Map();
+        // Client id -> lastSeenAt not yet written to the config
+        this.lastSeen = new Map();
+        this.lastSeenSavedAt = 0;
+    }
+
+    /* ============================
+       PAIRING REQUESTS
+    ============================ */
+    // Browsers may only ask from an allowed origin: approving a request makes
+    // its origin CORS-allowed, so any page could otherwise talk its way in
+    request({ clientName, origin }) {
+        if (origin && !this.config.get('allowedOrigins').includes(origin)) {
+            this.log(`🚫 Pairing refused for ${origin} (not an allowed origin)`);
+            throw Object.assign(new Error(`Origin ${origin} is not allowed to pair with this agent`), { code: 'UNAUTHORIZED' });
+        }
+        this.expire();
+        if (this.pending.size >= MAX_PENDING) {
+            throw new Error('Too many pending pairing requests, try again later');
+        }
+
+        const request = {
+            id: crypto.randomUUID(),
+            clientName: String(clientName || 'Unnamed client').substring(0, 64),
+            origin: origin || null,
+            code: String(crypto.randomInt(0, 1000000)).padStart(6, '0'),
+            attempts: 0,
+            createdAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + REQUEST_TTL).toISOString()
+        };
+        request.timer = setTimeout(() => this.deny(request.id, 'expired'), REQUEST_TTL);
+
+        this.pending.set(request.id, request);
+        this.log(`🔗 Pairing requested by "${request.clientName}" (${request.origin || 'no origin'})`);
+        this.emit('request', PairingManager.describe(request));
+        return PairingManager.describe(request);
+    }
+
+    // The code the cashier read off the agent, sent by the device that asked
+    confirm(requestId, code) {
+        const request = this.pending.get(requestId);
+        if (!request) {
+            throw new Error('Unknown or expired pairing request');
+        }
+        if (!sameHash(hashToken(code), hashToken(request.code))) {
+            request.attempts++;
+            const attemptsLeft = CODE_ATTEMPTS - request.attempts;
+            if (attemptsLeft <= 0) {
+                this.deny(requestId, 'denied after too many wrong codes');
+            }
+            throw Object.assign(new Error(`Wrong pairing code${attemptsLeft > 0 ? `, ${attemptsLeft} attempt(s) left` : ''}`), {
+                code: 'UNAUTHORIZED',
+                attemptsLeft: Math.max(attemptsLeft, 0)
+            });
+        }
+        return this.approve(requestId);
+    }
+
+    approve(requestId) {
+        const request = this.take(requestId);
+        const token = crypto.randomBytes(32).toString('base64url');
+        const client = {
+            id: crypto.randomUUID(),
+            name: request.clientName,
+            origin: request.origin,
+            tokenHash: hashToken(token),
+            createdAt: new Date().toISOString(),
+            lastSeenAt: null
+        };
+
+        this.config.set('clients', [...this.config.get('clients'), client]);
+        this.log(`✅ Paired "${client.name}" (${client.origin || 'no origin'})`);
+        this.emit('approved', PairingManager.describe(request), token, PairingManager.describeClient(client));
+        return PairingManager.describeClient(client);
+    }
+
+    deny(requestId, reason = 'denied') {
+        if (!this.pending.has(requestId)) return;
+        const request = this.take(requestId);
+        this.log(`🚫 Pairing for "${request.clientName}" ${reason}`);
+        this.emit('denied', PairingManager.describe(request), reason);
+    }
+
+    cancel(requestId) {
+        if (this.pending.has(requestId)) this.take(requestId);
+    }
+
+    // Drops all pending requests (server shutdown)
+    clear() {
+        [...this.pending.keys()].forEach(id => this.cancel(id));
+    }
+
+    listPending() {
+        this.expire();
+        return [...this.pending.values()].map(PairingManager.describe);
+    }
+
+    take(requestId) {
+        const request = this.pending.get(requestId);
+        if (!request) {
+            throw new Error('Unknown or expired pairing request');
+        }
+        clearTimeout(request.timer);
+        this.pending.delete(requestId);
+        return request;
+    }
+
+    expire() {
+        const now = Date.now();
+        [...this.pending.values()]
+            .filter(request => Date.parse(request.expiresAt) <= now)
+            .forEach(request => this.deny(request.id, 'expired'));
+    }
+
+    /* ============================
+       CLIENTS AND TOKENS
+    ============================ */
+    // The agent token is for local integrations; browsers using it must come
+    // from an allowed origin. Paired client tokens are checked by verify().
+    authenticate(token, origin) {
+        if (!token) return null;
+
+        const agentToken = this.config.get('server.token');
+        if (agentToken && sameHash(hashToken(token), hashToken(agentToken))) {
+            if (origin && !this.config.get('allowedOrigins').includes(origin)) {
+                return null;
+            }
+            return { id: 'agent', name: 'Agent token', origin };
+        }
+        return this.verify(token, origin);
+    }
+
+    // Returns the paired client for a token, or null. A token only works from
+    // the origin it was issued to; one issued without an origin (a native
+    // client) is refused from every browser origin.
+    verify(token, origin) {
+        if (!token) return null;
+
+        const hash = hashToken(token);
+        const clients = this.config.get('clients');
+        const client = clients.find(c => sameHash(c.tokenHash, hash));
+        if (!client || (client.origin || null) !== (origin || null)) {
+            return null;
+        }
+
+        client.lastSeenAt = new Date().toISOString();
+        this.lastSeen.set(client.id, client.lastSeenAt);
+        if (Date.now() - this.lastSeenSavedAt >= LAST_SEEN_SAVE_INTERVAL) {
+            this.flush();
+        }
+        return PairingManager.describeClient(client);
+    }
+
+    // Writes pending lastSeenAt times to the config (throttled, and at shutdown)
+    flush() {
+        this.lastSeenSavedAt = Date.now();
+        if (this.lastSeen.size === 0) return;
+
+        const clients = this.config.get('clients').map(client => (
+            this.lastSeen.has(client.id) ? { ...client, lastSeenAt: this.lastSeen.get(client.id) } : client
+        ));
+        this.lastSeen.clear();
+        this.config.set('clients', clients);
+    }
+
+    revoke(clientId) {
+        const clients = this.config.get('clients');
+        const client = clients.find(c => c.id === clientId);
+        if (!client) {
+            throw new Error(`Unknown client: ${clientId}`);
+        }
+
+        this.config.set('clients', clients.filter(c => c.id !== clientId));
+        this.log(`🔒 Revoked token for "${client.name}"`);
+        this.emit('revoked', PairingManager.describeClient(client));
+    }
+
+    listClients() {
+        return this.config.get('clients').map(client => PairingManager.describeClient({
+            ...client,
+            lastSeenAt: this.lastSeen.get(client.id) || client.lastSeenAt
+        }));
+    }
+
+    // Origins browsers may call from: configured ones plus those of paired clients
+    isOriginAllowed(origin) {
+        return this.config.get('allowedOrigins').includes(origin)
+            || this.config.get('clients').some(client => client.origin === origin);
+    }
+
+    // For the agent's own UI only: includes the code
+    static describe(request) {
+        const { timer, attempts, ...info } = request;
+        return info;
+    }
+
+    static describeClient(client) {
+        const { tokenHash, ...info } = client;
+        return info;
+    }
+}
+
+module.exports = PairingManager;
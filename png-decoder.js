@@ -0,0 +1,178 @@
+// png-decoder.js - MINIMAL PNG DECODER (non-interlaced, all color types)
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// Samples per pixel for each PNG color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Largest image decoded (width x height), about 64 MB of RGBA
+const MAX_PIXELS = 16 * 1024 * 1024;
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+function readChunks(buffer) {
+    const chunks = [];
+    let offset = SIGNATURE.length;
+
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        if (data.length !== length) {
+            throw new Error('Truncated PNG data');
+        }
+        chunks.push({ type, data });
+        offset += 12 + length;
+        if (type === 'IEND') break;
+    }
+
+    return chunks;
+}
+
+// Reverses the per-scanline filters in place and returns the raw scanlines
+function unfilter(data, height, stride, bytesPerPixel) {
+    const output = Buffer.alloc(height * stride);
+    let previous = Buffer.alloc(stride);
+
+    for (let y = 0; y < height; y++) {
+        const filter = data[y * (stride + 1)];
+        const line = data.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const current = output.subarray(y * stride, (y + 1) * stride);
+
+        for (let x = 0; x < stride; x++) {
+            const left = x >= bytesPerPixel ? current[x - bytesPerPixel] : 0;
+            const up = previous[x];
+            const upLeft = x >= bytesPerPixel ? previous[x - bytesPerPixel] : 0;
+            let value;
+
+            switch (filter) {
+                case 0: value = line[x]; break;
+                case 1: value = line[x] + left; break;
+                case 2: value = line[x] + up; break;
+                case 3: value = line[x] + ((left + up) >> 1); break;
+                case 4: value = line[x] + paeth(left, up, upLeft); break;
+                default: throw new Error(`Invalid PNG filter type ${filter}`);
+            }
+            current[x] = value & 0xFF;
+        }
+        previous = current;
+    }
+
+    return output;
+}
+
+/*
+ * Decodes a PNG into { width, height, data } where data holds 8-bit RGBA
+ * pixels, row by row.
+ */
+function decodePng(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < SIGNATURE.length || !buffer.subarray(0, 8).equals(SIGNATURE)) {
+        throw new Error('Image is not a PNG file');
+    }
+
+    const chunks = readChunks(buffer);
+    const header = chunks.find(chunk => chunk.type === 'IHDR');
+    if (!header) {
+        throw new Error('PNG is missing its header');
+    }
+
+    const width = header.data.readUInt32BE(0);
+    const height = header.data.readUInt32BE(4);
+    const bitDepth = header.data[8];
+    const colorType = header.data[9];
+    const interlace = header.data[12];
+    const channels = CHANNELS[colorType];
+
+    if (!channels || ![1, 2, 4, 8, 16].includes(bitDepth)) {
+        throw new Error(`Unsupported PNG format (color type ${colorType}, bit depth ${bitDepth})`);
+    }
+    if (interlace !== 0) {
+        throw new Error('Interlaced PNG images are not supported');
+    }
+    if (width === 0 || height === 0 || width * height > MAX_PIXELS) {
+        throw new Error(`Unsupported PNG size ${width}x${height}`);
+    }
+
+    const palette = chunks.find(chunk => chunk.type === 'PLTE');
+    const transparency = chunks.find(chunk => chunk.type === 'tRNS');
+    const compressed = Buffer.concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data));
+
+    const bitsPerPixel = channels * bitDepth;
+    const stride = Math.ceil((width * bitsPerPixel) / 8);
+    // A small IDAT can inflate to gigabytes; nothing past the scanlines is used
+    let inflated;
+    try {
+        inflated = zlib.inflateSync(compressed, { maxOutputLength: height * (stride + 1) });
+    } catch (error) {
+        if (error.code !== 'ERR_BUFFER_TOO_LARGE') throw error;
+        throw new Error('PNG image data is larger than its header says');
+    }
+    if (inflated.length < height * (stride + 1)) {
+        throw new Error('Truncated PNG image data');
+    }
+
+    const raw = unfilter(inflated, height, stride, Math.max(bitsPerPixel >> 3, 1));
+    const maxValue = (1 << Math.min(bitDepth, 8)) - 1;
+
+    // Sample n of the pixel at x in a scanline, scaled to 0-255 (palette indices unscaled)
+    const sample = (line, x, n) => {
+        if (bitDepth === 16) {
+            return line[(x * channels + n) * 2];
+        }
+        if (bitDepth === 8) {
+            return line[x * channels + n];
+        }
+        const bitOffset = (x * channels + n) * bitDepth;
+        const value = (line[bitOffset >> 3] >> (8 - bitDepth - (bitOffset & 7))) & maxValue;
+        return colorType === 3 ? value : Math.round((value * 255) / maxValue);
+    };
+
+    const data = Buffer.alloc(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        const line = raw.subarray(y * stride, (y + 1) * stride);
+
+        for (let x = 0; x < width; x++) {
+            const out = (y * width + x) * 4;
+            let r, g, b, a = 255;
+
+            if (colorType === 3) {
+                const index = sample(line, x, 0);
+                if (!palette || index * 3 + 2 >= palette.data.length) {
+                    throw new Error('PNG palette index out of range');
+                }
+                r = palette.data[index * 3];
+                g = palette.data[index * 3 + 1];
+                b = palette.data[index * 3 + 2];
+                if (transparency && index < transparency.data.length) {
+                    a = transparency.data[index];
+                }
+            } else if (colorType === 0 || colorType === 4) {
+                r = g = b = sample(line, x, 0);
+                if (colorType === 4) a = sample(line, x, 1);
+            } else {
+                r = sample(line, x, 0);
+                g = sample(line, x, 1);
+                b = sample(line, x, 2);
+                if (colorType === 6) a = sample(line, x, 3);
+            }
+
+            data[out] = r;
+            data[out + 1] = g;
+            data[out + 2] = b;
+            data[out + 3] = a;
+        }
+    }
+
+    return { width, height, data };
+}
+
+module.exports = { MAX_PIXELS, decodePng };
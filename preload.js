@@ -16,6 +16,32 @@ contextBridge.exposeInMainWorld('electron', {
     
     // Hide the window
     hideWindow: () => ipcRenderer.invoke('hide-window'),
+
+    // Agent settings
+    getSettings: () => ipcRenderer.invoke('get-settings'),
+    saveSettings: (changes) => ipcRenderer.invoke('save-settings', changes),
+    resetToken: () => ipcRenderer.invoke('reset-token'),
+    showSettings: () => ipcRenderer.invoke('show-settings'),
+
+    // Printer roles (receipt, kitchen, ...)
+    getRoles: () => ipcRenderer.invoke('get-roles'),
+    setRole: (role, printerName) => ipcRenderer.invoke('set-role', role, printerName),
+
+    // Jobs rendered by the Preview printer
+    getPreviews: () => ipcRenderer.invoke('get-previews'),
+    getPreview: (id) => ipcRenderer.invoke('get-preview', id),
+
+    // Receipt templates
+    listTemplates: () => ipcRenderer.invoke('list-templates'),
+    previewTemplate: (name) => ipcRenderer.invoke('preview-template', name),
+    importTemplate: () => ipcRenderer.invoke('import-template'),
+    exportTemplate: (name) => ipcRenderer.invoke('export-template', name),
+    deleteTemplate: (name) => ipcRenderer.invoke('delete-template', name),
+
+    // Client pairing
+    getPairing: () => ipcRenderer.invoke('get-pairing'),
+    denyPairing: (requestId) => ipcRenderer.invoke('deny-pairing', requestId),
+    revokeClient: (clientId) => ipcRenderer.invoke('revoke-client', clientId),
     
     // Platform info
     platform: process.platform,
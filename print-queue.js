@@ -0,0 +1,324 @@
+// print-queue.js - PERSISTENT PRINT JOB QUEUE
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Finished jobs kept on disk so clients can still query their status
+const MAX_FINISHED_JOBS = 200;
+
+// Error codes (see protocol.js) that another attempt cannot fix
+const PERMANENT_ERRORS = ['PRINTER_NOT_FOUND', 'INVALID_PAYLOAD'];
+
+// Status changes are written together at most this often; new jobs are
+// written at once so they survive a crash
+const SAVE_DELAY = 250;
+
+/*
+ * Jobs are serialized per target: each printer or group has a "lane" (a
+ * promise chain) and a job only starts once the previous job on that target
+ * has finished. A job targeting a failover group tries each printer in turn,
+ * retrying per that printer's policy, and holds a per-printer lock while it
+ * does so. Queued jobs are written to disk so they survive a restart;
+ * later changes to them are batched (see saveSoon).
+ *
+ * Events: 'queued' (job), 'printing' (job), 'completed' (job), 'failed' (job, error)
+ */
+class PrintQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.filePath = options.filePath;
+        // (printerName, buffer, { jobId, type, requestId, attempt }) -> Promise
+        this.print = options.print;
+        this.resolvePrinters = options.resolvePrinters || (name => [name]);
+        this.getRetryPolicy = options.getRetryPolicy || (() => ({ retries: 0 }));
+        this.log = options.log || (() => {});
+        this.maxFinishedJobs = options.maxFinishedJobs || MAX_FINISHED_JOBS;
+        this.saveDelay = options.saveDelay === undefined ? SAVE_DELAY : options.saveDelay;
+
+        this.jobs = new Map();
+        this.lanes = new Map();
+        this.locks = new Map();
+        this.pending = new Map();
+        // Wake-up functions of retry backoffs in progress, cut short by close()
+        this.sleeps = new Set();
+        this.saveTimer = null;
+        this.closed = false;
+    }
+
+    /* ============================
+       PERSISTENCE
+    ============================ */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            (stored.jobs || []).forEach(job => this.jobs.set(job.id, job));
+        } catch (error) {
+            this.log(`⚠️ Could not read job queue (${error.message}), starting empty`);
+            return;
+        }
+
+        // Resume anything that had not finished before the agent stopped
+        const unfinished = [...this.jobs.values()].filter(job => job.status === 'queued' || job.status === 'printing');
+        unfinished.forEach(job => {
+            job.status = 'queued';
+            job.resumed = true;
+            this.schedule(job);
+        });
+
+        if (unfinished.length > 0) {
+            this.log(`♻️ Resumed ${unfinished.length} unfinished print job(s)`);
+        }
+    }
+
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tempFile = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify({ jobs: [...this.jobs.values()] }));
+            fs.renameSync(tempFile, this.filePath);
+        } catch (error) {
+            this.log(`❌ Failed to save job queue: ${error.message}`);
+        }
+    }
+
+    // One write for every change made within saveDelay, instead of
+    // rewriting the whole queue on each attempt and status change
+    saveSoon() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.save(), this.saveDelay);
+    }
+
+    /* ============================
+       JOBS
+    ============================ */
+    enqueue(printerName, buffer, meta = {}) {
+        if (!printerName) {
+            throw new Error('Missing printer name');
+        }
+        if (this.closed) {
+            throw new Error('Print queue is shut down');
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            type: meta.type || 'raw',
+            requestId: meta.requestId || null,
+            printerName: printerName,
+            status: 'queued',
+            printedBy: null,
+            attempts: 0,
+            error: null,
+            errorCode: null,
+            createdAt: now,
+            updatedAt: now,
+            data: buffer.toString('base64')
+        };
+
+        this.jobs.set(job.id, job);
+        this.save();
+        this.schedule(job);
+
+        this.log(`🧾 Job ${job.id} queued for ${printerName} (${job.type})`);
+        this.emit('queued', PrintQueue.describe(job));
+        return job;
+    }
+
+    // Resolves with the finished job (completed or failed)
+    waitFor(jobId) {
+        if (this.pending.has(jobId)) {
+            return this.pending.get(jobId);
+        }
+        return Promise.resolve(this.jobs.get(jobId) || null);
+    }
+
+    getJob(jobId) {
+        const job = this.jobs.get(jobId);
+        return job ? PrintQueue.describe(job) : null;
+    }
+
+    listJobs(filter = {}) {
+        let jobs = [...this.jobs.values()];
+
+        if (filter.status) {
+            jobs = jobs.filter(job => job.status === filter.status);
+        }
+        if (filter.printerName) {
+            jobs = jobs.filter(job => job.printerName === filter.printerName);
+        }
+
+        jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        if (filter.limit) {
+            jobs = jobs.slice(0, filter.limit);
+        }
+
+        return jobs.map(PrintQueue.describe);
+    }
+
+    // Job as reported to clients (without the raw print data)
+    static describe(job) {
+        const { data, ...info } = job;
+        return info;
+    }
+
+    /* ============================
+       EXECUTION
+    ============================ */
+    schedule(job) {
+        const previous = this.lanes.get(job.printerName) || Promise.resolve();
+        const current = previous.then(() => this.run(job));
+
+        this.lanes.set(job.printerName, current);
+        this.pending.set(job.id, current.then(() => this.jobs.get(job.id)));
+
+        current.then(() => {
+            this.pending.delete(job.id);
+            if (this.lanes.get(job.printerName) === current) {
+                this.lanes.delete(job.printerName);
+            }
+        });
+    }
+
+    // Never rejects, so one failed job does not break its printer's lane
+    async run(job) {
+        if (this.closed) {
+            return;
+        }
+
+        this.update(job, { status: 'printing', attempts: 0 });
+        this.emit('printing', PrintQueue.describe(job));
+
+        const printers = this.resolvePrinters(job.printerName);
+        const errors = [];
+        let errorCode = null;
+
+        for (const printerName of printers) {
+            try {
+                await this.withPrinterLock(printerName, () => this.attempt(job, printerName));
+
+                this.update(job, { status: 'completed', printedBy: printerName, error: null, errorCode: null, data: undefined });
+                this.log(`✅ Job ${job.id} completed on ${printerName} after ${job.attempts} attempt(s)`);
+                this.emit('completed', PrintQueue.describe(job));
+                this.finish();
+                return;
+            } catch (error) {
+                errors.push(`${printerName}: ${error.message}`);
+                errorCode = error.code || null;
+
+                if (this.closed) {
+                    // Shutting down mid-retry: leave the job for the next start
+                    this.update(job, { status: 'queued' });
+                    return;
+                }
+                if (printers.indexOf(printerName) < printers.length - 1) {
+                    this.log(`↪️ Job ${job.id} failing over from ${printerName}`);
+                }
+            }
+        }
+
+        const message = errors.join('; ');
+        // The last printer tried decides the code, e.g. PRINTER_OFFLINE
+        this.update(job, { status: 'failed', error: message, errorCode, data: undefined });
+        this.log(`❌ Job ${job.id} failed: ${message}`);
+        this.emit('failed', PrintQueue.describe(job), new Error(message));
+        this.finish();
+    }
+
+    // One printer, retried with exponential backoff per its retry policy;
+    // permanent errors (an unknown printer) are not retried
+    async attempt(job, printerName) {
+        const policy = this.getRetryPolicy(printerName);
+        const tries = Math.max(parseInt(policy.retries, 10) || 0, 0) + 1;
+        let delay = policy.backoffMs || 0;
+
+        for (let i = 1; ; i++) {
+            this.update(job, { attempts: job.attempts + 1 });
+
+            try {
+                return await this.print(printerName, Buffer.from(job.data, 'base64'), {
+                    jobId: job.id,
+                    type: job.type,
+                    requestId: job.requestId,
+                    attempt: job.attempts
+                });
+            } catch (error) {
+                if (i >= tries || this.closed || PERMANENT_ERRORS.includes(error.code)) {
+                    throw error;
+                }
+                this.log(`🔁 Job ${job.id} attempt ${i} on ${printerName} failed (${error.message}), retrying in ${delay}ms`);
+                await this.sleep(delay);
+                if (this.closed) {
+                    throw error;
+                }
+                delay = Math.min(delay * (policy.backoffFactor || 1), policy.maxBackoffMs || delay);
+            }
+        }
+    }
+
+    // Retry backoff that close() ends early
+    sleep(ms) {
+        return new Promise((resolve) => {
+            const wake = () => {
+                clearTimeout(timer);
+                this.sleeps.delete(wake);
+                resolve();
+            };
+            const timer = setTimeout(wake, ms);
+            this.sleeps.add(wake);
+        });
+    }
+
+    withPrinterLock(printerName, task) {
+        const previous = this.locks.get(printerName) || Promise.resolve();
+        const current = previous.then(task);
+        const settled = current.catch(() => {});
+
+        this.locks.set(printerName, settled);
+        settled.then(() => {
+            if (this.locks.get(printerName) === settled) {
+                this.locks.delete(printerName);
+            }
+        });
+
+        return current;
+    }
+
+    finish() {
+        this.prune();
+        this.saveSoon();
+    }
+
+    update(job, changes) {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        if (job.data === undefined) {
+            delete job.data;
+        }
+        this.saveSoon();
+    }
+
+    prune() {
+        const finished = [...this.jobs.values()]
+            .filter(job => job.status === 'completed' || job.status === 'failed')
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+        finished.slice(this.maxFinishedJobs).forEach(job => this.jobs.delete(job.id));
+    }
+
+    // Lets in-flight attempts finish and cuts retry backoffs short; queued
+    // jobs stay on disk for the next start
+    async close() {
+        this.closed = true;
+        [...this.sleeps].forEach(wake => wake());
+        await Promise.all([...this.lanes.values()]);
+        this.save();
+    }
+}
+
+module.exports = PrintQueue;
@@ -1,14 +1,207 @@
 // print-server.js - macOS OPTIMIZED VERSION
 const WebSocket = require('ws');
+const http = require('http');
+const crypto = require('crypto');
 const os = require('os');
 const fs = require('fs');
-const { exec } = require('child_process');
+const { execFile, spawn } = require('child_process');
 const path = require('path');
+const escpos = require('./escpos.js');
+const ReceiptBuilder = require('./receipt-builder.js');
+const PrintQueue = require('./print-queue.js');
+const ConfigStore = require('./config-store.js');
+const TcpTransport = require('./tcp-transport.js');
+const FileTransport = require('./file-transport.js');
+const DeviceTransport = require('./device-transport.js');
+const printerStatus = require('./printer-status.js');
+const DrawerMonitor = require('./drawer-monitor.js');
+const LogoStore = require('./logo-store.js');
+const TemplateStore = require('./template-store.js');
+const imageRaster = require('./image-raster.js');
+const codepages = require('./codepages.js');
+const PairingManager = require('./pairing.js');
+const protocol = require('./protocol.js');
+const kitchenTickets = require('./kitchen-tickets.js');
+const escposPreview = require('./escpos-preview.js');
+const labelBuilder = require('./label-builder.js');
+const CustomerDisplay = require('./customer-display.js');
+const BarcodeScanner = require('./barcode-scanner.js');
+const WeighingScale = require('./weighing-scale.js');
+
+// A line holding only [[barcode:CODE128:ORD-1001]], [[qrcode:https://...]],
+// [[pdf417:...]] or [[logo:store-logo]]
+const INLINE_CODE = /^[ \t]*\[\[(barcode|qrcode|pdf417|logo):([^\n]*?)\]\][ \t]*$/gm;
+
+const LOG_LEVELS = ConfigStore.LOG_LEVELS;
+
+// Spooler names: no control characters or path separators (Windows share names)
+const PRINTER_NAME = /^[^\x00-\x1f\x7f\\/]{1,127}$/;
+// Windows network printer connections are named by their UNC path: \\server\printer
+const WINDOWS_UNC_PRINTER = /^\\\\[^\x00-\x1f\x7f\\/]+\\[^\x00-\x1f\x7f\\/]+$/;
+
+// How long discovered system printers are trusted before re-checking
+const SYSTEM_PRINTERS_TTL = 30 * 1000;
+
+// Printers set to ZPL or TSPL take label code, not ESC/POS
+function isLabelPrinter(options) {
+    return !!options.language && options.language !== 'escpos';
+}
+
+function labelPrinterError(options) {
+    return Object.assign(new Error(`Not supported on a ${options.language.toUpperCase()} label printer (use print_label)`), { code: 'NOT_SUPPORTED' });
+}
+
+// A malformed percent escape is the client's mistake (400), not ours
+function decodePathSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        throw Object.assign(new Error(`Malformed URL path segment: ${segment}`), { code: 'INVALID_MESSAGE' });
+    }
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            if (!chunks) return;
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                // The rest is read and dropped so the 413 reply still reaches
+                // the client; the connection closes after it
+                chunks = null;
+                reject(Object.assign(new Error('Request body too large'), { code: 'INVALID_MESSAGE', status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (!chunks) return;
+            const text = Buffer.concat(chunks).toString('utf8');
+            try {
+                const body = text ? JSON.parse(text) : {};
+                if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                    throw new Error('expected an object');
+                }
+                resolve(body);
+            } catch (error) {
+                reject(Object.assign(new Error(`Invalid JSON body: ${error.message}`), { code: 'INVALID_MESSAGE' }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Runs a command without a shell and writes input to its stdin
+function runWithInput(command, args, input, timeout = 10000) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { windowsHide: true });
+        let stdout = '';
+        let stderr = '';
+
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(Object.assign(new Error(`${command} timed out after ${timeout}ms`), { code: 'TIMEOUT' }));
+        }, timeout);
+
+        child.stdout.on('data', chunk => { stdout += chunk; });
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        child.on('close', (code) => {
+            clearTimeout(timer);
+            if (code === 0) {
+                resolve(stdout.trim());
+            } else {
+                reject(Object.assign(new Error(`${command} exited with code ${code}${stderr ? `: ${stderr.trim()}` : ''}`), { code: 'PRINT_FAILED' }));
+            }
+        });
+
+        // A spooler that exits early closes stdin; the exit code reports why
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+    });
+}
+
+// REST endpoints, each mapped onto a WebSocket message type. Failed replies
+// get the HTTP status of their error code (protocol.httpStatus). Requests
+// may declare their protocol version with an X-Protocol-Version header; the
+// API had no version 1 clients, so without one they get the current version.
+const HTTP_ROUTES = [
+    { method: 'GET', path: /^\/health$/, toMessage: () => ({ type: 'health' }) },
+    { method: 'GET', path: /^\/printers$/, toMessage: () => ({ type: 'list_printers' }) },
+    { method: 'GET', path: /^\/weight$/, toMessage: () => ({ type: 'read_weight' }) },
+    {
+        method: 'POST',
+        path: /^\/print$/,
+        successStatus: 202,
+        toMessage: (match, body) => ({ type: body.document ? 'print_receipt' : 'print_text', payload: body })
+    },
+    {
+        method: 'POST',
+        path: /^\/orders$/,
+        toMessage: (match, body) => ({ type: 'print_order', payload: body })
+    },
+    {
+        method: 'POST',
+        path: /^\/templates\/([^/]+)\/print$/,
+        successStatus: 202,
+        toMessage: (match, body) => ({
+            type: 'print_template',
+            payload: { ...body, template: decodePathSegment(match[1]) }
+        })
+    },
+    {
+        method: 'POST',
+        path: /^\/labels$/,
+        successStatus: 202,
+        toMessage: (match, body) => ({ type: 'print_label', payload: body })
+    },
+    {
+        method: 'POST',
+        path: /^\/preview$/,
+        toMessage: (match, body) => ({ type: 'render_preview', payload: body })
+    },
+    {
+        method: 'POST',
+        path: /^\/drawer\/open$/,
+        toMessage: (match, body) => ({ type: 'open_cash_drawer', payload: body })
+    },
+    {
+        method: 'GET',
+        path: /^\/jobs\/([^/]+)$/,
+        toMessage: (match) => ({ type: 'job_status', payload: { jobId: decodePathSegment(match[1]) } })
+    }
+];
+
+// Largest accepted HTTP request body (receipts may carry base64 images)
+const MAX_BODY_SIZE = 10 * 1024 * 1024;
+
+// Virtual printer that renders jobs to HTML instead of printing them; the
+// status window shows the most recent renderings
+const PREVIEW_PRINTER = 'Preview';
+const PREVIEW_HISTORY = 20;
+
+// Scanner and scale names (config keys and event payloads)
+const INPUT_NAME = /^[A-Za-z0-9 _-]{1,64}$/;
+
+// Event topics (protocol.EVENT_TOPICS) for clients that never send
+// subscribe; drawer events were broadcast to everyone before topics existed
+const LEGACY_TOPICS = ['drawer', 'agent'];
+
+// Sockets are pinged this often; one that has not answered the previous
+// ping is dropped
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+// Unpaired sockets are closed after this long
+const UNAUTHENTICATED_TIMEOUT = 3 * 60 * 1000;
 
 class PrintServer {
-    constructor() {
-        this.PORT = 9978;
-        this.AUTH_TOKEN = 'supersecret';
+    constructor(options = {}) {
         this.wss = null;
         this.server = null;
 
@@ -24,9 +217,143 @@ class PrintServer {
         } else {
             this.logPath = path.join(os.tmpdir(), 'aaravpos-print-server.log');
         }
+
+        // Agent data (job queue etc.) - main.js passes Electron's userData
+        this.dataDir = options.dataDir || path.join(os.homedir(), '.aaravpos-agent');
+        this.config = options.config || new ConfigStore({
+            filePath: path.join(this.dataDir, 'config.json'),
+            log: (message) => this.log(message)
+        }).load().ensureToken();
+        this.PORT = this.config.get('server.port');
+        this.queue = new PrintQueue({
+            filePath: path.join(this.dataDir, 'print-jobs.json'),
+            print: (printerName, buffer, meta) => this.sendToPrinter(printerName, buffer, meta),
+            resolvePrinters: (name) => this.config.resolvePrinters(name),
+            getRetryPolicy: (printerName) => this.config.getRetryPolicy(printerName),
+            log: (message) => this.log(message)
+        });
+        // jobId -> { ws, requestId } of the client that submitted it
+        this.jobClients = new Map();
+        this.queue.on('completed', (job) => this.notifyJobClient(job, 'job_completed', {
+            success: true,
+            message: `✅ Printed to ${job.printedBy} (${job.attempts} attempt(s))`
+        }));
+        this.queue.on('failed', (job) => this.notifyJobClient(job, 'job_failed', {
+            success: false,
+            code: job.errorCode || 'PRINT_FAILED',
+            message: `❌ Print failed: ${job.error}`
+        }));
+        ['queued', 'printing', 'completed', 'failed'].forEach(status => {
+            this.queue.on(status, (job) => this.broadcast('jobs', 'job_status_changed', { jobId: job.id, status, job }));
+        });
+        // Job outcomes are the cheapest evidence of a printer going away or coming back
+        this.queue.on('completed', (job) => {
+            if (this.printerStates.get(job.printedBy)?.status === 'OFFLINE') {
+                this.notePrinterStatus(job.printedBy, 'READY');
+            }
+        });
+        this.queue.on('failed', (job) => {
+            if (['PRINTER_OFFLINE', 'TIMEOUT'].includes(job.errorCode)) {
+                this.config.resolvePrinters(job.printerName).forEach(name => this.notePrinterStatus(name, 'OFFLINE'));
+            }
+        });
+
+        // Last known status per printer, for printer_status_changed events
+        this.printerStates = new Map();
+        this.printerPollTimer = null;
+        this.printerPolling = false;
+        this.heartbeatTimer = null;
+
+        this.logos = new LogoStore({ directory: path.join(this.dataDir, 'logos') });
+        this.templates = new TemplateStore({ directory: path.join(this.dataDir, 'templates') });
+
+        // Jobs printed to the preview printer, newest first
+        this.previews = [];
+
+        // Customer pole display, when one is configured (see startDisplay)
+        this.display = null;
+
+        // Input device name -> running BarcodeScanner or WeighingScale
+        this.inputs = new Map();
+
+        // Spooler printers from the last discovery, the only names printRaw accepts
+        this.systemPrinterNames = new Set();
+        this.systemPrintersAt = 0;
+
+        // Authenticated sockets, for events not tied to a request
+        this.clients = new Set();
+
+        // Pairing request id -> socket waiting to confirm the code
+        this.pairingSockets = new Map();
+        this.pairing = new PairingManager({
+            config: this.config,
+            log: (message) => this.log(message)
+        });
+        this.pairing.on('approved', (request, token, client) => {
+            const ws = this.pairingSockets.get(request.id);
+            this.pairingSockets.delete(request.id);
+            if (!ws || ws.readyState !== WebSocket.OPEN) return;
+            ws.pairingId = null;
+
+            this.authenticate(ws, client);
+            ws.send(JSON.stringify({
+                type: 'pair_response',
+                requestId: ws.pairRequestId,
+                payload: {
+                    success: true,
+                    token,
+                    clientId: client.id,
+                    message: '✅ Paired with AaravPOS Agent'
+                }
+            }));
+        });
+        this.pairing.on('denied', (request, reason) => {
+            const ws = this.pairingSockets.get(request.id);
+            this.pairingSockets.delete(request.id);
+            if (!ws || ws.readyState !== WebSocket.OPEN) return;
+            ws.pairingId = null;
+
+            ws.send(JSON.stringify({
+                type: 'pair_response',
+                requestId: ws.pairRequestId,
+                payload: { success: false, code: 'UNAUTHORIZED', message: `❌ Pairing ${reason}` }
+            }));
+        });
+        this.pairing.on('revoked', (client) => {
+            this.clients.forEach(ws => {
+                if (ws.client && ws.client.id === client.id) {
+                    ws.close(4001, 'Token revoked');
+                }
+            });
+        });
+
+        this.drawerMonitor = new DrawerMonitor({
+            getPrinters: () => this.config.getDirectPrinters().filter(p => p.drawer && p.drawer.monitor),
+            queryDrawer: (printerName) => this.queryDrawerOpen(printerName),
+            intervalMs: this.config.get('drawerMonitor.intervalMs'),
+            log: (message) => this.log(message)
+        });
+        this.drawerMonitor.on('opened', (event) => {
+            this.log(`💵 Cash drawer opened on ${event.printerName}`);
+            this.broadcast('drawer', 'drawer_opened', event);
+        });
+        this.drawerMonitor.on('closed', (event) => {
+            this.log(`💵 Cash drawer closed on ${event.printerName} after ${event.openDurationMs}ms`);
+            this.broadcast('drawer', 'drawer_closed', event);
+        });
+        this.drawerMonitor.on('left_open', (event) => {
+            this.log(`⚠️ Cash drawer on ${event.printerName} left open for ${event.openDurationMs}ms`, 'warn');
+            this.broadcast('drawer', 'drawer_left_open', event);
+        });
     }
 
-    log(message) {
+    // Levels: 'error' | 'warn' | 'info' | 'debug', filtered by server.logLevel
+    log(message, level = 'info') {
+        const threshold = this.config ? this.config.get('server.logLevel') : 'debug';
+        if (LOG_LEVELS.indexOf(level) > LOG_LEVELS.indexOf(threshold)) {
+            return;
+        }
+
         const timestamp = new Date().toISOString();
         const logMessage = `[${timestamp}] ${message}\n`;
         console.log(logMessage.trim());
@@ -41,90 +368,857 @@ class PrintServer {
     /* ============================
        ESC/POS CONSTANTS
     ============================ */
-    buildBuffer(text, openDrawer = false) {
-        const ESC = 0x1B;
-        const LF = 0x0A;
-        const DRAWER_KICK = Buffer.from([ESC, 0x70, 0x00, 0x19, 0xFA]);
-        const FEED_AND_CUT = Buffer.from([LF, LF, LF, LF, ESC, 0x69]);
+    // `openDrawer` may be true (default kick) or drawer kick options;
+    // `options` carries the target's code page and paper width.
+    // Label printers get the text as-is (ZPL/TSPL the client already built).
+    buildBuffer(text, openDrawer = false, options = {}) {
+        if (isLabelPrinter(options)) {
+            if (openDrawer) {
+                throw labelPrinterError(options);
+            }
+            return Buffer.from(String(text), 'utf8');
+        }
+
+        const LF = escpos.LF;
 
         const parts = [
-            Buffer.from(text, 'utf8'), // Changed to utf8 for better character support
+            codepages.select(options.codePage),
+            this.encodeText(text, options),
             Buffer.from([LF, LF])
         ];
 
         if (openDrawer) {
-            parts.push(DRAWER_KICK);
+            parts.push(openDrawer === true ? escpos.DRAWER_KICK : escpos.drawerKick(openDrawer));
+        }
+
+        parts.push(escpos.FEED_AND_CUT);
+        return Buffer.concat(parts);
+    }
+
+    // Plain text with inline code lines turned into centered barcodes, QR codes and logos
+    encodeText(text, options = {}) {
+        const parts = [];
+        let last = 0;
+
+        for (const match of String(text).matchAll(INLINE_CODE)) {
+            parts.push(codepages.encode(text.slice(last, match.index), options.codePage));
+            parts.push(escpos.align('center'), this.encodeInlineCode(match[1], match[2], options), escpos.align('left'));
+            last = match.index + match[0].length;
+        }
+
+        parts.push(codepages.encode(String(text).slice(last), options.codePage));
+        return Buffer.concat(parts);
+    }
+
+    encodeInlineCode(kind, spec, options = {}) {
+        if (kind === 'logo') {
+            const columns = ReceiptBuilder.resolveColumns(options);
+            return imageRaster.imageToEscPos(this.logos.load(spec.trim()), {
+                maxWidth: imageRaster.DOT_WIDTHS[columns]
+            });
+        }
+        if (kind === 'barcode') {
+            const separator = spec.indexOf(':');
+            if (separator === -1) {
+                throw new Error(`Inline barcode needs a symbology: [[barcode:CODE128:${spec}]]`);
+            }
+            return escpos.barcode(spec.slice(separator + 1), { symbology: spec.slice(0, separator) });
+        }
+        return escpos[kind](spec);
+    }
+
+    // Request options override the printer's configured drawer defaults
+    buildDrawerBuffer(printerName, options = {}) {
+        const printerOptions = this.getPrinterOptions(printerName);
+        if (isLabelPrinter(printerOptions)) {
+            throw labelPrinterError(printerOptions);
+        }
+
+        const defaults = this.config.getPrinterSettings(printerName).drawer || {};
+        const pick = (key) => (options[key] !== undefined ? options[key] : defaults[key]);
+        const kick = {
+            pin: pick('pin') || 2,
+            onMs: pick('onMs') || 50,
+            offMs: pick('offMs') || 500
+        };
+
+        if (pick('kickOnly')) {
+            return escpos.drawerKick(kick);
+        }
+        return this.buildBuffer('OPENING CASH DRAWER\n', kick, printerOptions);
+    }
+
+    /* ============================
+       STRUCTURED RECEIPTS
+    ============================ */
+    buildReceipt(document, options = {}) {
+        if (!document || typeof document !== 'object') {
+            throw new Error('Missing receipt document');
+        }
+        if (isLabelPrinter(options)) {
+            throw labelPrinterError(options);
+        }
+
+        const builder = new ReceiptBuilder({
+            columns: options.columns || document.columns,
+            paperWidth: options.paperWidth || document.paperWidth,
+            codePage: options.codePage || document.codePage,
+            loadLogo: (name) => this.logos.load(name)
+        });
+        return builder.build(document);
+    }
+
+    // Paper width ({ paperWidth } or { columns }), code page and command
+    // language configured for a printer, falling back to the agent-wide
+    // printer defaults
+    getPrinterOptions(printerName) {
+        const settings = this.config.getPrinterSettings(printerName);
+        const defaults = this.config.get('printerDefaults');
+        return {
+            columns: settings.columns,
+            paperWidth: settings.paperWidth || (settings.columns ? undefined : defaults.paperWidth),
+            codePage: settings.codePage || defaults.codePage,
+            language: settings.language || 'escpos',
+            dpi: settings.dpi
+        };
+    }
+
+    /* ============================
+       LABELS
+    ============================ */
+    // A label definition rendered in the printer's language, or label code
+    // the client already has (sent unchanged, without a feed or cut)
+    buildLabelBuffer(payload, options) {
+        if (!isLabelPrinter(options)) {
+            throw Object.assign(new Error('Labels need a ZPL or TSPL printer (set its "language" setting)'), { code: 'NOT_SUPPORTED' });
+        }
+        if (payload.raw !== undefined) {
+            return Buffer.from(payload.raw, 'utf8');
+        }
+        if (!payload.label) {
+            throw Object.assign(new Error('Nothing to print: send a label or raw label code'), { code: 'INVALID_PAYLOAD' });
+        }
+        return labelBuilder.buildLabel(payload.label, options.language, { dpi: options.dpi });
+    }
+
+    /* ============================
+       PRINT JOBS
+    ============================ */
+    // Printers a job can never reach (malformed or undiscovered spooler names)
+    // are refused before anything is queued; a group passes if any member does
+    async checkPrintTarget(printerName) {
+        let firstError = null;
+        for (const name of this.config.resolvePrinters(printerName)) {
+            try {
+                if (name !== PREVIEW_PRINTER && !this.getTransport(name)) {
+                    await this.assertSystemPrinter(name);
+                }
+                return;
+            } catch (error) {
+                firstError = firstError || error;
+            }
+        }
+        throw firstError || Object.assign(new Error(`Printer group ${printerName} has no printers`), { code: 'PRINTER_NOT_FOUND' });
+    }
+
+    // Queue a job and remember which socket (if any) to notify when it finishes
+    async submitJob(ws, data, buffer, type) {
+        await this.checkPrintTarget(data.payload.printerName);
+        const job = this.queue.enqueue(data.payload.printerName, buffer, {
+            type: type,
+            requestId: data.requestId
+        });
+        // HTTP clients poll GET /jobs/:id instead
+        if (ws) {
+            this.jobClients.set(job.id, { ws, requestId: data.requestId });
+        }
+        return job;
+    }
+
+    // Queue a job and wait for it, for commands that reply with the outcome
+    async printAndWait(printerName, buffer, meta) {
+        await this.checkPrintTarget(printerName);
+        const job = this.queue.enqueue(printerName, buffer, meta);
+        const finished = await this.queue.waitFor(job.id);
+
+        if (!finished || finished.status !== 'completed') {
+            throw Object.assign(new Error(finished?.error || 'Print job did not complete'), {
+                code: finished?.errorCode || 'PRINT_FAILED',
+                jobId: job.id
+            });
+        }
+        return finished;
+    }
+
+    // One ticket per station, printed in parallel; a failed station does not
+    // stop the others, so the client can reprint just that one
+    async printOrder(payload, requestId) {
+        const tickets = kitchenTickets.splitOrder(payload.order, {
+            fullCopy: payload.fullCopy,
+            stations: payload.stations
+        });
+        if (tickets.length === 0) {
+            throw Object.assign(new Error('Order has no items for the requested stations'), { code: 'INVALID_PAYLOAD' });
+        }
+
+        return Promise.all(tickets.map(async (ticket) => {
+            const result = { station: ticket.station, fullCopy: !!ticket.fullCopy, items: ticket.items.length };
+            try {
+                const printerName = (payload.routes && payload.routes[ticket.station]) || this.config.resolveRole(ticket.station);
+                result.printerName = printerName;
+
+                const buffer = this.buildReceipt(ticket.document, this.getPrinterOptions(printerName));
+                const job = await this.printAndWait(printerName, buffer, { type: 'order', requestId });
+                return { ...result, success: true, jobId: job.id, printedBy: job.printedBy };
+            } catch (error) {
+                return {
+                    ...result,
+                    success: false,
+                    jobId: error.jobId || null,
+                    code: protocol.errorCode(error, 'INVALID_PAYLOAD'),
+                    message: `❌ ${error.message}`
+                };
+            }
+        }));
+    }
+
+    notifyJobClient(job, type, payload) {
+        const client = this.jobClients.get(job.id);
+        if (!client) return;
+
+        this.jobClients.delete(job.id);
+        if (client.ws.readyState !== WebSocket.OPEN) return;
+
+        client.ws.send(JSON.stringify({
+            type: type,
+            requestId: client.requestId,
+            payload: { ...payload, jobId: job.id, job: job }
+        }));
+    }
+
+    /* ============================
+       PRINTER TRANSPORTS
+    ============================ */
+    // Transport for printers configured with one; null means the OS spooler
+    getTransport(printerName) {
+        return this.createTransport(this.config.getPrinterSettings(printerName), printerName);
+    }
+
+    createTransport(settings, name) {
+        switch (settings.transport) {
+            case undefined:
+                return null;
+            case 'tcp':
+                return new TcpTransport(settings);
+            case 'file':
+                return new FileTransport({ ...settings, name, directory: this.fileTransportDirectory(settings.directory, name) });
+            case 'device':
+                return new DeviceTransport(settings);
+            default:
+                throw new Error(`Unknown transport "${settings.transport}" for ${name}`);
+        }
+    }
+
+    async sendToPrinter(printerName, buffer, meta = {}) {
+        if (printerName === PREVIEW_PRINTER) {
+            return this.printPreview(printerName, buffer);
+        }
+
+        const transport = this.getTransport(printerName);
+        if (!transport) {
+            return this.printRaw(printerName, buffer);
+        }
+
+        this.log(`Sending ${buffer.length} bytes to ${printerName} (${transport.address})`);
+        const result = await transport.send(buffer, meta);
+        this.log(`Successfully printed to ${printerName}`);
+        return result;
+    }
+
+    /* ============================
+       PREVIEW PRINTER
+    ============================ */
+    printPreview(printerName, buffer) {
+        const createdAt = new Date().toISOString();
+        this.previews.unshift({
+            id: crypto.randomUUID(),
+            printerName,
+            createdAt,
+            bytes: buffer.length,
+            html: escposPreview.renderHtml(buffer, {
+                ...this.getPrinterOptions(printerName),
+                title: `${printerName} ${createdAt}`
+            })
+        });
+        this.previews.length = Math.min(this.previews.length, PREVIEW_HISTORY);
+
+        this.log(`👁️ Rendered ${buffer.length} bytes on the ${printerName} printer`);
+        return '';
+    }
+
+    // Stream for a render_preview payload: a receipt document, plain text or
+    // base64 ESC/POS data, built the way the target printer would get it
+    buildPreviewBuffer(payload, options) {
+        if (payload.document) {
+            return this.buildReceipt(payload.document, options);
+        }
+        if (payload.text !== undefined) {
+            return this.buildBuffer(payload.text, false, options);
+        }
+        if (payload.data) {
+            return Buffer.from(payload.data, 'base64');
+        }
+        throw Object.assign(new Error('Nothing to preview: send a document, text or data'), { code: 'INVALID_PAYLOAD' });
+    }
+
+    /* ============================
+       CUSTOMER DISPLAY
+    ============================ */
+    // Settings are validated by building the display; a bad configuration
+    // is reported here rather than on the first display_text
+    buildDisplay(settings) {
+        const transport = this.createTransport(settings, 'Customer display');
+        if (!transport) {
+            throw new Error('Customer display needs a transport (device, tcp or file)');
+        }
+        return new CustomerDisplay({
+            ...settings,
+            transport,
+            log: (message, level) => this.log(message, level)
+        });
+    }
+
+    // (Re)connects the configured display and shows its welcome message
+    startDisplay() {
+        if (this.display) {
+            this.display.stop();
+            this.display = null;
+        }
+
+        const settings = this.config.get('customerDisplay');
+        if (!settings) return;
+
+        try {
+            this.display = this.buildDisplay(settings);
+            this.display.start().catch(() => {});
+            this.log(`🧍 Customer display on ${this.display.transport.address} (${this.display.commandSet})`);
+        } catch (error) {
+            this.log(`⚠️ Customer display not started: ${error.message}`, 'warn');
+        }
+    }
+
+    getDisplay() {
+        if (!this.display) {
+            throw Object.assign(new Error('No customer display configured'), { code: 'NOT_FOUND' });
+        }
+        return this.display;
+    }
+
+    // null removes the display
+    setDisplaySettings(settings) {
+        if (settings) {
+            this.buildDisplay(settings);
+        }
+        this.config.set('customerDisplay', settings || null);
+        this.startDisplay();
+        return this.config.get('customerDisplay');
+    }
+
+    /* ============================
+       SCANNERS AND SCALES
+    ============================ */
+    createInput(name, settings) {
+        const options = { ...settings, name, log: (message, level) => this.log(message, level) };
+        switch (settings.kind) {
+            case 'scanner':
+                return new BarcodeScanner(options);
+            case 'scale':
+                return new WeighingScale(options);
+            default:
+                throw new Error(`Unknown input device kind "${settings.kind}" for ${name} (expected scanner or scale)`);
+        }
+    }
+
+    // Readings are pushed to clients as scan and weight events
+    startInput(name, settings) {
+        this.stopInput(name);
+        try {
+            const input = this.createInput(name, settings);
+            input.on('scan', (scan) => {
+                this.log(`🔎 ${name} scanned ${scan.data}`, 'debug');
+                this.broadcast('scanner', 'scan', { name, ...scan });
+            });
+            input.on('weight', (reading) => this.broadcast('scale', 'weight', { name, ...reading }));
+            input.start();
+            this.inputs.set(name, input);
+        } catch (error) {
+            this.log(`⚠️ ${name} not started: ${error.message}`, 'warn');
+        }
+    }
+
+    stopInput(name) {
+        const input = this.inputs.get(name);
+        if (input) {
+            input.stop();
+            this.inputs.delete(name);
+        }
+    }
+
+    startInputs() {
+        Object.entries(this.config.get('inputDevices') || {}).forEach(([name, settings]) => this.startInput(name, settings));
+    }
+
+    stopInputs() {
+        [...this.inputs.keys()].forEach(name => this.stopInput(name));
+    }
+
+    addInputDevice(name, options = {}) {
+        if (typeof name !== 'string' || !INPUT_NAME.test(name)) {
+            throw new Error(`Invalid input device name: ${name} (letters, digits, spaces, "-" and "_")`);
+        }
+
+        // Validates the device, line and scale settings before anything is stored
+        const input = this.createInput(name, options);
+        const transport = input.transport;
+        const settings = {
+            kind: options.kind,
+            device: transport.device,
+            baudRate: transport.baudRate,
+            dataBits: transport.dataBits,
+            parity: transport.parity,
+            stopBits: transport.stopBits,
+            flowControl: transport.flowControl,
+            ...(options.kind === 'scale' ? { protocol: input.protocol, unit: input.unit } : {})
+        };
+
+        const devices = this.config.get('inputDevices') || {};
+        devices[name] = settings;
+        this.config.set('inputDevices', devices);
+        this.startInput(name, settings);
+        return settings;
+    }
+
+    removeInputDevice(name) {
+        const devices = this.config.get('inputDevices') || {};
+        if (!devices[name]) {
+            throw Object.assign(new Error(`Unknown input device: ${name}`), { code: 'NOT_FOUND' });
+        }
+        this.stopInput(name);
+        delete devices[name];
+        this.config.set('inputDevices', devices);
+    }
+
+    listInputDevices() {
+        return Object.entries(this.config.get('inputDevices') || {}).map(([name, settings]) => ({
+            name,
+            ...settings,
+            connected: !!this.inputs.get(name)?.connected
+        }));
+    }
+
+    // The named scale, or the only one when no name is given
+    getScale(name) {
+        const scales = [...this.inputs.entries()].filter(([, input]) => input instanceof WeighingScale);
+        if (name) {
+            const found = scales.find(([scaleName]) => scaleName === name);
+            if (!found) {
+                throw Object.assign(new Error(`No scale named ${name}`), { code: 'NOT_FOUND' });
+            }
+            return found[1];
+        }
+        if (scales.length === 0) {
+            throw Object.assign(new Error('No scale configured'), { code: 'NOT_FOUND' });
+        }
+        if (scales.length > 1) {
+            throw Object.assign(new Error(`Several scales configured, name one: ${scales.map(([scaleName]) => scaleName).join(', ')}`), { code: 'INVALID_PAYLOAD' });
+        }
+        return scales[0][1];
+    }
+
+    /* ============================
+       PRINTER STATUS
+    ============================ */
+    // Real-time status, only for printers on a bidirectional transport
+    async getPrinterStatus(printerName) {
+        const transport = this.getTransport(printerName);
+        if (!transport || typeof transport.request !== 'function') {
+            throw Object.assign(new Error(`${printerName} does not support status queries`), { code: 'NOT_SUPPORTED' });
+        }
+        const settings = this.config.getPrinterSettings(printerName);
+        return this.queue.withPrinterLock(printerName, () => printerStatus.queryStatus(transport, {
+            drawerOpenLevel: settings.drawer?.openLevel
+        }));
+    }
+
+    async queryDrawerOpen(printerName) {
+        const transport = this.getTransport(printerName);
+        if (!transport || typeof transport.request !== 'function') {
+            throw Object.assign(new Error(`${printerName} does not support drawer sensing`), { code: 'NOT_SUPPORTED' });
+        }
+
+        const settings = this.config.getPrinterSettings(printerName);
+        return this.queue.withPrinterLock(printerName, () => printerStatus.queryDrawerOpen(transport, {
+            drawerOpenLevel: settings.drawer?.openLevel,
+            timeout: 2000
+        }));
+    }
+
+    /* ============================
+       EVENTS
+    ============================ */
+    // Topics a socket receives; null until it sends subscribe
+    topicsOf(ws) {
+        return ws.topics ? [...ws.topics] : [...LEGACY_TOPICS];
+    }
+
+    subscribe(ws, topics) {
+        ws.topics = new Set(ws.topics || []);
+        topics.forEach(topic => ws.topics.add(topic));
+        return this.topicsOf(ws);
+    }
+
+    unsubscribe(ws, topics) {
+        ws.topics = new Set(this.topicsOf(ws));
+        topics.forEach(topic => ws.topics.delete(topic));
+        return this.topicsOf(ws);
+    }
+
+    hasSubscribers(topic) {
+        return [...this.clients].some(ws => this.topicsOf(ws).includes(topic));
+    }
+
+    broadcast(topic, type, payload) {
+        const message = JSON.stringify({ type, topic, payload });
+        this.clients.forEach(ws => {
+            if (ws.readyState === WebSocket.OPEN && this.topicsOf(ws).includes(topic)) {
+                ws.send(message);
+            }
+        });
+    }
+
+    // Emits printer_status_changed when a printer's status differs from the
+    // last one seen (status queries, listings, polling and job outcomes)
+    notePrinterStatus(printerName, status, detail = null) {
+        const previous = this.printerStates.get(printerName);
+        this.printerStates.set(printerName, { status, at: new Date().toISOString() });
+        if (previous && previous.status === status) return;
+
+        if (previous) {
+            this.log(`🖨️ ${printerName} is now ${status} (was ${previous.status})`);
+        }
+        this.broadcast('printers', 'printer_status_changed', {
+            printerName,
+            status,
+            previous: previous ? previous.status : null,
+            detail
+        });
+    }
+
+    // Direct printers are polled only while someone listens for their changes
+    async pollPrinterStatus() {
+        if (this.printerPolling || !this.hasSubscribers('printers')) return;
+        this.printerPolling = true;
+        try {
+            await this.getDirectPrinters();
+        } catch (error) {
+            this.log(`⚠️ Printer status poll failed: ${error.message}`, 'warn');
+        } finally {
+            this.printerPolling = false;
+        }
+    }
+
+    // Drops sockets that did not answer the previous ping (closed laptops,
+    // dropped Wi-Fi), which would otherwise count as connected for a long time
+    heartbeat() {
+        if (!this.wss) return;
+        this.wss.clients.forEach(ws => {
+            if (ws.isAlive === false) {
+                this.log('💔 Dropping unresponsive client', 'debug');
+                ws.terminate();
+                return;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        });
+    }
+
+    /* ============================
+       PAIRING
+    ============================ */
+    authenticate(ws, client) {
+        clearTimeout(ws.authTimer);
+        ws.client = client;
+        this.clients.add(ws);
+        this.log(`🔑 Authenticated ${client.name}`, 'debug');
+    }
+
+    handlePairRequest(ws, data) {
+        const reply = (payload) => ws.send(JSON.stringify({
+            type: 'pair_response',
+            requestId: data.requestId,
+            payload
+        }));
+
+        const invalid = protocol.validateMessage(data, ws.protocolVersion);
+        if (invalid) {
+            reply({ success: false, code: invalid.code, message: `❌ ${invalid.message}` });
+            return;
+        }
+        if (ws.client) {
+            reply({ success: false, code: 'INVALID_MESSAGE', message: '❌ Already paired' });
+            return;
+        }
+        if (ws.pairingId) {
+            reply({ success: false, code: 'INVALID_MESSAGE', message: '❌ Pairing already in progress' });
+            return;
+        }
+
+        try {
+            const request = this.pairing.request({
+                clientName: data.payload?.clientName,
+                origin: ws.origin
+            });
+            ws.pairingId = request.id;
+            ws.pairRequestId = data.requestId;
+            this.pairingSockets.set(request.id, ws);
+
+            ws.send(JSON.stringify({
+                type: 'pair_pending',
+                requestId: data.requestId,
+                payload: {
+                    expiresAt: request.expiresAt,
+                    message: 'Enter the code shown on the AaravPOS Agent (send it with pair_confirm)'
+                }
+            }));
+        } catch (error) {
+            reply({ success: false, code: protocol.errorCode(error), message: `❌ ${error.message}` });
+        }
+    }
+
+    // The code is only shown on the agent; the socket that asked sends it
+    // back, so the token goes to that device and no other
+    handlePairConfirm(ws, data) {
+        const reply = (payload) => ws.send(JSON.stringify({
+            type: 'pair_response',
+            requestId: data.requestId,
+            payload
+        }));
+
+        const invalid = protocol.validateMessage(data, ws.protocolVersion);
+        if (invalid) {
+            reply({ success: false, code: invalid.code, message: `❌ ${invalid.message}` });
+            return;
+        }
+        if (!ws.pairingId) {
+            reply({ success: false, code: 'INVALID_MESSAGE', message: '❌ No pairing in progress: send pair_request first' });
+            return;
+        }
+
+        // The approved/denied handlers answer this request
+        ws.pairRequestId = data.requestId;
+        try {
+            this.pairing.confirm(ws.pairingId, data.payload.code);
+        } catch (error) {
+            // A request denied for too many wrong codes was already answered
+            if (!ws.pairingId) return;
+            reply({
+                success: false,
+                code: protocol.errorCode(error),
+                attemptsLeft: error.attemptsLeft,
+                message: `❌ ${error.message}`
+            });
+        }
+    }
+
+    addNetworkPrinter(name, options = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Missing printer name');
+        }
+
+        // Validates host/port before anything is stored
+        const transport = new TcpTransport(options);
+        return this.config.setPrinterSettings(name, {
+            transport: 'tcp',
+            host: transport.host,
+            port: transport.port
+        });
+    }
+
+    // USB printer class device or serial port, e.g. /dev/usb/lp0 or COM3
+    addDevicePrinter(name, options = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Missing printer name');
+        }
+
+        // Validates the device and line settings before anything is stored
+        const transport = new DeviceTransport(options);
+        return this.config.setPrinterSettings(name, {
+            transport: 'device',
+            device: transport.device,
+            baudRate: transport.baudRate,
+            dataBits: transport.dataBits,
+            parity: transport.parity,
+            stopBits: transport.stopBits,
+            flowControl: transport.flowControl,
+            bidirectional: transport.bidirectional
+        });
+    }
+
+    // Transport settings are checked by building the transport from the
+    // merged result before anything is stored, as the add_*_printer messages do
+    setPrinterSettings(printerName, settings) {
+        const next = this.config.mergePrinterSettings(printerName, settings);
+        try {
+            this.createTransport(next, printerName);
+        } catch (error) {
+            throw Object.assign(error, { code: protocol.errorCode(error, 'INVALID_PAYLOAD') });
+        }
+        return this.config.setPrinterSettings(printerName, settings);
+    }
+
+    // Captures always go under the agent data directory, so clients cannot
+    // make the agent write files anywhere else
+    filePrinterDirectory(name) {
+        return path.join(this.dataDir, 'virtual-printers', name.replace(/[^A-Za-z0-9_-]/g, '_'));
+    }
+
+    // Directory a file transport (printer or display) may write to: the one
+    // configured if it is under virtual-printers, else the default for the name
+    fileTransportDirectory(directory, name) {
+        if (directory === undefined || directory === null) {
+            return this.filePrinterDirectory(name);
+        }
+        const root = path.join(this.dataDir, 'virtual-printers');
+        const relative = path.relative(root, path.resolve(String(directory)));
+        if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+            throw Object.assign(new Error(`File transport directory must be inside ${root}`), { code: 'INVALID_PAYLOAD' });
+        }
+        return path.join(root, relative);
+    }
+
+    // Virtual printer capturing jobs to a directory (development and CI)
+    addFilePrinter(name, options = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Missing printer name');
+        }
+
+        // Validates the simulation options before anything is stored
+        const transport = new FileTransport({ directory: this.filePrinterDirectory(name), simulate: options.simulate });
+        return this.config.setPrinterSettings(name, {
+            transport: 'file',
+            directory: transport.directory,
+            simulate: transport.simulate
+        });
+    }
+
+    /* ============================
+       macOS PRINT ROUTER
+    ============================ */
+    // Spooler printing. The printer name only ever reaches the OS as a single
+    // process argument or share name, and only if discovery reported it.
+    async printRaw(printerName, buffer) {
+        const platform = os.platform();
+        await this.assertSystemPrinter(printerName);
+
+        let result;
+        if (platform === 'darwin') {
+            result = await runWithInput('lpr', ['-P', printerName, '-o', 'raw'], buffer);
+        } else if (platform === 'linux') {
+            result = await runWithInput('lp', ['-d', printerName, '-o', 'raw'], buffer);
+        } else if (platform === 'win32') {
+            // Raw bytes to the printer share, same as "copy /b file \\localhost\printer"
+            const sharePath = WINDOWS_UNC_PRINTER.test(printerName) ? printerName : `\\\\localhost\\${printerName}`;
+            await fs.promises.writeFile(sharePath, buffer);
+            result = '';
+        } else {
+            throw new Error(`Unsupported platform: ${platform}`);
+        }
+
+        this.log(`Successfully printed to ${printerName}`);
+        if (result) this.log(`stdout: ${result}`, 'debug');
+        return result;
+    }
+
+    // Rejects names the spooler did not report, re-discovering once on a miss
+    async assertSystemPrinter(printerName) {
+        const validName = typeof printerName === 'string' && (PRINTER_NAME.test(printerName)
+            || (os.platform() === 'win32' && WINDOWS_UNC_PRINTER.test(printerName)));
+        if (!validName) {
+            throw Object.assign(new Error(`Invalid printer name: ${JSON.stringify(printerName)}`), { code: 'INVALID_PAYLOAD' });
+        }
+
+        const known = () => this.systemPrinterNames.has(printerName);
+        if (!known() || Date.now() - this.systemPrintersAt > SYSTEM_PRINTERS_TTL) {
+            await this.getSystemPrinters();
+        }
+        if (!known()) {
+            throw Object.assign(new Error(`Unknown printer: ${printerName}`), { code: 'PRINTER_NOT_FOUND' });
         }
-
-        parts.push(FEED_AND_CUT);
-        return Buffer.concat(parts);
     }
 
     /* ============================
-       macOS PRINT ROUTER
+       macOS PRINTER DISCOVERY
     ============================ */
-    printRaw(printerName, buffer) {
-        return new Promise((resolve, reject) => {
-            const platform = os.platform();
-            const tempDir = os.tmpdir();
-            const tempFile = path.join(tempDir, `aaravpos-${Date.now()}.raw`);
+    async getPrinters() {
+        const [systemPrinters, directPrinters] = await Promise.all([
+            this.getSystemPrinters(),
+            this.getDirectPrinters()
+        ]);
+        return systemPrinters.concat(directPrinters, {
+            name: PREVIEW_PRINTER,
+            isDefault: false,
+            status: 'READY',
+            isConnected: true,
+            transport: 'preview',
+            address: 'virtual'
+        });
+    }
 
-            fs.writeFile(tempFile, buffer, (err) => {
-                if (err) {
-                    this.log(`Failed to write temp file: ${err.message}`);
-                    reject(err);
-                    return;
+    // Configured network printers, with real-time status where the printer
+    // answers DLE EOT and plain reachability otherwise
+    getDirectPrinters() {
+        return Promise.all(this.config.getDirectPrinters().map(async (printer) => {
+            // A broken entry only takes down its own printer, not the listing
+            let transport = null;
+            let isConnected = false;
+            let detail = null;
+            try {
+                transport = this.getTransport(printer.name);
+                detail = await this.getPrinterStatus(printer.name);
+                isConnected = true;
+            } catch (statusError) {
+                try {
+                    isConnected = transport ? await transport.probe() : false;
+                } catch (error) {
+                    this.log(`Printer probe error for ${printer.name}: ${error.message}`);
                 }
-
-                let command;
-
-                if (platform === 'darwin') {
-                    // macOS-specific command with better error handling
-                    // Use lpr for raw printing on macOS
-                    command = `lpr -P "${printerName}" -o raw "${tempFile}"`;
-
-                    // Alternative for non-raw printers
-                    // command = `cat "${tempFile}" | lp -d "${printerName}" -o raw -`;
-                } else if (platform === 'linux') {
-                    command = `lp -d "${printerName}" -o raw "${tempFile}"`;
-                } else if (platform === 'win32') {
-                    const escapedFile = tempFile.replace(/\\/g, '\\\\');
-                    const escapedPrinter = printerName.replace(/\\/g, '\\\\');
-                    command = `copy /b "${escapedFile}" "\\\\localhost\\${escapedPrinter}"`;
-                } else {
-                    fs.unlinkSync(tempFile);
-                    reject(new Error(`Unsupported platform: ${platform}`));
-                    return;
+                if (!transport) {
+                    this.log(`⚠️ ${printer.name} is misconfigured: ${statusError.message}`, 'warn');
                 }
+            }
 
-                this.log(`Executing print command: ${command}`);
-
-                exec(command, { timeout: 10000 }, (error, stdout, stderr) => {
-                    // Clean up temp file
-                    try {
-                        fs.unlinkSync(tempFile);
-                    } catch (cleanupError) {
-                        this.log(`Warning: Failed to cleanup temp file: ${cleanupError.message}`);
-                    }
+            const status = detail ? detail.status : (isConnected ? 'READY' : 'OFFLINE');
+            this.notePrinterStatus(printer.name, status, detail);
+            return {
+                name: printer.name,
+                isDefault: false,
+                status: status,
+                isConnected: isConnected,
+                transport: printer.transport,
+                address: transport ? transport.address : null,
+                detail: detail
+            };
+        }));
+    }
 
-                    if (error) {
-                        this.log(`Print error: ${error.message}`);
-                        if (stderr) this.log(`stderr: ${stderr}`);
-                        reject(error);
-                    } else {
-                        this.log(`Successfully printed to ${printerName}`);
-                        if (stdout) this.log(`stdout: ${stdout}`);
-                        resolve(stdout);
-                    }
-                });
-            });
-        });
+    async getSystemPrinters() {
+        const printers = await this.discoverSystemPrinters();
+        this.systemPrinterNames = new Set(printers.map(p => p.name));
+        this.systemPrintersAt = Date.now();
+        return printers;
     }
 
-    /* ============================
-       macOS PRINTER DISCOVERY
-    ============================ */
-    getPrinters() {
+    discoverSystemPrinters() {
         return new Promise((resolve, reject) => {
             const platform = os.platform();
 
@@ -159,7 +1253,7 @@ class PrintServer {
     getMacOSPrinters() {
         return new Promise((resolve, reject) => {
             // First get the default printer
-            exec('lpstat -d', (err, defaultOutput) => {
+            execFile('lpstat', ['-d'], (err, defaultOutput) => {
                 let defaultPrinter = null;
                 if (!err && defaultOutput) {
                     const match = defaultOutput.match(/system default destination:\s*(\S+)/i);
@@ -167,7 +1261,7 @@ class PrintServer {
                 }
 
                 // Then get all printers with their status
-                exec('lpstat -p', (error, stdout, stderr) => {
+                execFile('lpstat', ['-p'], (error, stdout, stderr) => {
                     if (error) {
                         this.log(`lpstat error: ${error.message}`);
                         return reject(error);
@@ -210,14 +1304,14 @@ class PrintServer {
 
     getLinuxPrinters() {
         return new Promise((resolve, reject) => {
-            exec('lpstat -d', (err, defaultOutput) => {
+            execFile('lpstat', ['-d'], (err, defaultOutput) => {
                 let defaultPrinter = null;
                 if (!err && defaultOutput) {
                     const match = defaultOutput.match(/system default destination:\s*(\S+)/i);
                     defaultPrinter = match ? match[1] : null;
                 }
 
-                exec('lpstat -p', (error, stdout, stderr) => {
+                execFile('lpstat', ['-p'], (error, stdout, stderr) => {
                     if (error) {
                         return reject(error);
                     }
@@ -252,10 +1346,9 @@ class PrintServer {
 
     getWindowsPrinters() {
     return new Promise((resolve) => {
-        const command =
-            'powershell.exe -NoProfile -ExecutionPolicy Bypass -Command "Get-Printer | Select Name,Default | ConvertTo-Json -Compress"';
+        const args = ['-NoProfile', '-ExecutionPolicy', 'Bypass', '-Command', 'Get-Printer | Select Name,Default | ConvertTo-Json -Compress'];
 
-        exec(command, { windowsHide: true, timeout: 8000 }, (error, stdout, stderr) => {
+        execFile('powershell.exe', args, { windowsHide: true, timeout: 8000 }, (error, stdout, stderr) => {
             if (error || !stdout) {
                 this.log(`PowerShell printer discovery failed: ${error?.message || stderr || 'no output'}`);
                 return resolve([]);
@@ -281,205 +1374,945 @@ class PrintServer {
 
 
 
+    /* ============================
+       MESSAGE HANDLING
+    ============================ */
+    // Shared by the WebSocket and HTTP APIs: reply(type, payload) sends the
+    // response, ws is the socket for later job notifications (null over HTTP)
+    // and protocolVersion the version the client negotiated
+    async handleMessage(data, reply, ws = null, protocolVersion = protocol.PROTOCOL_VERSION) {
+        try {
+            data = this.resolveRole(data, protocolVersion);
+        } catch (error) {
+            reply(protocol.responseType(data.type), {
+                success: false,
+                code: protocol.errorCode(error, 'INVALID_PAYLOAD'),
+                message: `❌ ${error.message}`
+            });
+            return;
+        }
+
+        const invalid = protocol.validateMessage(data, protocolVersion);
+        if (invalid) {
+            reply(protocol.responseType(data?.type), {
+                success: false,
+                code: invalid.code,
+                message: `❌ ${invalid.message}`
+            });
+            return;
+        }
+
+        switch (data.type) {
+            case 'health':
+                const printers = await this.getPrinters();
+                reply('health_response', {
+                    ok: true,
+                    platform: os.platform(),
+                    version: '1.0.0',
+                    hostname: os.hostname(),
+                    printers: printers,
+                    totalPrinters: printers.length,
+                    groups: this.config.getGroups(),
+                    ...this.describeRoles(),
+                    defaultPrinter: printers.find(p => p.isDefault)?.name || null
+                });
+                break;
+
+            case 'list_printers':
+                const printerList = await this.getPrinters();
+                reply('printers_response', {
+                    success: true,
+                    printers: printerList,
+                    defaultPrinter: printerList.find(p => p.isDefault)?.name || null
+                });
+                break;
+
+            case 'print_text':
+                try {
+                    const buffer = this.buildBuffer(data.payload.text, false, this.getPrinterOptions(data.payload.printerName));
+                    const job = await this.submitJob(ws, data, buffer, 'text');
+                    reply('print_response', {
+                        success: true,
+                        jobId: job.id,
+                        status: job.status,
+                        message: `🧾 Print job queued for ${job.printerName}`
+                    });
+                } catch (error) {
+                    reply('print_response', {
+                        success: false,
+                        code: protocol.errorCode(error, 'INVALID_PAYLOAD'),
+                        message: `❌ Print failed: ${error.message}`
+                    });
+                }
+                break;
+
+            case 'print_receipt':
+                try {
+                    // The payload may pick the paper width; language and code
+                    // page always come from the printer's settings
+                    const options = this.getPrinterOptions(data.payload.printerName);
+                    if (data.payload.paperWidth || data.payload.columns) {
+                        options.paperWidth = data.payload.paperWidth;
+                        options.columns = data.payload.columns;
+                    }
+                    const buffer = this.buildReceipt(data.payload.document, options);
+                    const job = await this.submitJob(ws, data, buffer, 'receipt');
+                    reply('print_response', {
+                        success: true,
+                        jobId: job.id,
+                        status: job.status,
+                        message: `🧾 Receipt queued for ${job.printerName}`
+                    });
+                } catch (error) {
+                    reply('print_response', {
+                        success: false,
+                        code: protocol.errorCode(error, 'INVALID_PAYLOAD'),
+                        message: `❌ Receipt print failed: ${error.message}`
+                    });
+                }
+                break;
+
+            case 'print_template':
+                try {
+                    const document = TemplateStore.render(this.templates.load(data.payload.template), data.payload.data);
+                    const buffer = this.buildReceipt(document, this.getPrinterOptions(data.payload.printerName));
+                    const job = await this.submitJob(ws, data, buffer, 'receipt');
+                    reply('print_response', {
+                        success: true,
+                        jobId: job.id,
+                        status: job.status,
+                        message: `🧾 Template ${data.payload.template} queued for ${job.printerName}`
+                    });
+                } catch (error) {
+                    reply('print_response', {
+                        success: false,
+                        code: protocol.errorCode(error, 'INVALID_PAYLOAD'),
+                        message: `❌ Template print failed: ${error.message}`
+                    });
+                }
+                break;
+
+            case 'print_label':
+                try {
+                    const buffer = this.buildLabelBuffer(data.payload, this.getPrinterOptions(data.payload.printerName));
+                    const job = await this.submitJob(ws, data, buffer, 'label');
+                    reply('print_response', {
+                        success: true,
+                        jobId: job.id,
+                        status: job.status,
+                        message: `🏷️ Label queued for ${job.printerName}`
+                    });
+                } catch (error) {
+                    reply('print_response', {
+                        success: false,
+                        code: protocol.errorCode(error, 'INVALID_PAYLOAD'),
+                        message: `❌ Label print failed: ${error.message}`
+                    });
+                }
+                break;
+
+            case 'render_preview':
+                try {
+                    // The target printer's paper and code page unless the payload names them
+                    const options = this.getPrinterOptions(data.payload.printerName || PREVIEW_PRINTER);
+                    if (data.payload.paperWidth || data.payload.columns) {
+                        options.paperWidth = data.payload.paperWidth;
+                        options.columns = data.payload.columns;
+                    }
+                    options.codePage = data.payload.codePage || options.codePage;
+                    const buffer = this.buildPreviewBuffer(data.payload, options);
+                    reply('preview_response', {
+                        success: true,
+                        format: 'html',
+                        columns: ReceiptBuilder.resolveColumns(options),
+                        bytes: buffer.length,
+                        html: escposPreview.renderHtml(buffer, options)
+                    });
+                } catch (error) {
+                    reply('preview_response', {
+                        success: false,
+                        code: protocol.errorCode(error, 'INVALID_PAYLOAD'),
+                        message: `❌ Preview failed: ${error.message}`
+                    });
+                }
+                break;
+
+            case 'print_order':
+                try {
+                    const stations = await this.printOrder(data.payload, data.requestId);
+                    const failed = stations.filter(station => !station.success);
+                    reply('order_response', {
+                        success: failed.length === 0,
+                        ...(failed.length ? { code: failed[0].code } : {}),
+                        stations: stations,
+                        message: failed.length
+                            ? `❌ ${failed.length} of ${stations.length} ticket(s) failed: ${failed.map(s => s.station).join(', ')}`
+                            : `✅ ${stations.length} ticket(s) printed`
+                    });
+                } catch (error) {
+                    reply('order_response', {
+                        success: false,
+                        code: protocol.errorCode(error, 'INVALID_PAYLOAD'),
+                        message: `❌ Order print failed: ${error.message}`
+                    });
+                }
+                break;
+
+            case 'test_print':
+                const TEST_RECEIPT = `
+╔════════════════════════════════════╗
+║   AARAVPOS AGENT TEST PRINT       ║
+╠════════════════════════════════════╣
+║ Date: ${new Date().toLocaleString().padEnd(26)} ║
+║ Agent Version: 1.0.0 (macOS)      ║
+║ Platform: ${os.platform().padEnd(23)} ║
+║ Hostname: ${os.hostname().substring(0, 23).padEnd(23)} ║
+╠════════════════════════════════════╣
+║ This is a test print from the     ║
+║ Electron agent running on your    ║
+║ computer.                          ║
+╠════════════════════════════════════╣
+║           ✅ SUCCESS!              ║
+╚════════════════════════════════════╝
+
+`;
+
+                try {
+                    const testOptions = this.getPrinterOptions(data.payload.printerName);
+                    const buffer = isLabelPrinter(testOptions)
+                        ? labelBuilder.buildLabel(labelBuilder.testLabel(), testOptions.language, { dpi: testOptions.dpi })
+                        : this.buildBuffer(TEST_RECEIPT, false, testOptions);
+                    const testJob = await this.printAndWait(data.payload.printerName, buffer, { type: 'test', requestId: data.requestId });
+                    reply('test_print_response', {
+                        success: true,
+                        printedBy: testJob.printedBy,
+                        attempts: testJob.attempts,
+                        message: '✅ Test print sent successfully'
+                    });
+                } catch (error) {
+                    reply('test_print_response', {
+                        success: false,
+                        code: protocol.errorCode(error, 'INVALID_PAYLOAD'),
+                        message: `❌ Test print failed: ${error.message}`
+                    });
+                }
+                break;
+
+            case 'open_cash_drawer':
+                try {
+                    const buffer = this.buildDrawerBuffer(data.payload.printerName, data.payload);
+                    const drawerJob = await this.printAndWait(data.payload.printerName, buffer, { type: 'drawer', requestId: data.requestId });
+                    reply('cash_drawer_response', {
+                        success: true,
+                        printedBy: drawerJob.printedBy,
+                        attempts: drawerJob.attempts,
+                        message: '✅ Cash drawer command sent'
+                    });
+                } catch (error) {
+                    reply('cash_drawer_response', {
+                        success: false,
+                        code: protocol.errorCode(error, 'INVALID_PAYLOAD'),
+                        message: `❌ Cash drawer failed: ${error.message}`
+                    });
+                }
+                break;
+
+            case 'display_text':
+                try {
+                    await this.getDisplay().showText(data.payload.lines, { align: data.payload.align });
+                    reply('display_response', { success: true, message: '✅ Display updated' });
+                } catch (error) {
+                    reply('display_response', {
+                        success: false,
+                        code: protocol.errorCode(error, 'PRINT_FAILED'),
+                        message: `❌ Display failed: ${error.message}`
+                    });
+                }
+                break;
+
+            case 'display_total':
+                try {
+                    await this.getDisplay().showTotal(data.payload.amount, data.payload);
+                    reply('display_response', { success: true, message: '✅ Total displayed' });
+                } catch (error) {
+                    reply('display_response', {
+                        success: false,
+                        code: protocol.errorCode(error, 'PRINT_FAILED'),
+                        message: `❌ Display failed: ${error.message}`
+                    });
+                }
+                break;
+
+            case 'display_clear':
+                try {
+                    await this.getDisplay().clear();
+                    reply('display_response', { success: true, message: '✅ Display cleared' });
+                } catch (error) {
+                    reply('display_response', {
+                        success: false,
+                        code: protocol.errorCode(error, 'PRINT_FAILED'),
+                        message: `❌ Display failed: ${error.message}`
+                    });
+                }
+                break;
+
+            case 'get_display_settings':
+                reply('display_settings_response', {
+                    success: true,
+                    settings: this.config.get('customerDisplay'),
+                    active: !!this.display
+                });
+                break;
+
+            case 'set_display_settings':
+                try {
+                    const settings = this.setDisplaySettings(data.payload.settings);
+                    reply('display_settings_response', {
+                        success: true,
+                        settings: settings,
+                        active: !!this.display,
+                        message: settings ? '✅ Customer display settings saved' : '✅ Customer display removed'
+                    });
+                } catch (error) {
+                    reply('display_settings_response', { success: false, code: protocol.errorCode(error, 'INVALID_PAYLOAD'), message: `❌ ${error.message}` });
+                }
+                break;
+
+            case 'read_weight':
+                try {
+                    const scale = this.getScale(data.payload?.name);
+                    const reading = await scale.read({ timeout: data.payload?.timeout });
+                    reply('weight_response', {
+                        success: true,
+                        name: scale.name,
+                        ...reading,
+                        message: `⚖️ ${reading.weight} ${reading.unit}${reading.tare ? ' (net)' : ''}`
+                    });
+                } catch (error) {
+                    reply('weight_response', {
+                        success: false,
+                        code: protocol.errorCode(error, 'PRINTER_OFFLINE'),
+                        message: `❌ Weight read failed: ${error.message}`
+                    });
+                }
+                break;
+
+            case 'list_input_devices':
+                reply('input_devices_response', { success: true, devices: this.listInputDevices() });
+                break;
+
+            case 'add_input_device':
+                try {
+                    const settings = this.addInputDevice(data.payload.name, data.payload);
+                    reply('input_devices_response', {
+                        success: true,
+                        name: data.payload.name,
+                        settings: settings,
+                        message: `✅ ${settings.kind === 'scale' ? 'Scale' : 'Scanner'} ${data.payload.name} added (${settings.device})`
+                    });
+                } catch (error) {
+                    reply('input_devices_response', { success: false, code: protocol.errorCode(error, 'INVALID_PAYLOAD'), message: `❌ ${error.message}` });
+                }
+                break;
+
+            case 'remove_input_device':
+                try {
+                    this.removeInputDevice(data.payload.name);
+                    reply('input_devices_response', {
+                        success: true,
+                        name: data.payload.name,
+                        message: `🗑️ Input device ${data.payload.name} removed`
+                    });
+                } catch (error) {
+                    reply('input_devices_response', { success: false, code: protocol.errorCode(error, 'INVALID_PAYLOAD'), message: `❌ ${error.message}` });
+                }
+                break;
+
+            case 'subscribe':
+            case 'unsubscribe':
+                if (!ws) {
+                    reply('subscribe_response', {
+                        success: false,
+                        code: 'NOT_SUPPORTED',
+                        message: '❌ Events need a WebSocket connection'
+                    });
+                    break;
+                }
+                const topics = data.type === 'subscribe'
+                    ? this.subscribe(ws, data.payload.topics)
+                    : this.unsubscribe(ws, data.payload.topics);
+                reply('subscribe_response', {
+                    success: true,
+                    topics: topics,
+                    message: `✅ Subscribed to ${topics.length ? topics.join(', ') : 'nothing'}`
+                });
+                if (data.type === 'subscribe' && data.payload.topics.includes('printers')) {
+                    this.pollPrinterStatus();
+                }
+                break;
+
+            case 'ping':
+                reply('pong', { success: true, time: new Date().toISOString() });
+                break;
+
+            case 'job_status':
+                const statusJob = this.queue.getJob(data.payload?.jobId);
+                reply('job_status_response', statusJob
+                    ? { success: true, job: statusJob }
+                    : { success: false, code: 'NOT_FOUND', message: `❌ Unknown job: ${data.payload?.jobId}` });
+                break;
+
+            case 'list_jobs':
+                reply('list_jobs_response', {
+                    success: true,
+                    jobs: this.queue.listJobs(data.payload || {})
+                });
+                break;
+
+            case 'printer_status':
+                try {
+                    const status = await this.getPrinterStatus(data.payload.printerName);
+                    this.notePrinterStatus(data.payload.printerName, status.status, status);
+                    reply('printer_status_response', {
+                        success: true,
+                        printerName: data.payload.printerName,
+                        status: status
+                    });
+                } catch (error) {
+                    reply('printer_status_response', {
+                        success: false,
+                        code: protocol.errorCode(error),
+                        printerName: data.payload.printerName,
+                        message: `❌ Status query failed: ${error.message}`
+                    });
+                }
+                break;
+
+            case 'drawer_status':
+                try {
+                    // Monitored drawers answer from the poller, others are queried now
+                    const drawerState = this.drawerMonitor.getState(data.payload.printerName) || {
+                        open: await this.queryDrawerOpen(data.payload.printerName),
+                        openedAt: null,
+                        openDurationMs: 0
+                    };
+                    reply('drawer_status_response', {
+                        success: true,
+                        printerName: data.payload.printerName,
+                        ...drawerState
+                    });
+                } catch (error) {
+                    reply('drawer_status_response', {
+                        success: false,
+                        code: protocol.errorCode(error),
+                        printerName: data.payload.printerName,
+                        message: `❌ Drawer status failed: ${error.message}`
+                    });
+                }
+                break;
+
+            case 'save_logo':
+                try {
+                    const logo = this.logos.save(data.payload.name, data.payload.image);
+                    reply('logo_response', { success: true, logo: logo, message: `✅ Logo ${logo.name} saved` });
+                } catch (error) {
+                    reply('logo_response', { success: false, code: protocol.errorCode(error, 'INVALID_PAYLOAD'), message: `❌ ${error.message}` });
+                }
+                break;
+
+            case 'list_logos':
+                reply('logo_response', { success: true, logos: this.logos.list() });
+                break;
+
+            case 'delete_logo':
+                try {
+                    const removed = this.logos.remove(data.payload.name);
+                    reply('logo_response', removed
+                        ? { success: true, message: `✅ Logo ${data.payload.name} deleted` }
+                        : { success: false, code: 'NOT_FOUND', message: `❌ Unknown logo: ${data.payload.name}` });
+                } catch (error) {
+                    reply('logo_response', { success: false, code: protocol.errorCode(error, 'INVALID_PAYLOAD'), message: `❌ ${error.message}` });
+                }
+                break;
+
+            case 'save_template':
+                try {
+                    const template = this.templates.save(data.payload.name, data.payload.template);
+                    reply('template_response', { success: true, template: template, message: `✅ Template ${template.name} saved` });
+                } catch (error) {
+                    reply('template_response', { success: false, code: protocol.errorCode(error, 'INVALID_PAYLOAD'), message: `❌ ${error.message}` });
+                }
+                break;
+
+            case 'get_template':
+                try {
+                    reply('template_response', { success: true, template: this.templates.load(data.payload.name) });
+                } catch (error) {
+                    reply('template_response', { success: false, code: protocol.errorCode(error, 'INVALID_PAYLOAD'), message: `❌ ${error.message}` });
+                }
+                break;
+
+            case 'list_templates':
+                reply('template_response', { success: true, templates: this.templates.list() });
+                break;
+
+            case 'delete_template':
+                try {
+                    const removed = this.templates.remove(data.payload.name);
+                    reply('template_response', removed
+                        ? { success: true, message: `✅ Template ${data.payload.name} deleted` }
+                        : { success: false, code: 'NOT_FOUND', message: `❌ Unknown template: ${data.payload.name}` });
+                } catch (error) {
+                    reply('template_response', { success: false, code: protocol.errorCode(error, 'INVALID_PAYLOAD'), message: `❌ ${error.message}` });
+                }
+                break;
+
+            case 'preview_template':
+                try {
+                    const options = data.payload.printerName ? this.getPrinterOptions(data.payload.printerName) : {};
+                    reply('template_response', {
+                        success: true,
+                        name: data.payload.name,
+                        text: this.templates.preview(data.payload.name, data.payload.data, options)
+                    });
+                } catch (error) {
+                    reply('template_response', { success: false, code: protocol.errorCode(error, 'INVALID_PAYLOAD'), message: `❌ ${error.message}` });
+                }
+                break;
+
+            case 'add_network_printer':
+                try {
+                    const settings = this.addNetworkPrinter(data.payload.name, data.payload);
+                    reply('printer_settings_response', {
+                        success: true,
+                        printerName: data.payload.name,
+                        settings: settings,
+                        message: `✅ Network printer ${data.payload.name} added`
+                    });
+                } catch (error) {
+                    reply('printer_settings_response', { success: false, code: protocol.errorCode(error, 'INVALID_PAYLOAD'), message: `❌ ${error.message}` });
+                }
+                break;
+
+            case 'list_devices':
+                try {
+                    const configured = this.config.getDirectPrinters().filter(p => p.transport === 'device');
+                    const devices = (await DeviceTransport.listDevices()).map(device => ({
+                        ...device,
+                        printerName: (configured.find(p => p.device === device.device) || {}).name || null
+                    }));
+                    reply('devices_response', { success: true, devices: devices });
+                } catch (error) {
+                    reply('devices_response', { success: false, code: protocol.errorCode(error), message: `❌ ${error.message}` });
+                }
+                break;
+
+            case 'add_device_printer':
+                try {
+                    const settings = this.addDevicePrinter(data.payload.name, data.payload);
+                    reply('printer_settings_response', {
+                        success: true,
+                        printerName: data.payload.name,
+                        settings: settings,
+                        message: `✅ Device printer ${data.payload.name} added (${settings.device})`
+                    });
+                } catch (error) {
+                    reply('printer_settings_response', { success: false, code: protocol.errorCode(error, 'INVALID_PAYLOAD'), message: `❌ ${error.message}` });
+                }
+                break;
+
+            case 'add_file_printer':
+                try {
+                    const settings = this.addFilePrinter(data.payload.name, data.payload);
+                    reply('printer_settings_response', {
+                        success: true,
+                        printerName: data.payload.name,
+                        settings: settings,
+                        message: `✅ File printer ${data.payload.name} added (${settings.directory})`
+                    });
+                } catch (error) {
+                    reply('printer_settings_response', { success: false, code: protocol.errorCode(error, 'INVALID_PAYLOAD'), message: `❌ ${error.message}` });
+                }
+                break;
+
+            case 'remove_printer':
+                this.config.removePrinter(data.payload.printerName);
+                reply('printer_settings_response', {
+                    success: true,
+                    printerName: data.payload.printerName,
+                    message: `✅ Removed settings for ${data.payload.printerName}`
+                });
+                break;
+
+            case 'get_printer_groups':
+                reply('printer_groups_response', { success: true, groups: this.config.getGroups() });
+                break;
+
+            case 'set_printer_group':
+                try {
+                    // An empty printer list removes the group
+                    this.config.setGroup(data.payload.name, data.payload.printers);
+                    reply('printer_groups_response', { success: true, groups: this.config.getGroups() });
+                } catch (error) {
+                    reply('printer_groups_response', { success: false, code: protocol.errorCode(error, 'INVALID_PAYLOAD'), message: `❌ ${error.message}` });
+                }
+                break;
+
+            case 'get_printer_settings':
+                reply('printer_settings_response', {
+                    success: true,
+                    printerName: data.payload.printerName,
+                    settings: this.config.getPrinterSettings(data.payload.printerName),
+                    retry: this.config.getRetryPolicy(data.payload.printerName)
+                });
+                break;
+
+            case 'set_printer_settings':
+                try {
+                    const settings = this.setPrinterSettings(data.payload.printerName, data.payload.settings);
+                    reply('printer_settings_response', {
+                        success: true,
+                        printerName: data.payload.printerName,
+                        settings: settings,
+                        retry: this.config.getRetryPolicy(data.payload.printerName)
+                    });
+                } catch (error) {
+                    reply('printer_settings_response', { success: false, code: protocol.errorCode(error, 'INVALID_PAYLOAD'), message: `❌ ${error.message}` });
+                }
+                break;
+
+            case 'get_roles':
+                reply('roles_response', { success: true, ...this.describeRoles() });
+                break;
+
+            case 'set_role':
+                try {
+                    this.config.setRole(data.payload.role, data.payload.printerName);
+                    reply('roles_response', {
+                        success: true,
+                        ...this.describeRoles(),
+                        message: data.payload.printerName
+                            ? `✅ ${data.payload.role} prints to ${data.payload.printerName}`
+                            : `✅ ${data.payload.role} is unassigned`
+                    });
+                } catch (error) {
+                    reply('roles_response', { success: false, code: protocol.errorCode(error, 'INVALID_PAYLOAD'), message: `❌ ${error.message}` });
+                }
+                break;
+
+            default:
+                reply('error', { success: false, code: 'UNKNOWN_COMMAND', message: `❌ Unknown command: ${data.type}` });
+        }
+    }
+
+    // { role: "kitchen" } -> { printerName: <printer or group assigned to kitchen> }
+    resolveRole(data, protocolVersion) {
+        const payload = data && data.payload;
+        if (!payload || !protocol.isRoutable(data.type, protocolVersion) || payload.role === undefined || payload.printerName !== undefined) {
+            return data;
+        }
+        return { ...data, payload: { ...payload, printerName: this.config.resolveRole(payload.role) } };
+    }
+
+    // Role map for health/roles replies, so clients can warn about gaps
+    describeRoles() {
+        const roles = this.config.getRoles();
+        return {
+            roles,
+            unassignedRoles: Object.keys(roles).filter(role => !roles[role])
+        };
+    }
+
+    /* ============================
+       HTTP API
+    ============================ */
+    async handleHttp(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || '127.0.0.1'}`);
+        const origin = req.headers.origin || null;
+        const requestId = req.headers['x-request-id'] || null;
+        const headers = this.corsHeaders(req, origin);
+        if (requestId) headers['X-Request-Id'] = requestId;
+
+        const send = (status, body) => {
+            res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        // CORS preflight carries no credentials; the real request is checked below
+        if (req.method === 'OPTIONS') {
+            res.writeHead(headers['Access-Control-Allow-Origin'] ? 204 : 403, headers);
+            res.end();
+            return;
+        }
+
+        const routes = HTTP_ROUTES.filter(route => route.path.test(url.pathname));
+        const route = routes.find(r => r.method === req.method);
+        if (!route) {
+            send(routes.length ? 405 : 404, {
+                success: false,
+                code: routes.length ? 'UNKNOWN_COMMAND' : 'NOT_FOUND',
+                message: `❌ No route for ${req.method} ${url.pathname}`
+            });
+            return;
+        }
+
+        // Same negotiation as ?protocol=N on the WebSocket, but defaulting to
+        // the current version
+        let protocolVersion;
+        try {
+            protocolVersion = protocol.negotiate(req.headers['x-protocol-version'], protocol.PROTOCOL_VERSION);
+        } catch (error) {
+            send(protocol.httpStatus(error.code), { success: false, code: error.code, message: `❌ ${error.message}` });
+            return;
+        }
+
+        const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+        const client = this.pairing.authenticate(bearer ? bearer[1] : url.searchParams.get('token'), origin);
+        if (!client) {
+            this.log(`❌ Unauthorized HTTP request from ${req.socket.remoteAddress}${origin ? ` (${origin})` : ''}`, 'error');
+            send(401, { success: false, code: 'UNAUTHORIZED', message: '❌ Unauthorized: use a paired client token or the agent token' });
+            return;
+        }
+
+        try {
+            const body = req.method === 'POST' ? await readJsonBody(req) : {};
+            const message = route.toMessage(route.path.exec(url.pathname), body);
+            this.log(`🌐 HTTP ${req.method} ${url.pathname} -> ${message.type} (${requestId || 'no-id'})`, 'debug');
+
+            let response = null;
+            await this.handleMessage({ ...message, requestId: requestId || undefined }, (type, payload) => {
+                response = response || payload;
+            }, null, protocolVersion);
+
+            if (response && response.success === false) {
+                send(protocol.httpStatus(response.code), response);
+            } else {
+                send(route.successStatus || 200, response);
+            }
+        } catch (error) {
+            this.log(`❌ HTTP request error: ${error.message}`, 'error');
+            const code = protocol.errorCode(error);
+            if (error.status === 413) headers.Connection = 'close';
+            send(error.status || protocol.httpStatus(code), { success: false, code, message: `❌ ${error.message}` });
+        }
+    }
+
+    // Allowed origins get CORS headers; others get none and the browser blocks them
+    corsHeaders(req, origin) {
+        if (!origin || !this.pairing.isOriginAllowed(origin)) {
+            return { Vary: 'Origin' };
+        }
+
+        const headers = {
+            Vary: 'Origin',
+            'Access-Control-Allow-Origin': origin,
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-Request-Id, X-Protocol-Version',
+            'Access-Control-Expose-Headers': 'X-Request-Id',
+            'Access-Control-Max-Age': '600'
+        };
+        // Chrome asks before letting a public site reach a loopback address
+        if (req.headers['access-control-request-private-network'] === 'true') {
+            headers['Access-Control-Allow-Private-Network'] = 'true';
+        }
+        return headers;
+    }
+
     /* ============================
        START/STOP SERVER
     ============================ */
     start() {
         return new Promise((resolve, reject) => {
             try {
-                this.wss = new WebSocket.Server({
-                    port: this.PORT,
-                    host: '127.0.0.1'
-                });
+                this.queue.load();
+
+                // One port for both APIs: plain requests go to the HTTP
+                // handler, upgrades to the WebSocket server
+                this.server = http.createServer((req, res) => this.handleHttp(req, res));
+                this.wss = new WebSocket.Server({ server: this.server });
 
                 this.wss.on('connection', (ws, req) => {
                     const clientIp = req.socket.remoteAddress;
-                    this.log(`New connection from: ${clientIp}`);
+                    const origin = req.headers.origin || null;
+                    // Browsers answer protocol pings by themselves
+                    ws.isAlive = true;
+                    ws.on('pong', () => {
+                        ws.isAlive = true;
+                    });
+                    this.log(`New connection from: ${clientIp}${origin ? ` (${origin})` : ''}`);
 
                     // Extract token from URL
                     const url = req.url;
                     const params = new URLSearchParams(url.substring(url.indexOf('?')));
                     const token = params.get('token');
 
-                    if (token !== this.AUTH_TOKEN) {
-                        this.log(`❌ Invalid token from ${clientIp}`);
-                        ws.close();
+                    // Clients declare their protocol version with ?protocol=N
+                    try {
+                        ws.protocolVersion = protocol.negotiate(params.get('protocol'));
+                    } catch (error) {
+                        this.log(`❌ ${error.message} (${clientIp})`, 'error');
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            payload: {
+                                success: false,
+                                code: error.code,
+                                message: `❌ ${error.message}`,
+                                protocolVersion: protocol.PROTOCOL_VERSION,
+                                minProtocolVersion: protocol.MIN_PROTOCOL_VERSION
+                            }
+                        }));
+                        ws.close(4002, 'Unsupported protocol version');
                         return;
                     }
 
+                    const client = this.pairing.authenticate(token, origin);
+
+                    if (client) {
+                        this.authenticate(ws, client);
+                    } else {
+                        // Without a valid token the socket may only ask to pair
+                        if (token) {
+                            this.log(`❌ Invalid token from ${clientIp}${origin ? ` (${origin})` : ''}`, 'error');
+                        }
+                        ws.origin = origin;
+                        ws.authTimer = setTimeout(() => {
+                            if (!ws.client) ws.close(4001, 'Pairing required');
+                        }, UNAUTHENTICATED_TIMEOUT);
+                    }
+
                     // Send welcome message
                     ws.send(JSON.stringify({
                         type: 'connected',
                         payload: {
-                            message: 'AaravPOS Print Server Connected',
+                            message: client ? 'AaravPOS Print Server Connected' : 'Pairing required',
+                            paired: !!client,
                             platform: os.platform(),
-                            version: '1.0.0'
+                            version: '1.0.0',
+                            protocolVersion: ws.protocolVersion,
+                            supportedProtocolVersions: {
+                                min: protocol.MIN_PROTOCOL_VERSION,
+                                max: protocol.PROTOCOL_VERSION
+                            }
                         }
                     }));
 
                     ws.on('message', async (msg) => {
+                        ws.isAlive = true;
+                        let data;
                         try {
-                            const data = JSON.parse(msg);
-                            this.log(`📨 Received: ${data.type} (${data.requestId || 'no-id'})`);
-
-                            switch (data.type) {
-                                case 'health':
-                                    const printers = await this.getPrinters();
-                                    ws.send(JSON.stringify({
-                                        type: 'health_response',
-                                        requestId: data.requestId,
-                                        payload: {
-                                            ok: true,
-                                            platform: os.platform(),
-                                            version: '1.0.0',
-                                            hostname: os.hostname(),
-                                            printers: printers,
-                                            totalPrinters: printers.length,
-                                            defaultPrinter: printers.find(p => p.isDefault)?.name || null
-                                        }
-                                    }));
-                                    break;
-
-                                case 'print_text':
-                                    try {
-                                        const buffer = this.buildBuffer(data.payload.text, false);
-                                        await this.printRaw(data.payload.printerName, buffer);
-                                        ws.send(JSON.stringify({
-                                            type: 'print_response',
-                                            requestId: data.requestId,
-                                            payload: {
-                                                success: true,
-                                                message: `✅ Printed to ${data.payload.printerName}`
-                                            }
-                                        }));
-                                    } catch (error) {
-                                        ws.send(JSON.stringify({
-                                            type: 'print_response',
-                                            requestId: data.requestId,
-                                            payload: {
-                                                success: false,
-                                                message: `❌ Print failed: ${error.message}`
-                                            }
-                                        }));
-                                    }
-                                    break;
-
-                                case 'test_print':
-                                    const TEST_RECEIPT = `
-╔════════════════════════════════════╗
-║   AARAVPOS AGENT TEST PRINT       ║
-╠════════════════════════════════════╣
-║ Date: ${new Date().toLocaleString().padEnd(26)} ║
-║ Agent Version: 1.0.0 (macOS)      ║
-║ Platform: ${os.platform().padEnd(23)} ║
-║ Hostname: ${os.hostname().substring(0, 23).padEnd(23)} ║
-╠════════════════════════════════════╣
-║ This is a test print from the     ║
-║ Electron agent running on your    ║
-║ computer.                          ║
-╠════════════════════════════════════╣
-║           ✅ SUCCESS!              ║
-╚════════════════════════════════════╝
+                            data = JSON.parse(msg);
+                        } catch (error) {
+                            this.log(`❌ Unparseable message: ${error.message}`, 'error');
+                            ws.send(JSON.stringify({
+                                type: 'error',
+                                requestId: protocol.salvageRequestId(msg),
+                                payload: { success: false, code: 'INVALID_MESSAGE', message: '❌ Invalid request format: not valid JSON' }
+                            }));
+                            return;
+                        }
 
-`;
+                        try {
+                            this.log(`📨 Received: ${data?.type} (${data?.requestId || 'no-id'})`, 'debug');
 
-                                    try {
-                                        const buffer = this.buildBuffer(TEST_RECEIPT, false);
-                                        await this.printRaw(data.payload.printerName, buffer);
-                                        ws.send(JSON.stringify({
-                                            type: 'test_print_response',
-                                            requestId: data.requestId,
-                                            payload: {
-                                                success: true,
-                                                message: '✅ Test print sent successfully'
-                                            }
-                                        }));
-                                    } catch (error) {
-                                        ws.send(JSON.stringify({
-                                            type: 'test_print_response',
-                                            requestId: data.requestId,
-                                            payload: {
-                                                success: false,
-                                                message: `❌ Test print failed: ${error.message}`
-                                            }
-                                        }));
-                                    }
-                                    break;
-
-                                case 'open_cash_drawer':
-                                    try {
-                                        const buffer = this.buildBuffer('OPENING CASH DRAWER\n', true);
-                                        await this.printRaw(data.payload.printerName, buffer);
-                                        ws.send(JSON.stringify({
-                                            type: 'cash_drawer_response',
-                                            requestId: data.requestId,
-                                            payload: {
-                                                success: true,
-                                                message: '✅ Cash drawer command sent'
-                                            }
-                                        }));
-                                    } catch (error) {
-                                        ws.send(JSON.stringify({
-                                            type: 'cash_drawer_response',
-                                            requestId: data.requestId,
-                                            payload: {
-                                                success: false,
-                                                message: `❌ Cash drawer failed: ${error.message}`
-                                            }
-                                        }));
-                                    }
-                                    break;
-
-                                default:
-                                    ws.send(JSON.stringify({
-                                        type: 'error',
-                                        requestId: data.requestId,
-                                        payload: { message: `❌ Unknown command: ${data.type}` }
-                                    }));
+                            if (data?.type === 'pair_request') {
+                                this.handlePairRequest(ws, data);
+                                return;
+                            }
+                            if (data?.type === 'pair_confirm') {
+                                this.handlePairConfirm(ws, data);
+                                return;
                             }
+                            if (!ws.client) {
+                                ws.send(JSON.stringify({
+                                    type: 'error',
+                                    requestId: data?.requestId,
+                                    payload: { success: false, code: 'UNAUTHORIZED', message: '❌ Not paired: send pair_request first' }
+                                }));
+                                return;
+                            }
+
+                            await this.handleMessage(data, (type, payload) => ws.send(JSON.stringify({
+                                type,
+                                requestId: data.requestId,
+                                payload
+                            })), ws, ws.protocolVersion);
                         } catch (error) {
-                            this.log(`❌ Message processing error: ${error.message}`);
+                            this.log(`❌ Message processing error: ${error.message}`, 'error');
                             ws.send(JSON.stringify({
-                                type: 'error',
-                                payload: { message: '❌ Invalid request format' }
+                                type: protocol.responseType(data?.type),
+                                requestId: data?.requestId,
+                                payload: { success: false, code: protocol.errorCode(error), message: `❌ ${error.message}` }
                             }));
                         }
                     });
 
                     ws.on('close', () => {
+                        clearTimeout(ws.authTimer);
+                        if (ws.pairingId) {
+                            this.pairingSockets.delete(ws.pairingId);
+                            this.pairing.cancel(ws.pairingId);
+                        }
+                        this.clients.delete(ws);
                         this.log('🔌 Client disconnected');
                     });
 
                     ws.on('error', (error) => {
-                        this.log(`❌ WebSocket error: ${error.message}`);
+                        this.log(`❌ WebSocket error: ${error.message}`, 'error');
                     });
                 });
 
-                this.wss.on('listening', () => {
-                    this.log(`🖨️  AaravPOS Print Server running on ws://127.0.0.1:${this.PORT}`);
+                this.server.on('listening', () => {
+                    this.log(`🖨️  AaravPOS Print Server running on ws://127.0.0.1:${this.PORT} (HTTP API on http://127.0.0.1:${this.PORT})`);
                     this.log(`📝 Log file: ${this.logPath}`);
                     this.log(`💻 Platform: ${os.platform()} ${os.arch()}`);
+                    this.drawerMonitor.start();
+                    this.startDisplay();
+                    this.startInputs();
+                    this.heartbeatTimer = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL);
+                    this.printerPollTimer = setInterval(() => this.pollPrinterStatus(), this.config.get('printerMonitor.intervalMs'));
                     resolve();
                 });
 
-                this.wss.on('error', (error) => {
-                    this.log(`❌ Server error: ${error.message}`);
+                this.server.on('error', (error) => {
+                    this.log(`❌ Server error: ${error.message}`, 'error');
                     reject(error);
                 });
 
+                this.server.listen(this.PORT, '127.0.0.1');
+
             } catch (error) {
                 reject(error);
             }
         });
     }
 
-    stop() {
+    // options.restarting: clients are told the agent is coming back
+    async stop(options = {}) {
+        const restarting = !!options.restarting;
+        this.broadcast('agent', restarting ? 'agent_restarting' : 'agent_shutdown', {
+            message: restarting ? '🔁 Agent restarting, reconnect shortly' : '🛑 Agent shutting down'
+        });
+
+        clearInterval(this.heartbeatTimer);
+        clearInterval(this.printerPollTimer);
+        this.drawerMonitor.stop();
+        if (this.display) this.display.stop();
+        this.stopInputs();
+        this.pairing.clear();
+        this.pairing.flush();
+        await this.queue.close();
+
         return new Promise((resolve) => {
-            if (this.wss) {
-                this.wss.close(() => {
+            if (this.server) {
+                // The HTTP server only finishes closing once every socket is gone
+                // (1012: service restart, 1001: going away)
+                this.wss.clients.forEach(ws => ws.close(restarting ? 1012 : 1001, restarting ? 'Server restarting' : 'Server stopping'));
+                this.wss.close();
+                this.server.close(() => {
                     this.log('🛑 Print server stopped');
                     resolve();
                 });
+                this.server.closeIdleConnections();
             } else {
                 resolve();
             }
@@ -0,0 +1,138 @@
+// printer-status.js - ESC/POS REAL-TIME STATUS (DLE EOT n)
+const DLE = 0x10;
+const EOT = 0x04;
+
+const STATUS_TYPES = {
+    printer: 1,
+    offline: 2,
+    error: 3,
+    paper: 4
+};
+
+const bit = (byte, n) => (byte & (1 << n)) !== 0;
+
+// Every status byte has bits 1 and 4 set and bits 0 and 7 clear
+function isStatusByte(byte) {
+    return (byte & 0x93) === 0x12;
+}
+
+function query(n) {
+    return Buffer.from([DLE, EOT, n]);
+}
+
+/* ============================
+   DECODERS
+============================ */
+// n = 1: printer status
+function decodePrinter(byte) {
+    return {
+        // Level of drawer kick-out connector pin 3; which level means "open" depends on the drawer
+        drawerPinHigh: bit(byte, 2),
+        online: !bit(byte, 3),
+        waitingForRecovery: bit(byte, 5),
+        feedButtonPressed: bit(byte, 6)
+    };
+}
+
+// n = 2: offline cause
+function decodeOffline(byte) {
+    return {
+        coverOpen: bit(byte, 2),
+        feedingByButton: bit(byte, 3),
+        stoppedOnPaperEnd: bit(byte, 5),
+        errorOccurred: bit(byte, 6)
+    };
+}
+
+// n = 3: error cause
+function decodeError(byte) {
+    return {
+        recoverableError: bit(byte, 2),
+        autocutterError: bit(byte, 3),
+        unrecoverableError: bit(byte, 5),
+        autoRecoverableError: bit(byte, 6)
+    };
+}
+
+// n = 4: paper roll sensor (each condition is reported on two bits)
+function decodePaper(byte) {
+    return {
+        paperNearEnd: (byte & 0x0C) === 0x0C,
+        paperOut: (byte & 0x60) === 0x60
+    };
+}
+
+// Overall status string, most severe condition first
+function summarize(detail) {
+    if (detail.paperOut) return 'PAPER_OUT';
+    if (detail.coverOpen) return 'COVER_OPEN';
+    if (detail.error) return 'ERROR';
+    if (!detail.online) return 'OFFLINE';
+    if (detail.paperNearEnd) return 'PAPER_LOW';
+    return 'READY';
+}
+
+/* ============================
+   QUERY
+============================ */
+// `transport` must provide request(commands[], options) -> Promise<Buffer[]>
+// `drawerOpenLevel` ('high' | 'low') says which pin 3 level means the drawer is open
+async function queryStatus(transport, options = {}) {
+    const types = Object.keys(STATUS_TYPES);
+    const replies = await transport.request(types.map(type => query(STATUS_TYPES[type])), {
+        timeout: options.timeout
+    });
+
+    const raw = {};
+    types.forEach((type, i) => {
+        const byte = replies[i] ? replies[i][0] : undefined;
+        if (byte === undefined || !isStatusByte(byte)) {
+            throw new Error(`Invalid ${type} status reply from printer`);
+        }
+        raw[type] = byte;
+    });
+
+    const printer = decodePrinter(raw.printer);
+    const offline = decodeOffline(raw.offline);
+    const errors = decodeError(raw.error);
+    const paper = decodePaper(raw.paper);
+    const drawerOpenLevel = options.drawerOpenLevel || 'high';
+
+    const detail = {
+        online: printer.online,
+        paperNearEnd: paper.paperNearEnd,
+        paperOut: paper.paperOut || offline.stoppedOnPaperEnd,
+        coverOpen: offline.coverOpen,
+        drawerOpen: printer.drawerPinHigh === (drawerOpenLevel === 'high'),
+        error: offline.errorOccurred || errors.recoverableError || errors.autocutterError
+            || errors.unrecoverableError || errors.autoRecoverableError,
+        errors: errors,
+        raw: raw
+    };
+    detail.status = summarize(detail);
+
+    return detail;
+}
+
+// Printer status (n = 1) only, for frequent drawer polling
+async function queryDrawerOpen(transport, options = {}) {
+    const [reply] = await transport.request([query(STATUS_TYPES.printer)], { timeout: options.timeout });
+    const byte = reply ? reply[0] : undefined;
+    if (byte === undefined || !isStatusByte(byte)) {
+        throw new Error('Invalid printer status reply from printer');
+    }
+    return decodePrinter(byte).drawerPinHigh === ((options.drawerOpenLevel || 'high') === 'high');
+}
+
+module.exports = {
+    STATUS_TYPES,
+    query,
+    isStatusByte,
+    decodePrinter,
+    decodeOffline,
+    decodeError,
+    decodePaper,
+    summarize,
+    queryStatus,
+    queryDrawerOpen
+};
@@ -0,0 +1,665 @@
+// protocol.js - MESSAGE PROTOCOL: VERSIONS, SCHEMAS AND ERROR CODES
+
+// Version 1 is the original protocol (free-text messages only). Version 2
+// adds error codes and schema validation; replies stay readable by v1 clients.
+// Messages marked `since: 2` below, and roles in place of printer names, are
+// refused on connections that negotiated version 1.
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 1;
+const ROUTING_SINCE = 2;
+
+// Machine-readable error codes and the HTTP status each maps to
+const ERROR_CODES = {
+    INVALID_MESSAGE: 400,
+    INVALID_PAYLOAD: 400,
+    UNKNOWN_COMMAND: 400,
+    UNSUPPORTED_PROTOCOL: 400,
+    UNAUTHORIZED: 401,
+    NOT_FOUND: 404,
+    PRINTER_NOT_FOUND: 404,
+    ROLE_NOT_ASSIGNED: 409,
+    NOT_SUPPORTED: 422,
+    PRINT_FAILED: 502,
+    PRINTER_OFFLINE: 503,
+    TIMEOUT: 504,
+    INTERNAL_ERROR: 500
+};
+
+// Node socket errors that mean the printer cannot be reached
+const OFFLINE_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'EHOSTDOWN', 'EPIPE'];
+
+/* ============================
+   SCHEMAS
+============================ */
+const printerName = { type: 'string', minLength: 1, maxLength: 255 };
+const drawerTime = { type: 'number', minimum: 2, maximum: 510 };
+const role = { type: 'string', minLength: 1 };
+
+const withPrinter = (properties = {}, required = []) => ({
+    type: 'object',
+    required: ['printerName', ...required],
+    properties: { printerName, ...properties }
+});
+
+// Routable messages may name a role ({ role: "kitchen" }) instead of a
+// printer; the server resolves it to printerName before validation
+const withTarget = (properties = {}, required = []) => withPrinter({ role, ...properties }, required);
+
+const label = { type: ['string', 'integer'] };
+
+const orderItem = {
+    type: 'object',
+    required: ['name', 'station'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        quantity: { type: 'number', minimum: 0 },
+        station: { type: 'string', minLength: 1 },
+        seat: label,
+        notes: { type: 'string' },
+        modifiers: { type: 'array', items: { type: ['string', 'object'] } }
+    }
+};
+
+const receiptLine = {
+    type: 'object',
+    required: ['type'],
+    properties: { type: { type: 'string', minLength: 1 } }
+};
+
+const receiptDocument = {
+    type: 'object',
+    required: ['lines'],
+    properties: {
+        lines: { type: 'array', items: receiptLine },
+        cut: { type: 'boolean' }
+    }
+};
+
+const paperOptions = {
+    paperWidth: { type: 'string', enum: ['58mm', '80mm'] },
+    columns: { type: 'integer', minimum: 1 },
+    codePage: { type: 'string' }
+};
+
+const templateName = { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' };
+
+// Template lines may also be strings, and each/if blocks nest further lines
+const templateLine = { type: ['object', 'string'] };
+
+// Label sizes and positions are in millimetres (see label-builder.js)
+const labelDefinition = {
+    type: 'object',
+    required: ['width', 'height', 'fields'],
+    properties: {
+        width: { type: 'number', minimum: 1, maximum: 1000 },
+        height: { type: 'number', minimum: 1, maximum: 1000 },
+        gap: { type: 'number', minimum: 0, maximum: 100 },
+        quantity: { type: 'integer', minimum: 1, maximum: 9999 },
+        dpi: { type: 'integer', enum: [203, 300, 600] },
+        fields: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    type: { type: 'string', enum: ['text', 'barcode', 'qrcode'] },
+                    x: { type: 'number', minimum: 0 },
+                    y: { type: 'number', minimum: 0 },
+                    rotation: { type: 'integer', enum: [0, 90, 180, 270] }
+                }
+            }
+        }
+    }
+};
+
+// Broadcast topics a client can subscribe to, and the events each carries:
+//   printers - printer_status_changed
+//   jobs     - job_status_changed (queued, printing, completed, failed)
+//   drawer   - drawer_opened, drawer_closed, drawer_left_open
+//   agent    - agent_restarting, agent_shutdown
+//   scanner  - scan
+//   scale    - weight
+const EVENT_TOPICS = ['printers', 'jobs', 'drawer', 'agent', 'scanner', 'scale'];
+const eventTopic = { type: 'string', enum: EVENT_TOPICS };
+
+// Message type -> response type and payload schema (a JSON Schema subset:
+// type, required, properties, items, enum, minimum/maximum, min/maxLength, pattern).
+// routable messages accept a role in place of printerName; since is the
+// protocol version that introduced the message (1 if absent).
+const MESSAGES = {
+    health: { response: 'health_response' },
+    list_printers: { response: 'printers_response' },
+    print_text: {
+        response: 'print_response',
+        routable: true,
+        schema: withTarget({ text: { type: 'string', maxLength: 1000000 } }, ['text'])
+    },
+    print_receipt: {
+        response: 'print_response',
+        routable: true,
+        schema: withTarget({
+            document: receiptDocument,
+            paperWidth: paperOptions.paperWidth,
+            columns: paperOptions.columns
+        }, ['document'])
+    },
+    render_preview: {
+        response: 'preview_response',
+        since: 2,
+        schema: {
+            type: 'object',
+            properties: {
+                document: receiptDocument,
+                text: { type: 'string', maxLength: 1000000 },
+                // Raw ESC/POS, base64 encoded
+                data: { type: 'string', minLength: 1 },
+                printerName,
+                ...paperOptions
+            }
+        }
+    },
+    print_order: {
+        response: 'order_response',
+        since: 2,
+        schema: {
+            type: 'object',
+            required: ['order'],
+            properties: {
+                order: {
+                    type: 'object',
+                    required: ['items'],
+                    properties: {
+                        id: label,
+                        table: label,
+                        server: { type: 'string' },
+                        guests: { type: 'integer', minimum: 0 },
+                        notes: { type: 'string' },
+                        createdAt: { type: 'string' },
+                        items: { type: 'array', items: orderItem }
+                    }
+                },
+                // station -> printer or group, overriding the role map
+                routes: { type: 'object' },
+                fullCopy: { type: 'string', minLength: 1 },
+                stations: { type: 'array', items: { type: 'string', minLength: 1 } }
+            }
+        }
+    },
+    print_template: {
+        response: 'print_response',
+        since: 2,
+        routable: true,
+        schema: withTarget({
+            template: templateName,
+            data: { type: 'object' }
+        }, ['template'])
+    },
+    print_label: {
+        response: 'print_response',
+        since: 2,
+        routable: true,
+        schema: withTarget({
+            label: labelDefinition,
+            // ZPL or TSPL the client already built, sent unchanged
+            raw: { type: 'string', minLength: 1, maxLength: 1000000 }
+        })
+    },
+    test_print: { response: 'test_print_response', routable: true, schema: withTarget() },
+    open_cash_drawer: {
+        response: 'cash_drawer_response',
+        routable: true,
+        schema: withTarget({
+            pin: { type: 'integer', enum: [2, 5] },
+            onMs: drawerTime,
+            offMs: drawerTime,
+            kickOnly: { type: 'boolean' }
+        })
+    },
+    display_text: {
+        response: 'display_response',
+        since: 2,
+        schema: {
+            type: 'object',
+            required: ['lines'],
+            properties: {
+                lines: { type: 'array', items: { type: 'string', maxLength: 200 } },
+                align: { type: 'string', enum: ['left', 'center', 'right'] }
+            }
+        }
+    },
+    display_total: {
+        response: 'display_response',
+        since: 2,
+        schema: {
+            type: 'object',
+            required: ['amount'],
+            properties: {
+                amount: { type: 'number' },
+                label: { type: 'string', maxLength: 40 },
+                currency: { type: 'string', maxLength: 4 }
+            }
+        }
+    },
+    display_clear: { response: 'display_response', since: 2 },
+    get_display_settings: { response: 'display_settings_response', since: 2 },
+    set_display_settings: {
+        response: 'display_settings_response',
+        since: 2,
+        schema: {
+            type: 'object',
+            required: ['settings'],
+            properties: {
+                // null removes the display
+                settings: {
+                    type: ['object', 'null'],
+                    properties: {
+                        transport: { type: 'string', enum: ['device', 'tcp', 'file'] },
+                        // file displays write under the agent's virtual-printers directory
+                        directory: { type: 'string', minLength: 1, maxLength: 255 },
+                        commandSet: { type: 'string', enum: ['escpos', 'cd5220'] },
+                        columns: { type: 'integer', minimum: 8, maximum: 40 },
+                        rows: { type: 'integer', minimum: 1, maximum: 4 },
+                        welcome: { type: ['string', 'array'] },
+                        idleAfterMs: { type: 'integer', minimum: 0 },
+                        scrollIntervalMs: { type: 'integer', minimum: 100, maximum: 5000 }
+                    }
+                }
+            }
+        }
+    },
+    read_weight: {
+        response: 'weight_response',
+        since: 2,
+        schema: {
+            type: 'object',
+            properties: {
+                // Optional when only one scale is configured
+                name: { type: 'string', minLength: 1 },
+                timeout: { type: 'integer', minimum: 100, maximum: 30000 }
+            }
+        }
+    },
+    list_input_devices: { response: 'input_devices_response', since: 2 },
+    add_input_device: {
+        response: 'input_devices_response',
+        since: 2,
+        schema: {
+            type: 'object',
+            required: ['name', 'kind', 'device'],
+            properties: {
+                name: { type: 'string', pattern: '^[A-Za-z0-9 _-]{1,64}$' },
+                kind: { type: 'string', enum: ['scanner', 'scale'] },
+                device: { type: 'string', minLength: 1, maxLength: 255 },
+                baudRate: { type: 'integer', enum: [1200, 2400, 4800, 9600, 19200, 38400, 57600, 115200] },
+                dataBits: { type: 'integer', enum: [7, 8] },
+                parity: { type: 'string', enum: ['none', 'even', 'odd'] },
+                stopBits: { type: 'integer', enum: [1, 2] },
+                flowControl: { type: 'string', enum: ['none', 'rtscts', 'xonxoff'] },
+                protocol: { type: 'string', enum: ['continuous', 'enq'] },
+                unit: { type: 'string', enum: ['kg', 'g', 'lb', 'oz'] }
+            }
+        }
+    },
+    remove_input_device: {
+        response: 'input_devices_response',
+        since: 2,
+        schema: { type: 'object', required: ['name'], properties: { name: { type: 'string', minLength: 1 } } }
+    },
+    subscribe: {
+        response: 'subscribe_response',
+        since: 2,
+        schema: {
+            type: 'object',
+            required: ['topics'],
+            properties: { topics: { type: 'array', items: eventTopic } }
+        }
+    },
+    unsubscribe: {
+        response: 'subscribe_response',
+        since: 2,
+        schema: {
+            type: 'object',
+            required: ['topics'],
+            properties: { topics: { type: 'array', items: eventTopic } }
+        }
+    },
+    ping: { response: 'pong', since: 2 },
+    job_status: {
+        response: 'job_status_response',
+        schema: { type: 'object', required: ['jobId'], properties: { jobId: { type: 'string', minLength: 1 } } }
+    },
+    list_jobs: {
+        response: 'list_jobs_response',
+        schema: {
+            type: 'object',
+            properties: {
+                status: { type: 'string', enum: ['queued', 'printing', 'completed', 'failed'] },
+                printerName,
+                limit: { type: 'integer', minimum: 1 }
+            }
+        }
+    },
+    printer_status: { response: 'printer_status_response', routable: true, schema: withTarget() },
+    drawer_status: { response: 'drawer_status_response', routable: true, schema: withTarget() },
+    save_logo: {
+        response: 'logo_response',
+        schema: {
+            type: 'object',
+            required: ['name', 'image'],
+            properties: {
+                name: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' },
+                image: { type: 'string', minLength: 1 }
+            }
+        }
+    },
+    list_logos: { response: 'logo_response' },
+    delete_logo: {
+        response: 'logo_response',
+        schema: { type: 'object', required: ['name'], properties: { name: { type: 'string', minLength: 1 } } }
+    },
+    save_template: {
+        response: 'template_response',
+        since: 2,
+        schema: {
+            type: 'object',
+            required: ['name', 'template'],
+            properties: {
+                name: templateName,
+                template: {
+                    type: 'object',
+                    required: ['document'],
+                    properties: {
+                        description: { type: 'string', maxLength: 200 },
+                        sampleData: { type: 'object' },
+                        document: {
+                            type: 'object',
+                            required: ['lines'],
+                            properties: { lines: { type: 'array', items: templateLine } }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    get_template: {
+        response: 'template_response',
+        since: 2,
+        schema: { type: 'object', required: ['name'], properties: { name: templateName } }
+    },
+    list_templates: { response: 'template_response', since: 2 },
+    delete_template: {
+        response: 'template_response',
+        since: 2,
+        schema: { type: 'object', required: ['name'], properties: { name: templateName } }
+    },
+    preview_template: {
+        response: 'template_response',
+        since: 2,
+        schema: {
+            type: 'object',
+            required: ['name'],
+            properties: { name: templateName, data: { type: 'object' }, printerName }
+        }
+    },
+    add_network_printer: {
+        response: 'printer_settings_response',
+        schema: {
+            type: 'object',
+            required: ['name', 'host'],
+            properties: {
+                name: printerName,
+                host: { type: 'string', minLength: 1 },
+                port: { type: 'integer', minimum: 1, maximum: 65535 }
+            }
+        }
+    },
+    list_devices: { response: 'devices_response', since: 2 },
+    add_device_printer: {
+        response: 'printer_settings_response',
+        since: 2,
+        schema: {
+            type: 'object',
+            required: ['name', 'device'],
+            properties: {
+                name: printerName,
+                device: { type: 'string', minLength: 1, maxLength: 255 },
+                baudRate: { type: 'integer', enum: [1200, 2400, 4800, 9600, 19200, 38400, 57600, 115200] },
+                dataBits: { type: 'integer', enum: [7, 8] },
+                parity: { type: 'string', enum: ['none', 'even', 'odd'] },
+                stopBits: { type: 'integer', enum: [1, 2] },
+                flowControl: { type: 'string', enum: ['none', 'rtscts', 'xonxoff'] },
+                bidirectional: { type: 'boolean' }
+            }
+        }
+    },
+    add_file_printer: {
+        response: 'printer_settings_response',
+        since: 2,
+        schema: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: printerName,
+                simulate: {
+                    type: 'object',
+                    properties: {
+                        delayMs: { type: 'integer', minimum: 0, maximum: 60000 },
+                        fail: { type: 'string', enum: ['offline', 'timeout', 'error'] },
+                        failRate: { type: 'number', minimum: 0, maximum: 1 },
+                        paperOut: { type: 'boolean' },
+                        paperNearEnd: { type: 'boolean' },
+                        coverOpen: { type: 'boolean' },
+                        drawerOpen: { type: 'boolean' }
+                    }
+                }
+            }
+        }
+    },
+    remove_printer: { response: 'printer_settings_response', schema: withPrinter() },
+    get_printer_groups: { response: 'printer_groups_response' },
+    set_printer_group: {
+        response: 'printer_groups_response',
+        schema: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                printers: { type: 'array', items: printerName }
+            }
+        }
+    },
+    get_printer_settings: { response: 'printer_settings_response', schema: withPrinter() },
+    set_printer_settings: {
+        response: 'printer_settings_response',
+        schema: withPrinter({ settings: { type: 'object' } }, ['settings'])
+    },
+    get_roles: { response: 'roles_response', since: 2 },
+    set_role: {
+        response: 'roles_response',
+        since: 2,
+        schema: {
+            type: 'object',
+            required: ['role', 'printerName'],
+            properties: {
+                role,
+                printerName: { type: ['string', 'null'] }
+            }
+        }
+    },
+    pair_request: {
+        response: 'pair_response',
+        schema: { type: 'object', properties: { clientName: { type: 'string', maxLength: 64 } } }
+    },
+    // The code the agent showed the cashier
+    pair_confirm: {
+        response: 'pair_response',
+        schema: { type: 'object', required: ['code'], properties: { code: { type: 'string', pattern: '^[0-9]{6}$' } } }
+    }
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+// Returns the first problem found, or null when the value matches
+function validate(schema, value, path = 'payload') {
+    if (!schema) return null;
+
+    const actual = typeOf(value);
+    const types = schema.type ? [].concat(schema.type) : null;
+    if (types && !types.includes(actual) && !(types.includes('number') && actual === 'integer')) {
+        return `${path} must be ${types.map(type => (type === 'null' ? 'null' : `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`)).join(' or ')}`;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return `${path} must be one of ${schema.enum.join(', ')}`;
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        return `${path} must be at least ${schema.minimum}`;
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        return `${path} must be at most ${schema.maximum}`;
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return schema.minLength === 1 ? `${path} must not be empty` : `${path} must have at least ${schema.minLength} characters`;
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return `${path} must have at most ${schema.maxLength} characters`;
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        return `${path} does not match ${schema.pattern}`;
+    }
+
+    if (actual === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                return `${path}.${key} is required`;
+            }
+        }
+        for (const [key, property] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                const problem = validate(property, value[key], `${path}.${key}`);
+                if (problem) return problem;
+            }
+        }
+    }
+    if (actual === 'array' && schema.items) {
+        for (let i = 0; i < value.length; i++) {
+            const problem = validate(schema.items, value[i], `${path}[${i}]`);
+            if (problem) return problem;
+        }
+    }
+    return null;
+}
+
+/* ============================
+   MESSAGES
+============================ */
+function isRoutable(type, version = PROTOCOL_VERSION) {
+    return !!(MESSAGES[type] && MESSAGES[type].routable) && version >= ROUTING_SINCE;
+}
+
+function responseType(type) {
+    return MESSAGES[type] ? MESSAGES[type].response : 'error';
+}
+
+function needsVersion(what, since, version) {
+    return {
+        code: 'UNSUPPORTED_PROTOCOL',
+        message: `${what} needs protocol version ${since} (this connection uses ${version}); connect with protocol=${since}`
+    };
+}
+
+// Checks the envelope and payload against the negotiated protocol version;
+// returns { code, message } or null
+function validateMessage(data, version = PROTOCOL_VERSION) {
+    if (typeOf(data) !== 'object' || typeof data.type !== 'string') {
+        return { code: 'INVALID_MESSAGE', message: 'Message must be an object with a "type"' };
+    }
+    if (data.requestId !== undefined && !['string', 'integer'].includes(typeOf(data.requestId))) {
+        return { code: 'INVALID_MESSAGE', message: 'requestId must be a string or an integer' };
+    }
+
+    const spec = MESSAGES[data.type];
+    if (!spec) {
+        return { code: 'UNKNOWN_COMMAND', message: `Unknown command: ${data.type}` };
+    }
+    if (data.payload !== undefined && typeOf(data.payload) !== 'object') {
+        return { code: 'INVALID_PAYLOAD', message: 'payload must be an object' };
+    }
+    if ((spec.since || MIN_PROTOCOL_VERSION) > version) {
+        return needsVersion(data.type, spec.since, version);
+    }
+    if (spec.routable && version < ROUTING_SINCE && data.payload && data.payload.role !== undefined) {
+        return needsVersion('payload.role', ROUTING_SINCE, version);
+    }
+
+    const problem = validate(spec.schema, data.payload || {});
+    return problem ? { code: 'INVALID_PAYLOAD', message: problem } : null;
+}
+
+// Best-effort requestId from a message that is not valid JSON
+function salvageRequestId(raw) {
+    const match = /"requestId"\s*:\s*("(?:[^"\\]|\\.)*"|\d+)/.exec(String(raw));
+    if (!match) return undefined;
+    try {
+        return JSON.parse(match[1]);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/* ============================
+   VERSIONS AND ERRORS
+============================ */
+// Clients that do not declare a version get `fallback`: version 1 on the
+// WebSocket, which v1 web apps used, the current version over HTTP
+function negotiate(requested, fallback = MIN_PROTOCOL_VERSION) {
+    if (requested === undefined || requested === null || requested === '') {
+        return fallback;
+    }
+
+    const version = Number(requested);
+    if (!Number.isInteger(version) || version < MIN_PROTOCOL_VERSION || version > PROTOCOL_VERSION) {
+        throw Object.assign(new Error(
+            `Protocol version ${requested} is not supported by this agent ` +
+            `(supported: ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}); please update the ` +
+            `${Number.isInteger(version) && version > PROTOCOL_VERSION ? 'AaravPOS Agent' : 'web app'}`
+        ), { code: 'UNSUPPORTED_PROTOCOL' });
+    }
+    return version;
+}
+
+function errorCode(error, fallback = 'INTERNAL_ERROR') {
+    if (error && ERROR_CODES[error.code]) {
+        return error.code;
+    }
+    if (error && OFFLINE_ERRORS.includes(error.code)) {
+        return 'PRINTER_OFFLINE';
+    }
+    if (error && error.code === 'ETIMEDOUT') {
+        return 'TIMEOUT';
+    }
+    return fallback;
+}
+
+function httpStatus(code) {
+    return ERROR_CODES[code] || 500;
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    ERROR_CODES: Object.keys(ERROR_CODES),
+    MESSAGES,
+    EVENT_TOPICS,
+    validate,
+    validateMessage,
+    responseType,
+    isRoutable,
+    salvageRequestId,
+    negotiate,
+    errorCode,
+    httpStatus
+};
@@ -0,0 +1,350 @@
+// receipt-builder.js - STRUCTURED RECEIPT DOCUMENT TO ESC/POS
+const escpos = require('./escpos.js');
+const imageRaster = require('./image-raster.js');
+const codepages = require('./codepages.js');
+
+// Font A columns per paper width
+const PAPER_COLUMNS = {
+    '58mm': 32,
+    '80mm': 48
+};
+const SUPPORTED_COLUMNS = [32, 42, 48];
+
+function textLength(text) {
+    return [...text].length;
+}
+
+function padText(text, width, alignment) {
+    const gap = Math.max(width - textLength(text), 0);
+    if (alignment === 'right') {
+        return ' '.repeat(gap) + text;
+    }
+    if (alignment === 'center') {
+        const left = Math.floor(gap / 2);
+        return ' '.repeat(left) + text + ' '.repeat(gap - left);
+    }
+    return text + ' '.repeat(gap);
+}
+
+// Word-wrap a string into lines of at most `width` characters
+function wrapText(text, width) {
+    const lines = [];
+
+    String(text).split('\n').forEach(paragraph => {
+        let current = '';
+
+        paragraph.split(' ').forEach(word => {
+            let chars = [...word];
+
+            // Hard-break words longer than a full line
+            while (chars.length > width) {
+                if (current) {
+                    lines.push(current);
+                    current = '';
+                }
+                lines.push(chars.slice(0, width).join(''));
+                chars = chars.slice(width);
+            }
+            word = chars.join('');
+
+            if (!current) {
+                current = word;
+            } else if (textLength(current) + 1 + textLength(word) <= width) {
+                current += ' ' + word;
+            } else {
+                lines.push(current);
+                current = word;
+            }
+        });
+
+        lines.push(current);
+    });
+
+    return lines;
+}
+
+class ReceiptBuilder {
+    constructor(options = {}) {
+        this.columns = ReceiptBuilder.resolveColumns(options);
+        this.dotWidth = imageRaster.DOT_WIDTHS[this.columns];
+        this.codePage = codepages.resolve(options.codePage);
+        // name -> PNG buffer, for { type: 'image', logo: name }
+        this.loadLogo = options.loadLogo || ((name) => {
+            throw new Error(`Unknown logo: ${name}`);
+        });
+        this.parts = [];
+        // Set while laying out a plain-text preview (see toText)
+        this.textLines = null;
+        this.alignment = 'left';
+    }
+
+    static resolveColumns({ columns, paperWidth } = {}) {
+        if (columns !== undefined && columns !== null) {
+            const n = parseInt(columns, 10);
+            if (!SUPPORTED_COLUMNS.includes(n)) {
+                throw new Error(`Unsupported column count: ${columns} (expected ${SUPPORTED_COLUMNS.join('/')})`);
+            }
+            return n;
+        }
+
+        if (paperWidth !== undefined && paperWidth !== null) {
+            const n = PAPER_COLUMNS[String(paperWidth)];
+            if (!n) {
+                throw new Error(`Unsupported paper width: ${paperWidth} (expected ${Object.keys(PAPER_COLUMNS).join('/')})`);
+            }
+            return n;
+        }
+
+        return PAPER_COLUMNS['80mm'];
+    }
+
+    /* ============================
+       DOCUMENT
+    ============================ */
+    build(document) {
+        if (!document || !Array.isArray(document.lines)) {
+            throw new Error('Receipt document must contain a "lines" array');
+        }
+
+        this.parts = [escpos.INIT, codepages.select(this.codePage)];
+
+        document.lines.forEach((line, index) => {
+            if (typeof line === 'string') {
+                line = { type: 'text', text: line };
+            }
+            if (!line || typeof line !== 'object') {
+                throw new Error(`Invalid receipt line at index ${index}`);
+            }
+            this.addLine(line, index);
+        });
+
+        if (document.openDrawer) {
+            // true for the default kick, or { pin, onMs, offMs }
+            this.parts.push(document.openDrawer === true ? escpos.DRAWER_KICK : escpos.drawerKick(document.openDrawer));
+        }
+
+        if (document.cut !== false) {
+            this.parts.push(escpos.FEED_AND_CUT);
+        }
+
+        return Buffer.concat(this.parts);
+    }
+
+    // Plain-text layout of a document, for previews. Codes and images are
+    // shown as placeholders; styles other than alignment are dropped.
+    toText(document) {
+        this.textLines = [];
+        try {
+            this.build(document);
+            return this.textLines.join('\n');
+        } finally {
+            this.textLines = null;
+        }
+    }
+
+    addLine(line, index) {
+        switch (line.type || 'text') {
+            case 'text':
+                this.addText(line);
+                break;
+            case 'columns':
+                this.addColumns(line);
+                break;
+            case 'separator':
+                this.addSeparator(line);
+                break;
+            case 'totals':
+                this.addTotals(line);
+                break;
+            case 'barcode':
+            case 'qrcode':
+            case 'pdf417':
+                this.addCode(line);
+                break;
+            case 'image':
+                this.addImage(line);
+                break;
+            case 'feed': {
+                // ESC d takes a single byte, so the text preview stops at the same count
+                const lines = Math.min(Math.max(parseInt(line.lines || 1, 10) || 0, 0), 255);
+                if (this.textLines) {
+                    for (let i = 0; i < lines; i++) this.textLines.push('');
+                }
+                this.parts.push(escpos.feed(lines));
+                break;
+            }
+            case 'cut':
+                this.parts.push(escpos.FEED_AND_CUT);
+                break;
+            default:
+                throw new Error(`Unknown receipt line type "${line.type}" at index ${index}`);
+        }
+    }
+
+    /* ============================
+       LINE TYPES
+    ============================ */
+    addText(line) {
+        // Clamped like the printer does, so wrapping matches what is printed
+        const width = escpos.magnification(line.width);
+        const height = escpos.magnification(line.height);
+        const available = Math.max(Math.floor(this.columns / width), 1);
+
+        this.withStyle(line, () => {
+            this.setAlign(line.align || 'left');
+            wrapText(line.text === undefined ? '' : line.text, available).forEach(text => {
+                this.writeLine(text);
+            });
+        }, width, height);
+    }
+
+    addColumns(line) {
+        const cells = (line.columns || []).map(cell => (
+            typeof cell === 'object' && cell !== null ? cell : { text: cell }
+        ));
+
+        if (cells.length < 2 || cells.length > 3) {
+            throw new Error('Column rows must have two or three columns');
+        }
+
+        const widths = this.columnWidths(cells);
+        const wrapped = cells.map((cell, i) => wrapText(cell.text === undefined ? '' : String(cell.text), widths[i]));
+        const rowCount = Math.max(...wrapped.map(lines => lines.length));
+
+        this.withStyle(line, () => {
+            this.setAlign('left');
+            for (let row = 0; row < rowCount; row++) {
+                const text = cells.map((cell, i) => {
+                    const alignment = cell.align || (i === cells.length - 1 ? 'right' : 'left');
+                    return padText(wrapped[i][row] || '', widths[i], alignment);
+                }).join(' ');
+                this.writeLine(text);
+            }
+        });
+    }
+
+    // Fixed widths are honoured; other columns are sized to their content,
+    // and the first unsized column takes whatever space remains.
+    columnWidths(cells) {
+        const available = this.columns - (cells.length - 1);
+        const widths = cells.map((cell) => {
+            if (cell.width === undefined || cell.width === null || cell.width === '') return null;
+            const width = Number(cell.width);
+            if (!Number.isInteger(width)) {
+                throw new Error(`Invalid column width: ${JSON.stringify(cell.width)} (expected a whole number of characters)`);
+            }
+            return width;
+        });
+        const flexIndex = widths.indexOf(null);
+
+        cells.forEach((cell, i) => {
+            if (widths[i] === null && i !== flexIndex) {
+                // An empty cell (a template value with no data) still takes a column
+                widths[i] = Math.max(textLength(String(cell.text === undefined ? '' : cell.text)), 1);
+            }
+        });
+
+        if (flexIndex !== -1) {
+            const used = widths.reduce((sum, w, i) => (i === flexIndex ? sum : sum + w), 0);
+            widths[flexIndex] = available - used;
+        }
+
+        const total = widths.reduce((sum, w) => sum + w, 0);
+        if (widths.some(w => w < 1) || total > available) {
+            throw new Error(`Column widths do not fit in ${this.columns} columns`);
+        }
+
+        return widths;
+    }
+
+    addSeparator(line) {
+        const char = line.char ? [...String(line.char)][0] : '-';
+        this.setAlign('left');
+        this.writeLine(char.repeat(this.columns));
+    }
+
+    addTotals(line) {
+        const items = line.items || [];
+
+        if (line.separator !== false) {
+            this.addSeparator({ char: line.separator || '-' });
+        }
+
+        items.forEach(item => {
+            const label = String(item.label === undefined ? '' : item.label);
+            const value = String(item.value === undefined ? '' : item.value);
+
+            if (item.emphasis) {
+                // Grand totals print double height so they stand out
+                this.addColumns({ columns: [label, value], bold: true, height: 2 });
+            } else {
+                this.addColumns({ columns: [label, value], bold: item.bold });
+            }
+        });
+    }
+
+    // Barcode options: symbology, height, width, hri
+    // QR options: size, errorCorrection; PDF417: columns, rows, width, rowHeight, errorCorrection
+    addCode(line) {
+        this.setAlign(line.align || 'center');
+        if (this.textLines) {
+            this.writeLine(`[${line.type.toUpperCase()}: ${line.data}]`);
+            return;
+        }
+        this.parts.push(escpos[line.type](line.data, line));
+        this.parts.push(escpos.NEWLINE);
+    }
+
+    // { image: base64 PNG } or { logo: cached name }, plus width/threshold/dither
+    addImage(line) {
+        this.setAlign(line.align || 'center');
+        if (this.textLines) {
+            this.writeLine(line.logo ? `[LOGO: ${line.logo}]` : '[IMAGE]');
+            return;
+        }
+        const png = line.logo ? this.loadLogo(line.logo) : line.image;
+        this.parts.push(imageRaster.imageToEscPos(png, {
+            maxWidth: this.dotWidth,
+            width: line.width,
+            threshold: line.threshold,
+            dither: line.dither
+        }));
+    }
+
+    /* ============================
+       HELPERS
+    ============================ */
+    withStyle(line, render, width = 1, height = escpos.magnification(line.height)) {
+        const bold = !!line.bold;
+        const underline = line.underline || false;
+        const sized = width !== 1 || height !== 1;
+
+        if (bold) this.parts.push(escpos.bold(true));
+        if (underline) this.parts.push(escpos.underline(underline));
+        if (sized) this.parts.push(escpos.size(width, height));
+
+        render();
+
+        if (sized) this.parts.push(escpos.size(1, 1));
+        if (underline) this.parts.push(escpos.underline(false));
+        if (bold) this.parts.push(escpos.bold(false));
+    }
+
+    setAlign(alignment) {
+        this.alignment = alignment;
+        this.parts.push(escpos.align(alignment));
+    }
+
+    writeLine(text) {
+        if (this.textLines) {
+            this.textLines.push(padText(text, this.columns, this.alignment).replace(/\s+$/, ''));
+            return;
+        }
+        this.parts.push(codepages.encode(text, this.codePage), escpos.NEWLINE);
+    }
+}
+
+ReceiptBuilder.PAPER_COLUMNS = PAPER_COLUMNS;
+ReceiptBuilder.SUPPORTED_COLUMNS = SUPPORTED_COLUMNS;
+
+module.exports = ReceiptBuilder;
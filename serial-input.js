@@ -0,0 +1,135 @@
+// serial-input.js - LINE-FRAMED INPUT FROM SERIAL DEVICES (SCANNERS, SCALES)
+const { EventEmitter } = require('events');
+const DeviceTransport = require('./device-transport.js');
+
+const DEFAULT_RECONNECT = 5000;
+// A frame ends at CR, LF or ETX
+const TERMINATORS = [0x0D, 0x0A, 0x03];
+// Junk without a terminator is dropped past this size
+const MAX_FRAME = 4096;
+
+// Errors carry a protocol error code (see protocol.js)
+function inputError(message, code) {
+    return Object.assign(new Error(message), { code });
+}
+
+/*
+ * Keeps a device open while started, reopening it after errors or unplugging,
+ * and hands every complete frame to handleFrame(bytes) of the subclass.
+ *
+ * Events: 'connected', 'disconnected' ({ error })
+ */
+class SerialInput extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.name = options.name;
+        // Validates the device and line settings
+        this.transport = new DeviceTransport(options);
+        this.reconnectMs = options.reconnectMs || DEFAULT_RECONNECT;
+        this.log = options.log || (() => {});
+
+        this.stream = null;
+        this.pending = Buffer.alloc(0);
+        this.started = false;
+        this.failing = false;
+        this.reconnectTimer = null;
+    }
+
+    get connected() {
+        return !!this.stream;
+    }
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+        this.connect();
+    }
+
+    stop() {
+        this.started = false;
+        clearTimeout(this.reconnectTimer);
+        if (this.stream) {
+            this.stream.destroy();
+            this.stream = null;
+        }
+    }
+
+    async connect() {
+        let stream;
+        try {
+            stream = await this.transport.openInput();
+        } catch (error) {
+            this.disconnected(error);
+            return;
+        }
+        if (!this.started) {
+            stream.destroy();
+            return;
+        }
+
+        this.stream = stream;
+        this.pending = Buffer.alloc(0);
+        if (this.failing) {
+            this.log(`✅ ${this.name} on ${this.transport.address} is back`);
+        }
+        this.failing = false;
+        this.emit('connected');
+
+        let lastError = null;
+        stream.on('data', (chunk) => this.receive(chunk));
+        stream.on('error', (error) => {
+            lastError = error;
+        });
+        stream.on('close', () => {
+            if (this.stream !== stream) return;
+            this.stream = null;
+            this.disconnected(lastError || new Error('device closed'));
+        });
+    }
+
+    // Logged once per outage; retried for as long as the input is started
+    disconnected(error) {
+        if (!this.failing) {
+            this.failing = true;
+            this.log(`⚠️ ${this.name} on ${this.transport.address} unavailable: ${error.message}`, 'warn');
+        }
+        this.emit('disconnected', { error: error.message });
+
+        if (this.started) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectMs);
+        }
+    }
+
+    receive(chunk) {
+        let data = Buffer.concat([this.pending, chunk]);
+        let end;
+        while ((end = data.findIndex(byte => TERMINATORS.includes(byte))) !== -1) {
+            const frame = data.subarray(0, end);
+            data = data.subarray(end + 1);
+            if (frame.length > 0) {
+                this.handleFrame(frame);
+            }
+        }
+        this.pending = data.length > MAX_FRAME ? Buffer.alloc(0) : data;
+    }
+
+    // Overridden by subclasses
+    handleFrame(frame) {
+        this.emit('frame', frame);
+    }
+
+    write(buffer) {
+        if (!this.stream) {
+            throw inputError(`${this.name} is not connected (${this.transport.address})`, 'PRINTER_OFFLINE');
+        }
+        if (typeof this.stream.write !== 'function') {
+            throw inputError(`${this.name} cannot be sent requests (${this.transport.address} is not a serial port)`, 'NOT_SUPPORTED');
+        }
+        this.stream.write(buffer);
+    }
+}
+
+SerialInput.inputError = inputError;
+
+module.exports = SerialInput;
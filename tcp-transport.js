@@ -0,0 +1,147 @@
+// tcp-transport.js - RAW TCP (PORT 9100) NETWORK PRINTER TRANSPORT
+const net = require('net');
+
+const DEFAULT_PORT = 9100;
+const DEFAULT_CONNECT_TIMEOUT = 5000;
+const DEFAULT_WRITE_TIMEOUT = 10000;
+
+// Errors carry a protocol error code (see protocol.js)
+function transportError(message, code) {
+    return Object.assign(new Error(message), { code });
+}
+
+class TcpTransport {
+    constructor(options = {}) {
+        if (!options.host) {
+            throw new Error('Network printer requires a host');
+        }
+
+        this.host = options.host;
+        this.port = parseInt(options.port, 10) || DEFAULT_PORT;
+        this.connectTimeout = options.connectTimeout || DEFAULT_CONNECT_TIMEOUT;
+        this.writeTimeout = options.writeTimeout || DEFAULT_WRITE_TIMEOUT;
+    }
+
+    get address() {
+        return `${this.host}:${this.port}`;
+    }
+
+    // Resolves with a connected socket, or rejects after connectTimeout
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(transportError(`Connection to ${this.address} timed out after ${this.connectTimeout}ms`, 'PRINTER_OFFLINE'));
+            }, this.connectTimeout);
+
+            socket.once('connect', () => {
+                clearTimeout(timer);
+                socket.removeAllListeners('error');
+                resolve(socket);
+            });
+
+            socket.once('error', (error) => {
+                clearTimeout(timer);
+                socket.destroy();
+                reject(transportError(`Cannot connect to ${this.address}: ${error.message}`, 'PRINTER_OFFLINE'));
+            });
+        });
+    }
+
+    async send(buffer) {
+        const socket = await this.connect();
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const finish = (error) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                socket.destroy();
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(`${buffer.length} bytes sent to ${this.address}`);
+                }
+            };
+
+            const timer = setTimeout(() => {
+                finish(transportError(`Write to ${this.address} timed out after ${this.writeTimeout}ms`, 'TIMEOUT'));
+            }, this.writeTimeout);
+
+            socket.on('error', (error) => finish(transportError(`Write to ${this.address} failed: ${error.message}`, 'PRINTER_OFFLINE')));
+
+            // end() calls back once the data is flushed and our side half-closed
+            socket.end(buffer, () => finish());
+        });
+    }
+
+    // Sends each command in turn and collects a reply of `responseLength`
+    // bytes for it, all over one connection (used for DLE EOT status queries)
+    async request(commands, options = {}) {
+        const responseLength = options.responseLength || 1;
+        const timeout = options.timeout || this.writeTimeout;
+        const socket = await this.connect();
+
+        return new Promise((resolve, reject) => {
+            const replies = [];
+            let received = Buffer.alloc(0);
+            let settled = false;
+
+            const finish = (error) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                socket.destroy();
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(replies);
+                }
+            };
+
+            const sendNext = () => {
+                if (replies.length === commands.length) {
+                    finish();
+                } else {
+                    socket.write(commands[replies.length]);
+                }
+            };
+
+            const timer = setTimeout(() => {
+                finish(transportError(`No status reply from ${this.address} within ${timeout}ms`, 'TIMEOUT'));
+            }, timeout);
+
+            socket.on('data', (chunk) => {
+                received = Buffer.concat([received, chunk]);
+                while (received.length >= responseLength && replies.length < commands.length) {
+                    replies.push(received.subarray(0, responseLength));
+                    received = received.subarray(responseLength);
+                    sendNext();
+                }
+            });
+            socket.on('error', (error) => finish(transportError(`Status query to ${this.address} failed: ${error.message}`, 'PRINTER_OFFLINE')));
+            socket.on('close', () => finish(transportError(`${this.address} closed the connection`, 'PRINTER_OFFLINE')));
+
+            sendNext();
+        });
+    }
+
+    // True if the printer accepts connections
+    async probe(timeout = 1000) {
+        const probeTransport = new TcpTransport({ host: this.host, port: this.port, connectTimeout: timeout });
+        try {
+            const socket = await probeTransport.connect();
+            socket.destroy();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+TcpTransport.DEFAULT_PORT = DEFAULT_PORT;
+
+module.exports = TcpTransport;
@@ -0,0 +1,227 @@
+// template-store.js - NAMED RECEIPT TEMPLATES (JSON files in the agent data directory)
+//
+// A template is a receipt document (see receipt-builder.js) whose strings may
+// contain {{path}} or {{path | filter}} placeholders, plus two block lines:
+//   { type: 'each', items: 'items', lines: [...] }              repeat per element
+//   { type: 'if', condition: 'discount', lines: [...], else: [...] }
+//
+// Template file: { name, description, sampleData, document: { lines, cut, openDrawer } }
+const fs = require('fs');
+const path = require('path');
+const ReceiptBuilder = require('./receipt-builder.js');
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const PLACEHOLDER = /\{\{\s*([^}|]+?)\s*(?:\|\s*([a-z]+)\s*)?\}\}/g;
+const SINGLE_PLACEHOLDER = /^\{\{\s*([^}|]+?)\s*(?:\|\s*([a-z]+)\s*)?\}\}$/;
+
+const FILTERS = {
+    money: (value) => (Number.isFinite(Number(value)) ? Number(value).toFixed(2) : value),
+    upper: (value) => String(value).toUpperCase(),
+    lower: (value) => String(value).toLowerCase(),
+    date: (value) => new Date(value).toLocaleDateString(),
+    time: (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+};
+
+/* ============================
+   RENDERING
+============================ */
+// Scopes are searched innermost first; "this" is the current each element
+function lookup(scopes, expression) {
+    if (expression === 'this') {
+        return scopes[0].this;
+    }
+
+    const parts = expression.split('.');
+    for (const scope of scopes) {
+        if (scope !== null && typeof scope === 'object' && parts[0] in scope) {
+            return parts.reduce((node, part) => (node == null ? undefined : node[part]), scope);
+        }
+    }
+    return undefined;
+}
+
+function applyFilter(value, filter) {
+    if (filter && !FILTERS[filter]) {
+        throw new Error(`Unknown template filter: ${filter} (expected ${Object.keys(FILTERS).join(', ')})`);
+    }
+    if (!filter || value === undefined || value === null) {
+        return value;
+    }
+    return FILTERS[filter](value);
+}
+
+function renderString(text, scopes) {
+    // A lone placeholder keeps its type, so "{{openDrawer}}" can be a boolean
+    const single = SINGLE_PLACEHOLDER.exec(text);
+    if (single) {
+        const value = applyFilter(lookup(scopes, single[1]), single[2]);
+        return value === undefined || value === null ? '' : value;
+    }
+
+    return text.replace(PLACEHOLDER, (match, expression, filter) => {
+        const value = applyFilter(lookup(scopes, expression), filter);
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+function renderValue(value, scopes) {
+    if (typeof value === 'string') {
+        return renderString(value, scopes);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => renderValue(item, scopes));
+    }
+    if (value !== null && typeof value === 'object') {
+        const result = {};
+        Object.keys(value).forEach(key => {
+            result[key] = renderValue(value[key], scopes);
+        });
+        return result;
+    }
+    return value;
+}
+
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+function renderLines(lines, scopes) {
+    const result = [];
+
+    (lines || []).forEach(line => {
+        if (line && line.type === 'each') {
+            const items = lookup(scopes, line.items);
+            (Array.isArray(items) ? items : []).forEach((item, index) => {
+                const scope = {
+                    ...(item !== null && typeof item === 'object' ? item : {}),
+                    this: item,
+                    '@index': index,
+                    '@number': index + 1
+                };
+                result.push(...renderLines(line.lines, [scope, ...scopes]));
+            });
+        } else if (line && line.type === 'if') {
+            const branch = isTruthy(lookup(scopes, line.condition)) ? line.lines : line.else;
+            result.push(...renderLines(branch, scopes));
+        } else {
+            result.push(renderValue(line, scopes));
+        }
+    });
+
+    return result;
+}
+
+// Merges data into a template, returning a plain receipt document
+function render(template, data = {}) {
+    const document = template.document || {};
+    const scopes = [data];
+    return {
+        ...renderValue({ ...document, lines: undefined }, scopes),
+        lines: renderLines(document.lines, scopes)
+    };
+}
+
+/* ============================
+   STORAGE
+============================ */
+class TemplateStore {
+    constructor(options = {}) {
+        this.directory = options.directory;
+    }
+
+    filePath(name) {
+        if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid template name: ${name} (letters, digits, "-" and "_" only)`);
+        }
+        return path.join(this.directory, `${name}.json`);
+    }
+
+    // Rejects templates that would not print with their own sample data
+    validate(template) {
+        if (!template || typeof template !== 'object' || !template.document || !Array.isArray(template.document.lines)) {
+            throw new Error('Template must contain a document with a "lines" array');
+        }
+        new ReceiptBuilder().toText(render(template, template.sampleData || {}));
+    }
+
+    save(name, template) {
+        const file = this.filePath(name);
+        this.validate(template);
+
+        const stored = {
+            name,
+            description: template.description || '',
+            sampleData: template.sampleData || {},
+            document: template.document
+        };
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(stored, null, 2));
+        return TemplateStore.describe(stored);
+    }
+
+    load(name) {
+        const file = this.filePath(name);
+        if (!fs.existsSync(file)) {
+            throw Object.assign(new Error(`Unknown template: ${name}`), { code: 'NOT_FOUND' });
+        }
+        return { ...JSON.parse(fs.readFileSync(file, 'utf8')), name };
+    }
+
+    remove(name) {
+        const file = this.filePath(name);
+        if (!fs.existsSync(file)) {
+            return false;
+        }
+        fs.unlinkSync(file);
+        return true;
+    }
+
+    list() {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.json'))
+            .map(file => {
+                const name = path.basename(file, '.json');
+                try {
+                    return TemplateStore.describe(this.load(name));
+                } catch (error) {
+                    return { name, description: `Unreadable template: ${error.message}`, lines: 0 };
+                }
+            });
+    }
+
+    /* ============================
+       IMPORT/EXPORT
+    ============================ */
+    // Template files carry their own name; the file name is the fallback
+    importFile(filePath) {
+        const template = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const name = template.name || path.basename(filePath, path.extname(filePath));
+        return this.save(name, template);
+    }
+
+    exportFile(name, filePath) {
+        fs.writeFileSync(filePath, JSON.stringify(this.load(name), null, 2));
+    }
+
+    // Plain-text preview, with the template's sample data unless data is given
+    preview(name, data, options = {}) {
+        const template = this.load(name);
+        return new ReceiptBuilder(options).toText(render(template, data || template.sampleData || {}));
+    }
+
+    static describe(template) {
+        return {
+            name: template.name,
+            description: template.description || '',
+            lines: template.document.lines.length
+        };
+    }
+}
+
+TemplateStore.render = render;
+
+module.exports = TemplateStore;
@@ -0,0 +1,65 @@
+// barcode-scanner.test.js - SERIAL BARCODE SCANNERS
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+
+const BarcodeScanner = require('../barcode-scanner.js');
+
+function scansOf(chunks) {
+    const scanner = new BarcodeScanner({ name: 'Till scanner', device: '/dev/ttyACM0' });
+    const scans = [];
+    scanner.on('scan', scan => scans.push(scan));
+    chunks.forEach(chunk => scanner.receive(Buffer.from(chunk, 'latin1')));
+    return scans;
+}
+
+test('each CR or LF terminated code is one scan', () => {
+    const scans = scansOf(['89012', '34567890\r\nORD-1042\r', '\n\r\n', 'X\x07Y\n']);
+    assert.deepStrictEqual(scans.map(scan => [scan.data, scan.symbology]), [['8901234567890', null], ['ORD-1042', null], ['XY', null]]);
+    assert.ok(!Number.isNaN(Date.parse(scans[0].at)));
+});
+
+test('AIM symbology identifiers are stripped and reported', () => {
+    const scans = scansOf([']E04006381333931\r', ']E496385074\r', ']C1(01)0950\r', ']Q1https://x.io\r', ']Z0RAW\r', ']E0\r']);
+    assert.deepStrictEqual(scans.map(scan => [scan.data, scan.symbology]), [
+        ['4006381333931', 'EAN13'],
+        ['96385074', 'EAN8'],
+        ['(01)0950', 'CODE128'],
+        ['https://x.io', 'QRCODE'],
+        ['RAW', null]
+    ]);
+});
+
+test('an oversized code without a terminator is dropped', () => {
+    assert.deepStrictEqual(scansOf(['A'.repeat(5000), 'B\r']).map(scan => scan.data), ['B']);
+});
+
+test('scans come from the opened device and it is reopened after unplugging', async (t) => {
+    const logged = [];
+    const scanner = new BarcodeScanner({ name: 'Till scanner', device: '/dev/ttyACM0', reconnectMs: 10, log: message => logged.push(message) });
+    t.after(() => scanner.stop());
+    const ports = [new PassThrough(), new PassThrough()];
+    let opened = 0;
+    scanner.transport.openInput = async () => ports[opened++];
+    const next = event => new Promise(resolve => scanner.once(event, resolve));
+
+    let connected = next('connected');
+    scanner.start();
+    await connected;
+    let scanned = next('scan');
+    ports[0].write(']E04006381333931\r\n');
+    assert.strictEqual((await scanned).data, '4006381333931');
+
+    const disconnected = next('disconnected');
+    connected = next('connected');
+    ports[0].destroy();
+    assert.deepStrictEqual(await disconnected, { error: 'device closed' });
+    await connected;
+    assert.strictEqual(opened, 2);
+
+    scanned = next('scan');
+    ports[1].write('ORD-1042\r');
+    assert.strictEqual((await scanned).data, 'ORD-1042');
+    assert.ok(logged[0].includes('Till scanner on /dev/ttyACM0 unavailable: device closed'));
+    assert.ok(logged[1].includes('is back'));
+});
@@ -0,0 +1,49 @@
+// codepages.test.js - CODE PAGE SELECTION AND TEXT ENCODING
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const codepages = require('../codepages.js');
+
+test('code page names are normalized', () => {
+    assert.strictEqual(codepages.resolve(), 'CP437');
+    assert.strictEqual(codepages.resolve('cp-858'), 'CP858');
+    assert.strictEqual(codepages.resolve('1252'), 'CP1252');
+    assert.strictEqual(codepages.resolve('Windows-1252'), 'CP1252');
+    assert.strictEqual(codepages.resolve('utf-8'), 'UTF8');
+    assert.throws(() => codepages.resolve('CP932'), /Unsupported code page: CP932/);
+});
+
+test('select sends ESC t with the table number, or FS ( C for UTF-8', () => {
+    assert.deepStrictEqual([...codepages.select('CP437')], [0x1B, 0x74, 0]);
+    assert.deepStrictEqual([...codepages.select('CP858')], [0x1B, 0x74, 19]);
+    assert.deepStrictEqual([...codepages.select('CP866')], [0x1B, 0x74, 17]);
+    assert.deepStrictEqual([...codepages.select('UTF8')], [0x1C, 0x28, 0x43, 0x02, 0x00, 0x30, 2]);
+    assert.strictEqual(codepages.fromTableNumber(16), 'CP1252');
+    assert.strictEqual(codepages.fromTableNumber(99), null);
+});
+
+test('characters in the table become single bytes', () => {
+    assert.deepStrictEqual([...codepages.encode('Café ║', 'CP437')], [0x43, 0x61, 0x66, 0x82, 0x20, 0xBA]);
+    assert.deepStrictEqual([...codepages.encode('€5', 'CP858')], [0xD5, 0x35]);
+    assert.deepStrictEqual([...codepages.encode('€5', 'CP1252')], [0x80, 0x35]);
+    assert.deepStrictEqual([...codepages.encode('Чай', 'CP866')], [0x97, 0xA0, 0xA9]);
+});
+
+test('missing characters fall back to close equivalents', () => {
+    assert.strictEqual(codepages.encode('₹120', 'CP437').toString('latin1'), 'Rs.120');
+    assert.strictEqual(codepages.encode('€5', 'CP437').toString('latin1'), 'EUR5');
+    assert.strictEqual(codepages.encode('“Hi”…', 'CP437').toString('latin1'), '"Hi"...');
+    // Double lines become single lines, then their ASCII stand-ins
+    assert.deepStrictEqual([...codepages.encode('╔═╗', 'CP1252')], [0x2B, 0x2D, 0x2B]);
+    // Accents are dropped, and anything else is a question mark
+    assert.strictEqual(codepages.encode('Šárka', 'CP437').toString('latin1'), 'S\xA0rka');
+    assert.strictEqual(codepages.encode('日', 'CP437').toString('latin1'), '?');
+});
+
+test('UTF-8 mode passes text through and decode inverts encode', () => {
+    assert.ok(codepages.encode('₹ 日本', 'UTF8').equals(Buffer.from('₹ 日本', 'utf8')));
+    for (const codePage of ['CP437', 'CP850', 'CP858', 'CP866', 'CP1252']) {
+        const text = codePage === 'CP866' ? 'Борщ 2x' : 'Crème brûlée 2x';
+        assert.strictEqual(codepages.decode(codepages.encode(text, codePage), codePage), text, codePage);
+    }
+});
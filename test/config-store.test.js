@@ -0,0 +1,178 @@
+// config-store.test.js - AGENT CONFIGURATION FILE
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ConfigStore = require('../config-store.js');
+
+// Store on a throwaway file, optionally seeded with stored JSON
+function createStore(t, stored) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'aaravpos-config-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const filePath = path.join(directory, 'config.json');
+    if (stored) {
+        fs.writeFileSync(filePath, JSON.stringify(stored));
+    }
+    return new ConfigStore({ filePath }).load();
+}
+
+function reload(store) {
+    return new ConfigStore({ filePath: store.filePath }).load();
+}
+
+/* ============================
+   AGENT SETTINGS
+============================ */
+test('a first run gets the defaults and its own token', (t) => {
+    const store = createStore(t).ensureToken();
+    const settings = store.getSettings();
+
+    assert.strictEqual(settings.port, 9978);
+    assert.strictEqual(settings.logLevel, 'info');
+    assert.strictEqual(settings.autoStart, true);
+    assert.deepStrictEqual(settings.printerDefaults, { paperWidth: '80mm', codePage: 'CP437' });
+    assert.ok(settings.token.length >= 32);
+    assert.strictEqual(reload(store).get('server.token'), settings.token);
+    assert.notStrictEqual(createStore(t).ensureToken().get('server.token'), settings.token);
+});
+
+test('old files are migrated and the shared token is dropped', (t) => {
+    const store = createStore(t, { server: { port: 9100, token: 'supersecret' } });
+    assert.strictEqual(store.get('version'), 2);
+    assert.strictEqual(store.get('server.port'), 9100);
+    assert.strictEqual(store.get('server.token'), null);
+
+    // Saved back at the new version, with a token of its own
+    const token = store.ensureToken().get('server.token');
+    const stored = JSON.parse(fs.readFileSync(store.filePath, 'utf8'));
+    assert.strictEqual(stored.version, 2);
+    assert.strictEqual(stored.server.token, token);
+});
+
+test('a custom token survives the migration', (t) => {
+    const store = createStore(t, { version: 1, server: { token: 'my-own-token' } });
+    assert.strictEqual(store.get('server.token'), 'my-own-token');
+});
+
+test('an unreadable file falls back to the defaults', (t) => {
+    const messages = [];
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'aaravpos-config-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const filePath = path.join(directory, 'config.json');
+    fs.writeFileSync(filePath, '{ not json');
+
+    const store = new ConfigStore({ filePath, log: message => messages.push(message) }).load();
+    assert.strictEqual(store.get('server.port'), 9978);
+    assert.ok(messages.some(message => message.includes('Could not read configuration')));
+});
+
+test('updateSettings applies valid changes, persists them and names them', (t) => {
+    const store = createStore(t);
+    const changed = store.updateSettings({
+        port: '9100',
+        logLevel: 'debug',
+        autoStart: false,
+        allowedOrigins: ['https://pos.example.com/app', 'https://pos.example.com'],
+        printerDefaults: { paperWidth: '58mm', codePage: 'cp858' }
+    });
+
+    assert.deepStrictEqual(changed.sort(), ['allowedOrigins', 'autoStart', 'logLevel', 'port', 'printerDefaults']);
+    assert.deepStrictEqual(reload(store).getSettings(), {
+        port: 9100,
+        token: null,
+        logLevel: 'debug',
+        allowedOrigins: ['https://pos.example.com'],
+        autoStart: false,
+        printerDefaults: { paperWidth: '58mm', codePage: 'CP858' }
+    });
+    assert.deepStrictEqual(store.updateSettings({ port: 9100 }), []);
+});
+
+test('invalid settings are refused without changing anything', (t) => {
+    const store = createStore(t);
+    const invalid = [
+        [{ port: 80 }, /Invalid port/],
+        [{ port: 'abc' }, /Invalid port/],
+        [{ token: 'short' }, /at least 8 characters/],
+        [{ logLevel: 'verbose' }, /Invalid log level/],
+        [{ allowedOrigins: 'https://pos.example.com' }, /must be a list/],
+        [{ allowedOrigins: ['not a url'] }, /Invalid origin/],
+        [{ printerDefaults: { paperWidth: '112mm' } }, /Unsupported paper width/],
+        [{ printerDefaults: { codePage: 'CP932' } }, /Unsupported code page/],
+        // One bad key rejects the valid ones with it
+        [{ port: 9100, logLevel: 'verbose' }, /Invalid log level/]
+    ];
+    for (const [changes, message] of invalid) {
+        assert.throws(() => store.updateSettings(changes), message, JSON.stringify(changes));
+    }
+    assert.strictEqual(reload(store).get('server.port'), 9978);
+});
+
+test('resetToken replaces the token and saves it', (t) => {
+    const store = createStore(t).ensureToken();
+    const before = store.get('server.token');
+    const after = store.resetToken();
+    assert.notStrictEqual(after, before);
+    assert.strictEqual(reload(store).get('server.token'), after);
+});
+
+/* ============================
+   RETRIES AND FAILOVER GROUPS
+============================ */
+test('printer retry policies override the default one key by key', (t) => {
+    const store = createStore(t);
+    store.setPrinterSettings('Kitchen', { retry: { retries: 5 } });
+
+    assert.deepStrictEqual(store.getRetryPolicy('Kitchen'), { retries: 5, backoffMs: 1000, backoffFactor: 2, maxBackoffMs: 30000 });
+    assert.deepStrictEqual(store.getRetryPolicy('Counter'), { retries: 1, backoffMs: 1000, backoffFactor: 2, maxBackoffMs: 30000 });
+});
+
+test('groups expand to their printers in failover order and persist', (t) => {
+    const store = createStore(t);
+    store.setGroup('front-counter', ['Primary', 'Backup']);
+
+    assert.deepStrictEqual(reload(store).resolvePrinters('front-counter'), ['Primary', 'Backup']);
+    assert.deepStrictEqual(store.resolvePrinters('Primary'), ['Primary']);
+
+    store.setGroup('front-counter', []);
+    assert.deepStrictEqual(reload(store).getGroups(), {});
+});
+
+test('group members must be printer names', (t) => {
+    const store = createStore(t);
+    assert.throws(() => store.setGroup('', ['Primary']), /Missing group name/);
+    assert.throws(() => store.setGroup('front', ['Primary', '']), /list of printer names/);
+    assert.throws(() => store.setGroup('front', 'Primary'), /list of printer names/);
+});
+
+/* ============================
+   PRINTER ROLES
+============================ */
+test('the four standard roles start unassigned', (t) => {
+    assert.deepStrictEqual(createStore(t).getRoles(), { receipt: null, kitchen: null, bar: null, label: null });
+});
+
+test('roles resolve to their printer and persist', (t) => {
+    const store = createStore(t);
+    store.setRole('kitchen', 'Kitchen Printer');
+    store.setRole('drive-thru', 'Window');
+
+    const reloaded = reload(store);
+    assert.strictEqual(reloaded.resolveRole('kitchen'), 'Kitchen Printer');
+    assert.strictEqual(reloaded.resolveRole('drive-thru'), 'Window');
+    assert.throws(() => reloaded.resolveRole('bar'), { code: 'ROLE_NOT_ASSIGNED' });
+    assert.throws(() => reloaded.resolveRole('patio'), { code: 'INVALID_PAYLOAD', message: /Unknown role/ });
+
+    store.setRole('kitchen', null);
+    assert.throws(() => reload(store).resolveRole('kitchen'), { code: 'ROLE_NOT_ASSIGNED' });
+});
+
+test('role names and targets are validated', (t) => {
+    const store = createStore(t);
+    assert.throws(() => store.setRole('Kitchen', 'K1'), /Invalid role name/);
+    assert.throws(() => store.setRole('__proto__', 'K1'), /Invalid role name/);
+    assert.throws(() => store.setRole('bar', ''), /printer name or null/);
+    assert.throws(() => store.setRole('bar', 42), /printer name or null/);
+});
@@ -0,0 +1,138 @@
+// customer-display.test.js - CUSTOMER POLE DISPLAY COMMANDS
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const CustomerDisplay = require('../customer-display.js');
+
+// Transport that records every write; `failures` makes the next sends throw
+function fakeTransport() {
+    const writes = [];
+    return {
+        address: '/dev/ttyS1',
+        writes,
+        failures: 0,
+        async send(buffer) {
+            if (this.failures > 0) {
+                this.failures--;
+                throw Object.assign(new Error('port closed'), { code: 'PRINTER_OFFLINE' });
+            }
+            writes.push(buffer);
+            return '';
+        }
+    };
+}
+
+function createDisplay(t, options = {}) {
+    const transport = fakeTransport();
+    const display = new CustomerDisplay({ transport, idleAfterMs: 0, ...options });
+    t.after(() => display.stop());
+    return { display, transport };
+}
+
+// ESC/POS set: US $ 1 row then the 20 characters of each row
+function escposRows(buffer) {
+    const rows = [];
+    for (let at = buffer.indexOf(Buffer.from([0x1F, 0x24, 1])); at !== -1; at = buffer.indexOf(Buffer.from([0x1F, 0x24, 1]), at + 1)) {
+        rows[buffer[at + 3] - 1] = buffer.subarray(at + 4, at + 24).toString('latin1');
+    }
+    return rows;
+}
+
+test('the first write initializes the display, later ones do not', async (t) => {
+    const { display, transport } = createDisplay(t);
+    await display.showText(['Masala Chai', '2.50'], { align: 'right' });
+    await display.showText(['Samosa']);
+
+    assert.deepStrictEqual([...transport.writes[0].subarray(0, 4)], [0x1B, 0x40, 0x1F, 0x01]);
+    assert.deepStrictEqual(escposRows(transport.writes[0]), ['         Masala Chai', '                2.50']);
+    assert.strictEqual(transport.writes[1][0], 0x1F);
+    // The row the new text leaves out is blanked
+    assert.deepStrictEqual(escposRows(transport.writes[1]), ['Samosa              ', ' '.repeat(20)]);
+});
+
+test('CD5220 displays get ESC Q A and ESC Q B line writes', async (t) => {
+    const { display, transport } = createDisplay(t, { commandSet: 'cd5220' });
+    await display.showText(['Hello', 'World'], { align: 'center' });
+
+    const data = transport.writes[0];
+    assert.deepStrictEqual([...data.subarray(0, 4)], [0x1B, 0x40, 0x1B, 0x11]);
+    assert.ok(data.includes(Buffer.from('\x1BQA       Hello        \r', 'latin1')));
+    assert.ok(data.includes(Buffer.from('\x1BQB       World        \r', 'latin1')));
+});
+
+test('totals put the label above the amount, or beside it on one line', async (t) => {
+    const { display, transport } = createDisplay(t);
+    await display.showTotal(12.5, { currency: 'Rs ' });
+    assert.deepStrictEqual(escposRows(transport.writes[0]), ['TOTAL               ', '            Rs 12.50']);
+
+    const single = createDisplay(t, { rows: 1 });
+    await single.display.showTotal('7', { label: 'DUE' });
+    assert.deepStrictEqual(escposRows(single.transport.writes[0]), ['DUE             7.00']);
+});
+
+test('clear sends a form feed', async (t) => {
+    const { display, transport } = createDisplay(t);
+    await display.clear();
+    assert.strictEqual(transport.writes[0].at(-1), 0x0C);
+});
+
+test('text is encoded in the display code page with control characters removed', async (t) => {
+    const { display, transport } = createDisplay(t, { codePage: 'CP858' });
+    await display.showText(['Café €2\x1B@']);
+    assert.ok(transport.writes[0].includes(Buffer.from([0x43, 0x61, 0x66, 0x82, 0x20, 0xD5, 0x32, 0x20, 0x40])));
+});
+
+test('long lines scroll as a marquee until new content arrives', async (t) => {
+    t.mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+    const { display, transport } = createDisplay(t, { scrollIntervalMs: 100 });
+    await display.showText(['Paneer Butter Masala Large', 'Total 12.00']);
+    assert.deepStrictEqual(escposRows(transport.writes[0]), ['Paneer Butter Masala', 'Total 12.00         ']);
+
+    t.mock.timers.tick(100);
+    await display.writing;
+    // Only the scrolling row is rewritten
+    assert.deepStrictEqual(escposRows(transport.writes[1]), ['aneer Butter Masala ']);
+
+    await display.showText(['Short']);
+    const writes = transport.writes.length;
+    t.mock.timers.tick(500);
+    await display.writing;
+    assert.strictEqual(transport.writes.length, writes);
+});
+
+test('the welcome message comes back after the idle timeout', async (t) => {
+    t.mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+    const { display, transport } = createDisplay(t, { idleAfterMs: 1000, welcome: ['Welcome to', 'Corner Cafe'] });
+    await display.showTotal(3);
+
+    t.mock.timers.tick(1000);
+    await display.writing;
+    assert.deepStrictEqual(escposRows(transport.writes.at(-1)), ['     Welcome to     ', '    Corner Cafe     ']);
+});
+
+test('a failed write is reported and the display is initialized again', async (t) => {
+    const messages = [];
+    const { display, transport } = createDisplay(t, { log: message => messages.push(message) });
+    await display.showText(['One']);
+
+    transport.failures = 1;
+    await assert.rejects(display.showText(['Two']), { code: 'PRINTER_OFFLINE' });
+    await display.showText(['Three']);
+    assert.deepStrictEqual([...transport.writes.at(-1).subarray(0, 4)], [0x1B, 0x40, 0x1F, 0x01]);
+    assert.ok(messages[0].includes('failed: port closed'));
+    assert.ok(messages[1].includes('is back'));
+});
+
+test('invalid settings and content are refused', (t) => {
+    const transport = fakeTransport();
+    assert.throws(() => new CustomerDisplay({}), /requires a transport/);
+    assert.throws(() => new CustomerDisplay({ transport, commandSet: 'vt100' }), /Invalid display command set/);
+    assert.throws(() => new CustomerDisplay({ transport, commandSet: 'cd5220', rows: 4 }), /Invalid display rows/);
+    assert.throws(() => new CustomerDisplay({ transport, columns: 100 }), /Invalid display columns/);
+
+    const { display } = createDisplay(t);
+    assert.throws(() => display.showText(['a', 'b', 'c']), { code: 'INVALID_PAYLOAD', message: /has 2 line/ });
+    assert.throws(() => display.showText([]), { code: 'INVALID_PAYLOAD' });
+    assert.throws(() => display.showText(['a'], { align: 'justify' }), { code: 'INVALID_PAYLOAD' });
+    assert.throws(() => display.showTotal('abc'), { code: 'INVALID_PAYLOAD' });
+});
@@ -0,0 +1,166 @@
+// device-transport.test.js - DEVICE PRINTERS: PATHS, WRITES AND STATUS OVER A PTY
+//
+// Real printer device nodes cannot be created here, so the accepted device
+// name is opened as a temporary file or as the far end of a pseudo-terminal.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+const DeviceTransport = require('../device-transport.js');
+const printerStatus = require('../printer-status.js');
+
+// Opens `target` whenever the transport opens `device`
+function redirect(t, device, target) {
+    const open = fs.promises.open;
+    t.mock.method(fs.promises, 'open', (file, flags) => open(file === device ? target : file, flags));
+}
+
+// Printer on the master side of a pty: answers DLE EOT n with statuses[n]
+// (and stays silent for types it has no status for)
+// and reports everything else it receives as hex lines on stdout
+const FAKE_PRINTER = `
+import os, pty, select, sys, tty
+master, slave = pty.openpty()
+tty.setraw(slave)
+print(os.ttyname(slave), flush=True)
+statuses = {int(n): int(byte) for n, byte in (pair.split('=') for pair in sys.argv[1].split(',') if pair)}
+pending = b''
+while True:
+    ready, _, _ = select.select([master, sys.stdin], [], [])
+    if sys.stdin in ready and not sys.stdin.buffer.read1(1):
+        break
+    if master in ready:
+        pending += os.read(master, 1024)
+        while b'\\x10\\x04' in pending and len(pending) >= pending.index(b'\\x10\\x04') + 3:
+            at = pending.index(b'\\x10\\x04')
+            if pending[:at]:
+                print(pending[:at].hex(), flush=True)
+            if pending[at + 2] in statuses:
+                os.write(master, bytes([statuses[pending[at + 2]]]))
+            pending = pending[at + 3:]
+        if pending and b'\\x10' not in pending:
+            print(pending.hex(), flush=True)
+            pending = b''
+`;
+
+const hasPython = os.platform() !== 'win32' && spawnSync('python3', ['--version']).status === 0;
+
+function startFakePrinter(t, statuses) {
+    const child = spawn('python3', ['-c', FAKE_PRINTER, Object.entries(statuses).map(([n, byte]) => `${n}=${byte}`).join(',')]);
+    const lines = [];
+    let output = '';
+    t.after(() => child.stdin.end());
+
+    return new Promise((resolve, reject) => {
+        child.once('error', reject);
+        child.stdout.on('data', (chunk) => {
+            output += chunk;
+            const complete = output.split('\n');
+            output = complete.pop();
+            lines.push(...complete);
+            if (lines.length === 1 && complete.length) {
+                resolve({ slave: lines[0], received: () => Buffer.from(lines.slice(1).join(''), 'hex') });
+            }
+        });
+    });
+}
+
+async function waitUntil(check) {
+    for (let i = 0; i < 100 && !check(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/* ============================
+   DEVICE PATHS
+============================ */
+test('only printer and serial device names are accepted', () => {
+    for (const device of ['/dev/usb/lp0', '/dev/ttyUSB0', '/dev/ttyACM1', '/dev/ttyS0', '/dev/cu.usbserial-1410', 'COM3', 'com12', '\\\\.\\COM10', 'LPT1']) {
+        assert.doesNotThrow(() => new DeviceTransport({ device }), device);
+    }
+    for (const device of ['/dev/sda', '/dev/null', '/dev/tty', '/dev/pts/3', '/dev/usb/../sda', '/dev/ttyUSB0/../../etc/passwd', '/etc/passwd', 'ttyUSB0', 'COM', 'PRN', '']) {
+        assert.throws(() => new DeviceTransport({ device }), /Invalid device/, device);
+    }
+});
+
+test('Windows port names are normalized', () => {
+    assert.strictEqual(new DeviceTransport({ device: '\\\\.\\com10' }).device, 'COM10');
+});
+
+test('serial line settings are validated and turned into stty arguments', () => {
+    assert.throws(() => new DeviceTransport({ device: '/dev/ttyUSB0', baudRate: 12345 }), /Invalid baud rate/);
+    assert.throws(() => new DeviceTransport({ device: '/dev/ttyUSB0', parity: 'mark' }), /Invalid parity/);
+
+    const transport = new DeviceTransport({ device: '/dev/ttyUSB0', baudRate: 19200, parity: 'even', stopBits: 2, flowControl: 'xonxoff' });
+    assert.deepStrictEqual(transport.sttyArgs(), ['19200', 'cs8', 'parenb', '-parodd', 'cstopb', '-crtscts', 'ixon', 'ixoff', 'raw', '-echo']);
+});
+
+/* ============================
+   WRITES
+============================ */
+test('send writes the exact bytes to a non-tty device', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'aaravpos-device-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const target = path.join(directory, 'lp0');
+    fs.writeFileSync(target, '');
+    redirect(t, '/dev/usb/lp0', target);
+
+    const transport = new DeviceTransport({ device: '/dev/usb/lp0' });
+    const data = Buffer.from([0x1B, 0x40, 0x41, 0x0A, 0x1D, 0x56, 0x00]);
+    assert.strictEqual(await transport.send(data), '7 bytes sent to /dev/usb/lp0');
+    assert.deepStrictEqual(fs.readFileSync(target), data);
+
+    // A plain device cannot answer status queries
+    await assert.rejects(transport.request([printerStatus.query(1)]), { code: 'NOT_SUPPORTED' });
+});
+
+test('a missing device is PRINTER_OFFLINE', async (t) => {
+    redirect(t, '/dev/usb/lp7', path.join(os.tmpdir(), 'aaravpos-no-such-device', 'lp7'));
+    const transport = new DeviceTransport({ device: '/dev/usb/lp7' });
+    await assert.rejects(transport.send(Buffer.from('x')), { code: 'PRINTER_OFFLINE', message: /Cannot open \/dev\/usb\/lp7/ });
+});
+
+test('one-way links refuse status queries', async () => {
+    const transport = new DeviceTransport({ device: '/dev/ttyUSB0', bidirectional: false });
+    await assert.rejects(transport.request([printerStatus.query(1)]), { code: 'NOT_SUPPORTED' });
+});
+
+/* ============================
+   SERIAL PRINTERS (PTY)
+============================ */
+test('a serial printer receives the bytes written to its tty', { skip: !hasPython && 'needs python3 for a pty' }, async (t) => {
+    const printer = await startFakePrinter(t, { 1: 0x12 });
+    redirect(t, '/dev/ttyUSB9', printer.slave);
+    // stty would be run on the alias, which does not exist
+    t.mock.method(DeviceTransport.prototype, 'configure', async () => '');
+
+    const transport = new DeviceTransport({ device: '/dev/ttyUSB9' });
+    const data = Buffer.from('Serial receipt\n\x1D\x56\x00', 'latin1');
+    assert.strictEqual(await transport.send(data), `${data.length} bytes sent to /dev/ttyUSB9`);
+    await waitUntil(() => printer.received().length >= data.length);
+    assert.deepStrictEqual(printer.received(), data);
+});
+
+test('printer status is read back over the tty', { skip: !hasPython && 'needs python3 for a pty' }, async (t) => {
+    // Online, no offline cause, no error, paper near end
+    const printer = await startFakePrinter(t, { 1: 0x12, 2: 0x12, 3: 0x12, 4: 0x1E });
+    redirect(t, '/dev/ttyUSB9', printer.slave);
+    t.mock.method(DeviceTransport.prototype, 'configure', async () => '');
+
+    const transport = new DeviceTransport({ device: '/dev/ttyUSB9' });
+    const status = await printerStatus.queryStatus(transport, { timeout: 2000 });
+    assert.strictEqual(status.status, 'PAPER_LOW');
+    assert.deepStrictEqual(status.raw, { printer: 0x12, offline: 0x12, error: 0x12, paper: 0x1E });
+});
+
+test('a silent serial printer times out the status query', { skip: !hasPython && 'needs python3 for a pty' }, async (t) => {
+    const printer = await startFakePrinter(t, {});
+    redirect(t, '/dev/ttyUSB9', printer.slave);
+    t.mock.method(DeviceTransport.prototype, 'configure', async () => '');
+
+    const transport = new DeviceTransport({ device: '/dev/ttyUSB9' });
+    await assert.rejects(transport.request([Buffer.from('?')], { timeout: 100 }), { code: 'TIMEOUT' });
+});
@@ -0,0 +1,65 @@
+// drawer-monitor.test.js - CASH DRAWER TRANSITIONS
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const DrawerMonitor = require('../drawer-monitor.js');
+
+// Monitor over scripted sensor readings; `readings` is consumed one per poll
+function createMonitor(readings, printer = { name: 'Counter' }) {
+    const events = [];
+    const monitor = new DrawerMonitor({
+        getPrinters: () => [printer],
+        queryDrawer: async () => {
+            const reading = readings.shift();
+            if (reading instanceof Error) throw reading;
+            return reading;
+        }
+    });
+    ['opened', 'closed', 'left_open'].forEach(type => monitor.on(type, event => events.push({ type, ...event })));
+    return { monitor, events };
+}
+
+async function pollTimes(monitor, count) {
+    for (let i = 0; i < count; i++) {
+        await monitor.poll();
+    }
+}
+
+test('the first reading sets the state without an event', async () => {
+    for (const first of [true, false]) {
+        const { monitor, events } = createMonitor([first]);
+        await monitor.poll();
+        assert.deepStrictEqual(events, []);
+        assert.strictEqual(monitor.getState('Counter').open, first);
+    }
+});
+
+test('opening and closing emit one event each', async () => {
+    const { monitor, events } = createMonitor([false, true, true, false, false]);
+    await pollTimes(monitor, 5);
+
+    assert.deepStrictEqual(events.map(event => event.type), ['opened', 'closed']);
+    assert.strictEqual(events[1].printerName, 'Counter');
+    assert.ok(events[1].openDurationMs >= 0);
+    assert.strictEqual(monitor.getState('Counter').open, false);
+});
+
+test('a drawer found open emits closed when it is shut', async () => {
+    const { monitor, events } = createMonitor([true, false]);
+    await pollTimes(monitor, 2);
+    assert.deepStrictEqual(events.map(event => event.type), ['closed']);
+});
+
+test('a failed reading keeps the last known state', async () => {
+    const { monitor, events } = createMonitor([false, new Error('timed out'), false, true]);
+    await pollTimes(monitor, 4);
+    assert.deepStrictEqual(events.map(event => event.type), ['opened']);
+});
+
+test('left_open fires once per opening after alertAfterMs', async () => {
+    const { monitor, events } = createMonitor([false, true, true, true], { name: 'Counter', drawer: { alertAfterMs: 1 } });
+    await pollTimes(monitor, 2);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await pollTimes(monitor, 2);
+    assert.deepStrictEqual(events.map(event => event.type), ['opened', 'left_open']);
+});
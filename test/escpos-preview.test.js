@@ -0,0 +1,97 @@
+// escpos-preview.test.js - ESC/POS INTERPRETER AND HTML PREVIEW
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const escposPreview = require('../escpos-preview.js');
+const escpos = require('../escpos.js');
+const codepages = require('../codepages.js');
+const ReceiptBuilder = require('../receipt-builder.js');
+
+function stream(...parts) {
+    return Buffer.concat(parts.map(part => (Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1'))));
+}
+
+function texts(items) {
+    return items.filter(item => item.type === 'text').map(item => item.segments.map(segment => segment.text).join(''));
+}
+
+test('text lines keep their alignment and styles', () => {
+    const items = escposPreview.parse(stream(
+        escpos.INIT,
+        escpos.align('center'), escpos.bold(true), 'Corner Cafe\n',
+        escpos.align('left'), escpos.bold(false), escpos.size(2, 3), 'Big', escpos.size(1, 1), ' small\n'
+    ));
+
+    assert.deepStrictEqual(items[0], {
+        type: 'text',
+        align: 'center',
+        segments: [{ bold: true, underline: 0, width: 1, height: 1, text: 'Corner Cafe' }]
+    });
+    assert.strictEqual(items[1].align, 'left');
+    assert.deepStrictEqual(items[1].segments.map(segment => [segment.text, segment.width, segment.height]), [['Big', 2, 3], [' small', 1, 1]]);
+});
+
+test('code pages are decoded as selected', () => {
+    const items = escposPreview.parse(stream(
+        codepages.select('CP858'), codepages.encode('Café €4', 'CP858'), '\n',
+        codepages.select('UTF8'), Buffer.from('₹120\n', 'utf8')
+    ));
+    assert.deepStrictEqual(texts(items), ['Café €4', '₹120']);
+});
+
+test('feeds, cuts and drawer kicks become items', () => {
+    const items = escposPreview.parse(stream('A\n', escpos.feed(2), escpos.drawerKick({ pin: 5 }), escpos.FEED_AND_CUT));
+    assert.deepStrictEqual(items.map(item => item.type), ['text', 'text', 'text', 'drawer', 'text', 'text', 'text', 'text', 'cut']);
+    assert.strictEqual(items[3].pin, 5);
+});
+
+test('barcodes and 2D codes are read back with their data', () => {
+    const items = escposPreview.parse(stream(
+        escpos.align('center'),
+        escpos.barcode('ORD-1042', { hri: 'both' }),
+        escpos.barcode('4006381333931', { symbology: 'EAN13' }),
+        escpos.qrcode('https://example.com/r/1042'),
+        escpos.pdf417('RETURN 1042')
+    ));
+    assert.deepStrictEqual(items, [
+        { type: 'barcode', align: 'center', symbology: 'CODE128', data: 'ORD-1042', hri: 'both' },
+        { type: 'barcode', align: 'center', symbology: 'EAN13', data: '4006381333931', hri: 'below' },
+        { type: 'qrcode', align: 'center', data: 'https://example.com/r/1042' },
+        { type: 'pdf417', align: 'center', data: 'RETURN 1042' }
+    ]);
+});
+
+test('raster bands are joined into one image and bounded by the paper', () => {
+    const band = (rows) => Buffer.concat([Buffer.from([0x1D, 0x76, 0x30, 0, 2, 0, rows, 0]), Buffer.alloc(2 * rows, 0xF0)]);
+    const [image] = escposPreview.parse(stream(band(3), band(2)), { paperWidth: '58mm' });
+    assert.strictEqual(image.type, 'image');
+    assert.strictEqual(image.width, 16);
+    assert.strictEqual(image.height, 5);
+
+    // 72 bytes is 576 dots: fine on 80mm paper, too wide for 58mm
+    const wide = Buffer.concat([Buffer.from([0x1D, 0x76, 0x30, 0, 72, 0, 1, 0]), Buffer.alloc(72)]);
+    assert.strictEqual(escposPreview.parse(wide, { paperWidth: '80mm' })[0].width, 576);
+    assert.throws(() => escposPreview.parse(wide, { paperWidth: '58mm' }), /576 dots wide/);
+});
+
+test('a truncated stream does not throw', () => {
+    assert.doesNotThrow(() => escposPreview.parse(Buffer.from([0x1D, 0x28, 0x6B, 0xFF, 0xFF, 0x31])));
+    assert.doesNotThrow(() => escposPreview.parse(Buffer.from([0x1D, 0x6B, 73])));
+});
+
+test('renderHtml lays a receipt out at the paper width with text escaped', () => {
+    const buffer = new ReceiptBuilder({ paperWidth: '58mm' }).build({
+        lines: [
+            { type: 'text', text: '<script>alert(1)</script>', align: 'center' },
+            { type: 'qrcode', data: 'https://example.com/"x"' }
+        ]
+    });
+    const html = escposPreview.renderHtml(buffer, { paperWidth: '58mm', title: 'Till <1>' });
+
+    assert.ok(html.includes('<div class="paper" style="width:32ch">'));
+    assert.ok(html.includes('<title>Till &lt;1&gt;</title>'));
+    assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+    assert.ok(!html.includes('<script>'));
+    assert.ok(html.includes('https://example.com/&quot;x&quot;'));
+    assert.ok(html.includes('✂'));
+});
@@ -0,0 +1,90 @@
+// escpos.test.js - ESC/POS COMMAND BYTES
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const escpos = require('../escpos.js');
+
+function includes(buffer, bytes) {
+    return buffer.indexOf(Buffer.from(bytes)) !== -1;
+}
+
+/* ============================
+   CASH DRAWER
+============================ */
+test('drawerKick defaults to pin 2 with a 50ms pulse and 500ms rest', () => {
+    assert.deepStrictEqual([...escpos.drawerKick()], [0x1B, 0x70, 0x00, 25, 250]);
+});
+
+test('drawerKick selects pin 5 and sends pulse times in 2ms units', () => {
+    assert.deepStrictEqual([...escpos.drawerKick({ pin: 5, onMs: 100, offMs: 200 })], [0x1B, 0x70, 0x01, 50, 100]);
+    assert.deepStrictEqual([...escpos.drawerKick({ pin: '5', onMs: '2', offMs: 510 })], [0x1B, 0x70, 0x01, 1, 255]);
+});
+
+test('drawerKick refuses other pins and out of range pulse times', () => {
+    assert.throws(() => escpos.drawerKick({ pin: 3 }), /Invalid drawer pin: 3/);
+    assert.throws(() => escpos.drawerKick({ onMs: 1 }), /Invalid drawer on time/);
+    assert.throws(() => escpos.drawerKick({ offMs: 600 }), /Invalid drawer off time/);
+    assert.throws(() => escpos.drawerKick({ onMs: 'long' }), /Invalid drawer on time/);
+});
+
+/* ============================
+   BARCODES AND 2D CODES
+============================ */
+test('barcode sets HRI, height and width before GS k', () => {
+    assert.deepStrictEqual([...escpos.barcode('4006381333931', { symbology: 'EAN13', height: 60, width: 2, hri: 'above' })], [
+        0x1D, 0x48, 1,
+        0x1D, 0x68, 60,
+        0x1D, 0x77, 2,
+        0x1D, 0x6B, 67, 13,
+        ...Buffer.from('4006381333931')
+    ]);
+});
+
+test('CODE128 data gets code set B unless it picks one', () => {
+    const data = escpos.barcode('A-1001');
+    assert.ok(data.subarray(-12).equals(Buffer.from([0x1D, 0x6B, 73, 8, ...Buffer.from('{BA-1001')])));
+
+    const picked = escpos.barcode('{C1234');
+    assert.ok(picked.subarray(-10).equals(Buffer.from([0x1D, 0x6B, 73, 6, ...Buffer.from('{C1234')])));
+});
+
+test('barcode data must suit the symbology', () => {
+    assert.throws(() => escpos.barcode('12345', { symbology: 'EAN13' }), /Invalid EAN13 barcode data/);
+    assert.throws(() => escpos.barcode('abc', { symbology: 'CODE39' }), /Invalid CODE39 barcode data/);
+    assert.throws(() => escpos.barcode('123', { symbology: 'ITF' }), /Invalid ITF barcode data/);
+    assert.throws(() => escpos.barcode('1', { symbology: 'MAXICODE' }), /Unsupported barcode symbology/);
+    assert.throws(() => escpos.barcode('1', { hri: 'sideways' }), /Invalid barcode HRI position/);
+    assert.throws(() => escpos.barcode('x'.repeat(254)), /too long/);
+    assert.doesNotThrow(() => escpos.barcode('A1B2', { symbology: 'code39', hri: false }));
+});
+
+test('qrcode stores the data in model 2 at the chosen size and level', () => {
+    const data = escpos.qrcode('https://example.com/r/1', { size: 20, errorCorrection: 'q' });
+    const stored = Buffer.from('https://example.com/r/1');
+    const length = stored.length + 3;
+
+    assert.ok(includes(data, [0x1D, 0x28, 0x6B, 4, 0, 0x31, 0x41, 0x32, 0x00]));
+    assert.ok(includes(data, [0x1D, 0x28, 0x6B, 3, 0, 0x31, 0x43, 16]));
+    assert.ok(includes(data, [0x1D, 0x28, 0x6B, 3, 0, 0x31, 0x45, 50]));
+    assert.ok(includes(data, [0x1D, 0x28, 0x6B, length, 0, 0x31, 0x50, 0x30, ...stored]));
+    assert.ok(data.subarray(-8).equals(Buffer.from([0x1D, 0x28, 0x6B, 3, 0, 0x31, 0x51, 0x30])));
+
+    assert.throws(() => escpos.qrcode('x', { errorCorrection: 'Z' }), /Invalid QR error correction level/);
+    assert.throws(() => escpos.qrcode(''), /must not be empty/);
+});
+
+test('long QR data spreads its length over pL and pH', () => {
+    const data = escpos.qrcode('x'.repeat(300));
+    assert.ok(includes(data, [0x1D, 0x28, 0x6B, 303 & 0xFF, 303 >> 8, 0x31, 0x50]));
+    assert.throws(() => escpos.qrcode('x'.repeat(7001)), /too long/);
+});
+
+test('pdf417 sets columns, module sizes and the error correction level', () => {
+    const data = escpos.pdf417('INV-2024-001', { columns: 4, width: 10, rowHeight: 4, errorCorrection: 5 });
+    assert.ok(includes(data, [0x1D, 0x28, 0x6B, 3, 0, 0x30, 0x41, 4]));
+    assert.ok(includes(data, [0x1D, 0x28, 0x6B, 3, 0, 0x30, 0x43, 8]));
+    assert.ok(includes(data, [0x1D, 0x28, 0x6B, 3, 0, 0x30, 0x44, 4]));
+    assert.ok(includes(data, [0x1D, 0x28, 0x6B, 4, 0, 0x30, 0x45, 0x30, 0x35]));
+    assert.ok(includes(data, [0x30, 0x50, 0x30, ...Buffer.from('INV-2024-001')]));
+    assert.ok(data.subarray(-8).equals(Buffer.from([0x1D, 0x28, 0x6B, 3, 0, 0x30, 0x51, 0x30])));
+});
@@ -0,0 +1,92 @@
+// file-transport.test.js - VIRTUAL FILE PRINTER
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FileTransport = require('../file-transport.js');
+const printerStatus = require('../printer-status.js');
+
+function createPrinter(t, simulate) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'aaravpos-file-printer-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return new FileTransport({ name: 'Virtual', directory, simulate });
+}
+
+function jobFiles(printer) {
+    return fs.existsSync(printer.directory) ? fs.readdirSync(printer.directory).sort() : [];
+}
+
+test('each job is written as a .bin file with .json metadata beside it', async (t) => {
+    const printer = createPrinter(t);
+    const data = Buffer.from([0x1B, 0x40, 0x48, 0x69, 0x0A]);
+    const result = await printer.send(data, { jobId: 'abcdef12-3456', type: 'receipt', requestId: 'req-9', attempt: 2 });
+
+    const files = jobFiles(printer);
+    assert.strictEqual(files.length, 2);
+    const meta = JSON.parse(fs.readFileSync(path.join(printer.directory, files.find(file => file.endsWith('.json'))), 'utf8'));
+    assert.ok(meta.file.endsWith('-abcdef12.bin'));
+    assert.strictEqual(result, `5 bytes written to ${meta.file}`);
+    assert.deepStrictEqual(fs.readFileSync(path.join(printer.directory, meta.file)), data);
+    assert.deepStrictEqual(
+        { printerName: meta.printerName, jobId: meta.jobId, type: meta.type, requestId: meta.requestId, attempt: meta.attempt, bytes: meta.bytes },
+        { printerName: 'Virtual', jobId: 'abcdef12-3456', type: 'receipt', requestId: 'req-9', attempt: 2, bytes: 5 }
+    );
+    assert.strictEqual(meta.sha256, crypto.createHash('sha256').update(data).digest('hex'));
+});
+
+test('simulated failures throw the matching error code and write nothing', async (t) => {
+    const cases = [
+        [{ fail: 'offline' }, 'PRINTER_OFFLINE'],
+        [{ fail: 'timeout' }, 'TIMEOUT'],
+        [{ fail: 'error' }, 'PRINT_FAILED'],
+        [{ fail: 'error', failRate: 1 }, 'PRINT_FAILED'],
+        [{ failRate: 1 }, 'PRINT_FAILED'],
+        [{ paperOut: true }, 'PRINTER_OFFLINE'],
+        [{ coverOpen: true }, 'PRINTER_OFFLINE']
+    ];
+    for (const [simulate, code] of cases) {
+        const printer = createPrinter(t, simulate);
+        await assert.rejects(printer.send(Buffer.from('x')), { code }, JSON.stringify(simulate));
+        assert.deepStrictEqual(jobFiles(printer), []);
+    }
+
+    const lucky = createPrinter(t, { fail: 'offline', failRate: 0 });
+    await lucky.send(Buffer.from('x'));
+    assert.strictEqual(jobFiles(lucky).length, 2);
+});
+
+test('unknown failure kinds and a missing directory are refused', () => {
+    assert.throws(() => new FileTransport({ directory: os.tmpdir(), simulate: { fail: 'fire' } }), /Invalid simulated failure: fire/);
+    assert.throws(() => new FileTransport({}), /requires a directory/);
+});
+
+test('delayMs holds the job back', async (t) => {
+    const printer = createPrinter(t, { delayMs: 60 });
+    const started = Date.now();
+    await printer.send(Buffer.from('x'));
+    assert.ok(Date.now() - started >= 50);
+});
+
+test('status queries report the simulated conditions', async (t) => {
+    const expectations = [
+        [{}, 'READY', false],
+        [{ paperNearEnd: true }, 'PAPER_LOW', false],
+        [{ paperOut: true }, 'PAPER_OUT', false],
+        [{ coverOpen: true }, 'COVER_OPEN', false],
+        [{ fail: 'error' }, 'ERROR', false],
+        [{ drawerOpen: true }, 'READY', true]
+    ];
+    for (const [simulate, status, drawerOpen] of expectations) {
+        const reply = await printerStatus.queryStatus(createPrinter(t, simulate));
+        assert.strictEqual(reply.status, status, JSON.stringify(simulate));
+        assert.strictEqual(reply.drawerOpen, drawerOpen, JSON.stringify(simulate));
+    }
+
+    const offline = createPrinter(t, { fail: 'offline' });
+    await assert.rejects(printerStatus.queryStatus(offline), { code: 'PRINTER_OFFLINE' });
+    assert.strictEqual(await offline.probe(), false);
+    assert.strictEqual(await createPrinter(t, { fail: 'timeout' }).probe(), true);
+});
@@ -0,0 +1,82 @@
+// image-raster.test.js - PNG DECODING AND GS v 0 RASTER IMAGES
+const { test } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+
+const { decodePng } = require('../png-decoder.js');
+const imageRaster = require('../image-raster.js');
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(zlib.crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// 8-bit grayscale PNG; rows are arrays of 0-255 values, or raw scanlines
+// (filter byte included) can be passed as `scanlines`
+function grayPng(width, height, rows, scanlines) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = 0;
+    const raw = scanlines || Buffer.concat(rows.map(row => Buffer.from([0, ...row])));
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+test('decodes grayscale pixels to RGBA', () => {
+    const image = decodePng(grayPng(2, 1, [[0, 255]]));
+    assert.strictEqual(image.width, 2);
+    assert.strictEqual(image.height, 1);
+    assert.deepStrictEqual([...image.data], [0, 0, 0, 255, 255, 255, 255, 255]);
+});
+
+test('image data that inflates past the header size is refused', () => {
+    const bomb = grayPng(1, 1, null, Buffer.alloc(8 * 1024 * 1024));
+    assert.throws(() => decodePng(bomb), /larger than its header says/);
+});
+
+test('truncated image data is refused', () => {
+    assert.throws(() => decodePng(grayPng(4, 4, [[0, 0, 0, 0]])), /Truncated PNG image data/);
+});
+
+test('rasterize packs black dots MSB first', () => {
+    const png = grayPng(10, 2, [
+        [0, 255, 255, 255, 255, 255, 255, 255, 0, 255],
+        [255, 255, 255, 255, 255, 255, 255, 255, 255, 255]
+    ]);
+    const raster = imageRaster.rasterize(png, { dither: false });
+    assert.deepStrictEqual(
+        { width: raster.width, height: raster.height, bytesPerRow: raster.bytesPerRow },
+        { width: 10, height: 2, bytesPerRow: 2 }
+    );
+    assert.deepStrictEqual([...raster.bits], [0x80, 0x80, 0x00, 0x00]);
+});
+
+test('wide images are scaled down to the paper width', () => {
+    const png = grayPng(1000, 10, Array.from({ length: 10 }, () => new Array(1000).fill(0)));
+    const raster = imageRaster.rasterize(png, { maxWidth: imageRaster.DOT_WIDTHS[32] });
+    assert.strictEqual(raster.width, 384);
+    assert.strictEqual(raster.height, 4);
+});
+
+test('narrow images scaled up past the pixel limit are refused', () => {
+    const png = grayPng(1, 40000, null, Buffer.alloc(40000 * 2));
+    assert.throws(() => imageRaster.rasterize(png, { width: 576 }), { code: 'INVALID_PAYLOAD' });
+});
+
+test('encodeRaster splits tall images into GS v 0 bands', () => {
+    const png = grayPng(8, 200, null, Buffer.alloc(200 * 9));
+    const data = imageRaster.imageToEscPos(png, { dither: false });
+    assert.deepStrictEqual([...data.subarray(0, 8)], [0x1D, 0x76, 0x30, 0x00, 1, 0, 128, 0]);
+    assert.deepStrictEqual([...data.subarray(8 + 128, 8 + 128 + 8)], [0x1D, 0x76, 0x30, 0x00, 1, 0, 72, 0]);
+    assert.strictEqual(data.length, 8 + 128 + 8 + 72);
+});
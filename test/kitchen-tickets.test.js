@@ -0,0 +1,71 @@
+// kitchen-tickets.test.js - ORDER SPLITTING AND TICKET LAYOUT
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const kitchenTickets = require('../kitchen-tickets.js');
+const ReceiptBuilder = require('../receipt-builder.js');
+
+const ORDER = {
+    id: 'A17',
+    table: 12,
+    server: 'Meera',
+    guests: 3,
+    notes: 'Birthday table',
+    createdAt: '2024-05-01T19:30:00Z',
+    items: [
+        { name: 'Paneer Tikka', quantity: 2, station: 'kitchen', seat: 1, modifiers: ['Extra chutney', { name: 'No onion' }] },
+        { name: 'Mango Lassi', station: 'bar' },
+        { name: 'Dal Makhani', station: 'kitchen', notes: 'Nut allergy' }
+    ]
+};
+
+function text(ticket) {
+    return new ReceiptBuilder({ paperWidth: '80mm' }).toText(ticket.document);
+}
+
+test('items are split per station in the order stations first appear', () => {
+    const tickets = kitchenTickets.splitOrder(ORDER);
+    assert.deepStrictEqual(tickets.map(ticket => ticket.station), ['kitchen', 'bar']);
+    assert.deepStrictEqual(tickets[0].items.map(item => item.name), ['Paneer Tikka', 'Dal Makhani']);
+    assert.deepStrictEqual(tickets[1].items.map(item => item.name), ['Mango Lassi']);
+});
+
+test('a ticket shows the table large, the order, modifiers, seat and notes', () => {
+    const [kitchen] = kitchenTickets.splitOrder(ORDER);
+    const lines = kitchen.document.lines;
+
+    assert.deepStrictEqual(lines[1], { type: 'text', text: 'TABLE 12', align: 'center', bold: true, width: 3, height: 3 });
+    const printed = text(kitchen);
+    for (const expected of ['KITCHEN', 'Order #A17', 'Server: Meera  Guests: 3', '2 x Paneer Tikka', 'Seat 1',
+        '+ Extra chutney', '+ No onion', '1 x Dal Makhani', '** Nut allergy', 'NOTE: Birthday table']) {
+        assert.ok(printed.includes(expected), `${expected} missing from\n${printed}`);
+    }
+    assert.ok(!printed.includes('Mango Lassi'));
+    assert.ok(!printed.includes('REPRINT'));
+});
+
+test('orders without a table print as takeaway', () => {
+    const [ticket] = kitchenTickets.splitOrder({ items: [{ name: 'Samosa', station: 'kitchen' }] });
+    assert.ok(text(ticket).includes('TAKEAWAY'));
+    assert.ok(text(ticket).includes('Order '));
+});
+
+test('the full copy lists every item under its station', () => {
+    const tickets = kitchenTickets.splitOrder(ORDER, { fullCopy: 'receipt' });
+    const copy = tickets.find(ticket => ticket.fullCopy);
+
+    assert.strictEqual(copy.station, 'receipt');
+    assert.strictEqual(copy.items.length, 3);
+    const printed = text(copy);
+    assert.ok(printed.includes('FULL ORDER'));
+    assert.ok(printed.indexOf('[KITCHEN]') < printed.indexOf('Dal Makhani'));
+    assert.ok(printed.indexOf('[BAR]') < printed.indexOf('Mango Lassi'));
+});
+
+test('reprints cover only the stations asked for and are marked', () => {
+    const tickets = kitchenTickets.splitOrder(ORDER, { fullCopy: 'receipt', stations: ['bar'] });
+    assert.deepStrictEqual(tickets.map(ticket => ticket.station), ['bar']);
+    assert.ok(text(tickets[0]).includes('*** REPRINT ***'));
+
+    assert.deepStrictEqual(kitchenTickets.splitOrder(ORDER, { stations: ['patio'] }), []);
+});
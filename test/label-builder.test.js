@@ -0,0 +1,106 @@
+// label-builder.test.js - ZPL AND TSPL LABELS
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const labelBuilder = require('../label-builder.js');
+
+const SHELF_LABEL = {
+    width: 50,
+    height: 30,
+    quantity: 3,
+    fields: [
+        { type: 'text', text: 'Dal ^500g~_x', x: 2, y: 2, size: 4 },
+        { type: 'barcode', data: '4006381333931', x: 2, y: 10, height: 10, symbology: 'ean13' },
+        { type: 'qrcode', data: 'https://x.io/a_b', x: 35, y: 10, size: 5, errorCorrection: 'h' }
+    ]
+};
+
+function build(label, language, options) {
+    return labelBuilder.buildLabel(label, language, options).toString('utf8');
+}
+
+/* ============================
+   ZPL
+============================ */
+test('ZPL labels convert millimetres to dots and end with the quantity', () => {
+    assert.strictEqual(build(SHELF_LABEL, 'zpl'), [
+        '^XA',
+        '^CI28',
+        '^PW400',
+        '^LL240',
+        '^FO16,16^A0N,32,32^FH^FDDal _5E500g_7E_5Fx^FS',
+        '^FO16,80^BY2^BEN,80,Y,N^FH^FD4006381333931^FS',
+        '^FO280,80^BQN,2,5^FH^FDHA,https://x.io/a_5Fb^FS',
+        '^PQ3',
+        '^XZ',
+        ''
+    ].join('\n'));
+});
+
+test('ZPL field data cannot start new commands', () => {
+    const zpl = build({ width: 50, height: 30, fields: [{ text: 'A^XZ^XA~JR\r\nB', x: 0, y: 0 }] }, 'zpl');
+    assert.ok(zpl.includes('^FDA_5EXZ_5EXA_7EJR B^FS'));
+    assert.strictEqual(zpl.match(/\^XZ/g).length, 1);
+});
+
+test('rotation, resolution and HRI are applied', () => {
+    const label = {
+        width: 50,
+        height: 30,
+        dpi: 300,
+        fields: [
+            { text: 'Side', x: 1, y: 1, rotation: 90 },
+            { type: 'barcode', data: 'ABC-1', x: 1, y: 5, hri: false, moduleWidth: 3 }
+        ]
+    };
+    const zpl = build(label, 'zpl');
+    assert.ok(zpl.includes('^PW591'));
+    assert.ok(zpl.includes('^FO12,12^A0R,35,35'));
+    assert.ok(zpl.includes('^BY3^BCN,118,N,N,N'));
+    assert.ok(build(label, 'zpl', { dpi: 203 }).includes('^PW400'));
+});
+
+/* ============================
+   TSPL
+============================ */
+test('TSPL labels use CRLF lines and escape quotes', () => {
+    const label = { ...SHELF_LABEL, gap: 3, fields: [{ text: 'Say "cheese"', x: 2, y: 2, size: 6 }, SHELF_LABEL.fields[1], SHELF_LABEL.fields[2]] };
+    assert.strictEqual(build(label, 'tspl'), [
+        'SIZE 50 mm,30 mm',
+        'GAP 3 mm,0 mm',
+        'CODEPAGE UTF-8',
+        'CLS',
+        'TEXT 16,16,"3",0,2,2,"Say \\["]cheese\\["]"',
+        'BARCODE 16,80,"EAN13",80,1,0,2,4,"4006381333931"',
+        'QRCODE 280,80,H,5,A,0,"https://x.io/a_b"',
+        'PRINT 3,1',
+        ''
+    ].join('\r\n'));
+});
+
+/* ============================
+   VALIDATION
+============================ */
+test('bad labels and fields are refused', () => {
+    const label = (fields, extra = {}) => ({ width: 50, height: 30, fields, ...extra });
+    const cases = [
+        [{ width: 50, height: 30 }, /"fields" array/],
+        [label([], { height: 0 }), /width and height/],
+        [label([{ type: 'text', x: 0, y: 0 }]), /needs "text"/],
+        [label([{ type: 'barcode', data: '1', symbology: 'MAXICODE' }]), /Unsupported label barcode/],
+        [label([{ type: 'barcode', data: '1', moduleWidth: 20 }]), /module width/],
+        [label([{ type: 'qrcode', data: '1', errorCorrection: 'X,1' }]), /Invalid QR error correction/],
+        [label([{ type: 'text', text: 'x', rotation: 45 }]), /Invalid rotation/],
+        [label([{ type: 'circle' }]), /Unknown label field type/],
+        [label([], { quantity: 0 }), /Invalid label quantity/]
+    ];
+    for (const [definition, message] of cases) {
+        assert.throws(() => labelBuilder.buildLabel(definition, 'zpl'), message);
+        assert.throws(() => labelBuilder.buildLabel(definition, 'tspl'), message);
+    }
+});
+
+test('receipt printers cannot take labels', () => {
+    assert.throws(() => labelBuilder.buildLabel(SHELF_LABEL, 'escpos'), { code: 'NOT_SUPPORTED' });
+    assert.deepStrictEqual(labelBuilder.LANGUAGES, ['escpos', 'zpl', 'tspl']);
+});
@@ -0,0 +1,92 @@
+// pairing.test.js - PAIRING CODES AND TOKEN ORIGINS
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ConfigStore = require('../config-store.js');
+const PairingManager = require('../pairing.js');
+
+const ORIGIN = 'https://pos.example.com';
+
+function createPairing(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'aaravpos-pairing-'));
+    const config = new ConfigStore({ filePath: path.join(directory, 'config.json') }).load();
+    config.updateSettings({ allowedOrigins: [ORIGIN] });
+    const pairing = new PairingManager({ config });
+    t.after(() => {
+        pairing.clear();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    return pairing;
+}
+
+// Pairs a client and returns the token it was sent
+function pair(pairing, origin) {
+    let token = null;
+    pairing.once('approved', (request, issued) => {
+        token = issued;
+    });
+    const request = pairing.request({ clientName: 'Till 1', origin });
+    const [shown] = pairing.listPending().filter(pending => pending.id === request.id);
+    pairing.confirm(request.id, shown.code);
+    return token;
+}
+
+test('requests carry a six-digit code for the agent UI', (t) => {
+    const pairing = createPairing(t);
+    const request = pairing.request({ clientName: 'Till 1', origin: ORIGIN });
+    assert.match(request.code, /^[0-9]{6}$/);
+    assert.strictEqual(pairing.listPending()[0].code, request.code);
+    assert.strictEqual(pairing.listPending()[0].attempts, undefined);
+});
+
+test('browsers outside the allowed origins cannot ask to pair', (t) => {
+    const pairing = createPairing(t);
+    assert.throws(() => pairing.request({ clientName: 'Evil', origin: 'https://evil.example' }), { code: 'UNAUTHORIZED' });
+});
+
+test('only the right code pairs, and three wrong codes deny the request', (t) => {
+    const pairing = createPairing(t);
+    const denied = [];
+    pairing.on('denied', (request, reason) => denied.push(reason));
+
+    const request = pairing.request({ clientName: 'Till 1', origin: ORIGIN });
+    const wrong = request.code === '000000' ? '000001' : '000000';
+    assert.throws(() => pairing.confirm(request.id, wrong), { code: 'UNAUTHORIZED', attemptsLeft: 2 });
+    assert.throws(() => pairing.confirm(request.id, wrong), { code: 'UNAUTHORIZED', attemptsLeft: 1 });
+    assert.throws(() => pairing.confirm(request.id, wrong), { code: 'UNAUTHORIZED', attemptsLeft: 0 });
+
+    assert.deepStrictEqual(denied, ['denied after too many wrong codes']);
+    assert.throws(() => pairing.confirm(request.id, request.code), /Unknown or expired/);
+    assert.deepStrictEqual(pairing.listClients(), []);
+});
+
+test('a browser token only works from its own origin', (t) => {
+    const pairing = createPairing(t);
+    const token = pair(pairing, ORIGIN);
+
+    assert.ok(pairing.verify(token, ORIGIN));
+    assert.strictEqual(pairing.verify(token, 'https://other.example'), null);
+    assert.strictEqual(pairing.verify(token, null), null);
+});
+
+test('a native client token is refused from every browser origin', (t) => {
+    const pairing = createPairing(t);
+    const token = pair(pairing, null);
+
+    assert.ok(pairing.verify(token, null));
+    assert.ok(pairing.verify(token, undefined));
+    assert.strictEqual(pairing.verify(token, ORIGIN), null);
+    assert.strictEqual(pairing.verify(token, 'https://evil.example'), null);
+});
+
+test('revoked tokens stop working', (t) => {
+    const pairing = createPairing(t);
+    const token = pair(pairing, ORIGIN);
+    const [client] = pairing.listClients();
+
+    pairing.revoke(client.id);
+    assert.strictEqual(pairing.verify(token, ORIGIN), null);
+});
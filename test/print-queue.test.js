@@ -0,0 +1,147 @@
+// print-queue.test.js - RETRIES AND FAILOVER IN THE JOB QUEUE
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PrintQueue = require('../print-queue.js');
+
+function printError(message, code) {
+    return Object.assign(new Error(message), { code });
+}
+
+// Queue in a throwaway directory; print(printerName) decides each attempt
+function createQueue(t, print, options = {}) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'aaravpos-queue-'));
+    const queue = new PrintQueue({
+        filePath: path.join(directory, 'print-jobs.json'),
+        print,
+        getRetryPolicy: () => ({ retries: 3, backoffMs: 1 }),
+        ...options
+    });
+    t.after(async () => {
+        await queue.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    return queue;
+}
+
+test('transient errors are retried per the retry policy', async (t) => {
+    let calls = 0;
+    const queue = createQueue(t, async () => {
+        calls++;
+        if (calls < 3) throw printError('connection refused', 'PRINTER_OFFLINE');
+        return 'ok';
+    });
+
+    const job = await queue.waitFor(queue.enqueue('Counter', Buffer.from('x')).id);
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.attempts, 3);
+});
+
+test('an unknown printer is not retried', async (t) => {
+    let calls = 0;
+    const queue = createQueue(t, async () => {
+        calls++;
+        throw printError('Unknown printer: Ghost', 'PRINTER_NOT_FOUND');
+    });
+
+    const job = await queue.waitFor(queue.enqueue('Ghost', Buffer.from('x')).id);
+    assert.strictEqual(job.status, 'failed');
+    assert.strictEqual(job.errorCode, 'PRINTER_NOT_FOUND');
+    assert.strictEqual(calls, 1);
+});
+
+test('a group fails over past an unknown printer', async (t) => {
+    const tried = [];
+    const queue = createQueue(t, async (printerName) => {
+        tried.push(printerName);
+        if (printerName === 'Ghost') throw printError('Unknown printer: Ghost', 'PRINTER_NOT_FOUND');
+        return 'ok';
+    }, { resolvePrinters: () => ['Ghost', 'Counter'] });
+
+    const job = await queue.waitFor(queue.enqueue('Front', Buffer.from('x')).id);
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.printedBy, 'Counter');
+    assert.deepStrictEqual(tried, ['Ghost', 'Counter']);
+});
+
+test('status changes are batched into one write', async (t) => {
+    const queue = createQueue(t, async () => 'ok', { saveDelay: 20 });
+    let writes = 0;
+    const writeFileSync = fs.writeFileSync;
+    t.mock.method(fs, 'writeFileSync', (file, ...rest) => {
+        if (file === `${queue.filePath}.tmp`) writes++;
+        return writeFileSync(file, ...rest);
+    });
+
+    const job = queue.enqueue('Counter', Buffer.from('x'));
+    assert.strictEqual(writes, 1);
+    await queue.waitFor(job.id);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    // Written when queued, then once for printing, the attempt and completion
+    assert.strictEqual(writes, 2);
+    const [stored] = JSON.parse(fs.readFileSync(queue.filePath, 'utf8')).jobs;
+    assert.strictEqual(stored.status, 'completed');
+    assert.strictEqual(stored.data, undefined);
+});
+
+test('close cuts a retry backoff short and keeps the job for the next start', async (t) => {
+    let calls = 0;
+    let backingOff;
+    const retrying = new Promise(resolve => {
+        backingOff = resolve;
+    });
+    const queue = createQueue(t, async () => {
+        calls++;
+        throw printError('connection refused', 'PRINTER_OFFLINE');
+    }, {
+        getRetryPolicy: () => ({ retries: 3, backoffMs: 60000 }),
+        log: (message) => {
+            if (message.includes('retrying in')) backingOff();
+        }
+    });
+
+    const job = queue.enqueue('Counter', Buffer.from('x'));
+    await retrying;
+    const started = Date.now();
+    await queue.close();
+
+    assert.ok(Date.now() - started < 1000, `close took ${Date.now() - started}ms`);
+    assert.strictEqual(calls, 1);
+    const [stored] = JSON.parse(fs.readFileSync(queue.filePath, 'utf8')).jobs;
+    assert.strictEqual(stored.id, job.id);
+    assert.strictEqual(stored.status, 'queued');
+    assert.ok(stored.data);
+});
+
+test('backoff grows by the policy factor up to its cap', async (t) => {
+    const delays = [];
+    const queue = createQueue(t, async () => {
+        throw printError('connection refused', 'PRINTER_OFFLINE');
+    }, {
+        getRetryPolicy: () => ({ retries: 4, backoffMs: 1, backoffFactor: 3, maxBackoffMs: 5 }),
+        log: (message) => {
+            const match = /retrying in (\d+)ms/.exec(message);
+            if (match) delays.push(Number(match[1]));
+        }
+    });
+
+    const job = await queue.waitFor(queue.enqueue('Counter', Buffer.from('x')).id);
+    assert.strictEqual(job.attempts, 5);
+    assert.deepStrictEqual(delays, [1, 3, 5, 5]);
+});
+
+test('a group fails only when every printer has failed, with the last error code', async (t) => {
+    const queue = createQueue(t, async (printerName) => {
+        throw printError(`${printerName} is off`, printerName === 'Backup' ? 'TIMEOUT' : 'PRINTER_OFFLINE');
+    }, { resolvePrinters: () => ['Primary', 'Backup'], getRetryPolicy: () => ({ retries: 1, backoffMs: 1 }) });
+
+    const job = await queue.waitFor(queue.enqueue('Front', Buffer.from('x')).id);
+    assert.strictEqual(job.status, 'failed');
+    assert.strictEqual(job.errorCode, 'TIMEOUT');
+    assert.strictEqual(job.attempts, 4);
+    assert.strictEqual(job.error, 'Primary: Primary is off; Backup: Backup is off');
+});
@@ -0,0 +1,1226 @@
+// print-server.test.js - END-TO-END TESTS OVER THE WEBSOCKET AND HTTP APIS
+//
+// Each run starts a PrintServer on a free port with its own data directory.
+// Jobs go to file printers (file-transport.js), so the bytes a printer would
+// have received are checked from the captured .bin files. Network printers
+// are local TCP servers, and the scale's serial port is an in-memory stream.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const WebSocket = require('ws');
+
+const PrintServer = require('../print-server.js');
+const DeviceTransport = require('../device-transport.js');
+const escpos = require('../escpos.js');
+
+const TOKEN = 'test-token-0123456789';
+// The only browser origin allowed to ask for pairing
+const POS_ORIGIN = 'https://pos.example.com';
+// Any reply slower than this fails the test instead of hanging the run
+const REPLY_TIMEOUT = 5000;
+
+let server;
+let dataDir;
+let port;
+let client;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port: free } = probe.address();
+            probe.close(() => resolve(free));
+        });
+    });
+}
+
+// Socket with request(type, payload) -> reply and waitFor(predicate) for
+// messages pushed later (job_completed, events). `token: null` connects
+// unpaired; `origin` sets the browser Origin header.
+function connect(query = 'protocol=2', { token = TOKEN, origin } = {}) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://127.0.0.1:${port}/?${token ? `token=${token}&` : ''}${query}`, origin ? { origin } : {});
+        const received = [];
+        const waiting = new Set();
+        let nextId = 0;
+
+        const waitFor = (predicate, label) => new Promise((done, fail) => {
+            const found = received.find(predicate);
+            if (found) return done(found);
+
+            const waiter = { predicate, done };
+            waiter.timer = setTimeout(() => {
+                waiting.delete(waiter);
+                fail(new Error(`Timed out waiting for ${label}`));
+            }, REPLY_TIMEOUT);
+            waiting.add(waiter);
+        });
+
+        ws.on('message', (raw) => {
+            const message = JSON.parse(raw);
+            received.push(message);
+            for (const waiter of waiting) {
+                if (waiter.predicate(message)) {
+                    clearTimeout(waiter.timer);
+                    waiting.delete(waiter);
+                    waiter.done(message);
+                }
+            }
+        });
+        ws.once('error', reject);
+
+        const socket = {
+            ws,
+            received,
+            waitFor,
+            closed: new Promise(done => ws.once('close', code => done(code))),
+            async request(type, payload = {}) {
+                const requestId = `req-${++nextId}`;
+                const reply = waitFor(message => message.requestId === requestId && message.type !== 'job_completed' &&
+                    message.type !== 'job_failed', type);
+                ws.send(JSON.stringify({ type, requestId, payload }));
+                return { requestId, ...(await reply) };
+            },
+            // Outcome of a queued job, pushed to the socket that submitted it
+            job(requestId) {
+                return waitFor(message => message.requestId === requestId &&
+                    ['job_completed', 'job_failed'].includes(message.type), `job of ${requestId}`);
+            },
+            close() {
+                ws.close();
+            }
+        };
+        waitFor(message => message.type === 'connected', 'connected').then(() => resolve(socket), reject);
+    });
+}
+
+// Bytes written by file printers for one request, oldest first
+function captures(requestId) {
+    const root = path.join(dataDir, 'virtual-printers');
+    const found = [];
+    for (const printer of fs.existsSync(root) ? fs.readdirSync(root) : []) {
+        const directory = path.join(root, printer);
+        for (const file of fs.readdirSync(directory).filter(name => name.endsWith('.json')).sort()) {
+            const meta = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+            if (meta.requestId === requestId) {
+                found.push({ ...meta, data: fs.readFileSync(path.join(directory, meta.file)) });
+            }
+        }
+    }
+    return found;
+}
+
+// Queues a job, waits for it to print and returns what the printer got
+async function printed(type, payload) {
+    const reply = await client.request(type, payload);
+    assert.strictEqual(reply.payload.success, true, reply.payload.message);
+    const outcome = await client.job(reply.requestId);
+    assert.strictEqual(outcome.type, 'job_completed', outcome.payload.message);
+
+    const [capture] = captures(reply.requestId);
+    assert.ok(capture, `no capture for ${type}`);
+    return capture.data;
+}
+
+function includes(buffer, bytes) {
+    return buffer.indexOf(Buffer.from(bytes)) !== -1;
+}
+
+before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aaravpos-test-'));
+    port = await freePort();
+    fs.writeFileSync(path.join(dataDir, 'config.json'), JSON.stringify({
+        version: 2,
+        server: { port, token: TOKEN, logLevel: 'error' },
+        allowedOrigins: [POS_ORIGIN]
+    }));
+
+    server = new PrintServer({ dataDir });
+    // The spooler reports one printer, whatever this machine has installed
+    server.discoverSystemPrinters = async () => [{ name: 'Front Desk', isDefault: true, status: 'READY', isConnected: true }];
+    await server.start();
+    client = await connect();
+
+    for (const name of ['Receipts', 'Labels', 'Kitchen', 'Bar']) {
+        const reply = await client.request('add_file_printer', { name });
+        assert.strictEqual(reply.payload.success, true, reply.payload.message);
+    }
+    const reply = await client.request('set_printer_settings', { printerName: 'Labels', settings: { language: 'zpl' } });
+    assert.strictEqual(reply.payload.success, true, reply.payload.message);
+});
+
+after(async () => {
+    if (client) client.close();
+    if (server) await server.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/* ============================
+   HANDSHAKE AND PROTOCOL
+============================ */
+test('health lists the file printers and the Preview printer', async () => {
+    const reply = await client.request('health');
+    assert.strictEqual(reply.type, 'health_response');
+    const names = reply.payload.printers.map(printer => printer.name);
+    for (const name of ['Receipts', 'Labels', 'Kitchen', 'Bar', 'Preview']) {
+        assert.ok(names.includes(name), `${name} missing from ${names.join(', ')}`);
+    }
+});
+
+test('version 1 connections are refused version 2 messages', async () => {
+    const legacy = await connect('');
+    try {
+        const reply = await legacy.request('ping');
+        assert.strictEqual(reply.payload.success, false);
+        assert.strictEqual(reply.payload.code, 'UNSUPPORTED_PROTOCOL');
+
+        const health = await legacy.request('health');
+        assert.strictEqual(health.type, 'health_response');
+    } finally {
+        legacy.close();
+    }
+});
+
+// Version 2 routes, with the status each answers when it works
+const V2_ROUTES = [
+    { method: 'GET', path: '/weight', status: 404, code: 'NOT_FOUND' },
+    {
+        method: 'POST',
+        path: '/orders',
+        status: 200,
+        body: { order: { id: 'H1', items: [{ name: 'Masala Chai', station: 'bar' }] }, routes: { bar: 'Bar' } }
+    },
+    { method: 'POST', path: '/templates/http-thanks/print', status: 202, body: { printerName: 'Receipts', data: { customer: 'Ravi' } } },
+    {
+        method: 'POST',
+        path: '/labels',
+        status: 202,
+        body: { printerName: 'Labels', label: { width: 50, height: 30, fields: [{ type: 'text', x: 2, y: 2, text: 'Dal 500g' }] } }
+    },
+    { method: 'POST', path: '/preview', status: 200, body: { text: 'HTTP preview' } }
+];
+
+function http(method, route, body, headers = {}) {
+    return fetch(`http://127.0.0.1:${port}${route}`, {
+        method,
+        headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+}
+
+test('HTTP requests without a version header speak the current protocol', async () => {
+    const saved = await client.request('save_template', {
+        name: 'http-thanks',
+        template: { document: { lines: [{ type: 'text', text: 'Thank you {{customer}}' }] } }
+    });
+    assert.strictEqual(saved.payload.success, true, saved.payload.message);
+
+    for (const route of V2_ROUTES) {
+        const response = await http(route.method, route.path, route.body);
+        const body = await response.json();
+        assert.strictEqual(response.status, route.status, `${route.path}: ${body.message}`);
+        if (route.code) assert.strictEqual(body.code, route.code, route.path);
+    }
+});
+
+test('HTTP requests declaring version 1 are refused version 2 routes', async () => {
+    for (const route of V2_ROUTES) {
+        const response = await http(route.method, route.path, route.body, { 'X-Protocol-Version': '1' });
+        assert.strictEqual(response.status, 400, route.path);
+        assert.strictEqual((await response.json()).code, 'UNSUPPORTED_PROTOCOL', route.path);
+    }
+
+    const health = await http('GET', '/health', undefined, { 'X-Protocol-Version': '1' });
+    assert.strictEqual(health.status, 200);
+});
+
+test('invalid payloads are rejected with INVALID_PAYLOAD', async () => {
+    const reply = await client.request('print_text', { printerName: 'Receipts' });
+    assert.strictEqual(reply.type, 'print_response');
+    assert.strictEqual(reply.payload.success, false);
+    assert.strictEqual(reply.payload.code, 'INVALID_PAYLOAD');
+});
+
+/* ============================
+   PRINTING
+============================ */
+test('print_text selects the code page, then sends the text and a cut', async () => {
+    const data = await printed('print_text', { printerName: 'Receipts', text: 'Hello counter 3' });
+    // ESC t n
+    assert.deepStrictEqual([...data.subarray(0, 2)], [escpos.ESC, 0x74]);
+    assert.ok(includes(data, 'Hello counter 3'));
+    assert.ok(includes(data, escpos.FEED_AND_CUT));
+});
+
+test('print_text encodes text in the code page configured for the printer', async () => {
+    const added = await client.request('add_file_printer', { name: 'Euro Till' });
+    assert.strictEqual(added.payload.success, true, added.payload.message);
+    const saved = await client.request('set_printer_settings', { printerName: 'Euro Till', settings: { codePage: 'CP858' } });
+    assert.strictEqual(saved.payload.success, true, saved.payload.message);
+
+    const euro = await printed('print_text', { printerName: 'Euro Till', text: 'Café €4.50' });
+    assert.deepStrictEqual([...euro.subarray(0, 3)], [escpos.ESC, 0x74, 19]);
+    assert.ok(includes(euro, [0x43, 0x61, 0x66, 0x82, 0x20, 0xD5, 0x34]));
+
+    // The agent default is CP437, which has no rupee sign
+    const rupee = await printed('print_text', { printerName: 'Receipts', text: 'Total ₹120' });
+    assert.ok(includes(rupee, 'Total Rs.120'));
+
+    const utf8Mode = await client.request('set_printer_settings', { printerName: 'Euro Till', settings: { codePage: 'UTF8' } });
+    assert.strictEqual(utf8Mode.payload.success, true, utf8Mode.payload.message);
+    const utf8 = await printed('print_text', { printerName: 'Euro Till', text: 'Total ₹120' });
+    assert.ok(includes(utf8, [0x1C, 0x28, 0x43]));
+    assert.ok(includes(utf8, Buffer.from('Total ₹120', 'utf8')));
+});
+
+test('print_receipt lays out the document at the requested width', async () => {
+    const data = await printed('print_receipt', {
+        printerName: 'Receipts',
+        paperWidth: '58mm',
+        document: {
+            lines: [
+                { type: 'text', text: 'CORNER CAFE', align: 'center', bold: true },
+                { type: 'columns', columns: [{ text: 'Latte' }, { text: '4.50', align: 'right' }] },
+                { type: 'cut' }
+            ]
+        }
+    });
+    assert.ok(includes(data, 'CORNER CAFE'));
+    assert.ok(includes(data, escpos.align('center')));
+    // 32 columns on 58mm paper: the price ends the line
+    assert.ok(includes(data, `Latte${' '.repeat(32 - 'Latte'.length - '4.50'.length)}4.50`));
+    assert.ok(includes(data, escpos.FEED_AND_CUT));
+});
+
+test('print_receipt prints barcode, QR and PDF417 lines as native codes', async () => {
+    const data = await printed('print_receipt', {
+        printerName: 'Receipts',
+        document: {
+            lines: [
+                { type: 'barcode', data: 'ORD-1042', hri: 'below' },
+                { type: 'qrcode', data: 'https://example.com/invoice/1042', errorCorrection: 'H' },
+                { type: 'pdf417', data: 'RETURN 1042' }
+            ]
+        }
+    });
+    assert.ok(includes(data, escpos.barcode('ORD-1042', { hri: 'below' })));
+    assert.ok(includes(data, escpos.qrcode('https://example.com/invoice/1042', { errorCorrection: 'H' })));
+    assert.ok(includes(data, escpos.pdf417('RETURN 1042')));
+});
+
+test('print_text turns inline code lines into barcodes and QR codes', async () => {
+    const data = await printed('print_text', {
+        printerName: 'Receipts',
+        text: 'Order 1042\n[[barcode:EAN13:4006381333931]]\n[[qrcode:https://example.com/r/1042]]\nThanks'
+    });
+    assert.ok(includes(data, 'Order 1042\n'));
+    assert.ok(includes(data, escpos.barcode('4006381333931', { symbology: 'EAN13' })));
+    assert.ok(includes(data, escpos.qrcode('https://example.com/r/1042')));
+    assert.ok(!includes(data, '[[barcode'));
+
+    const missing = await client.request('print_text', { printerName: 'Receipts', text: '[[barcode:1042]]' });
+    assert.strictEqual(missing.payload.success, false);
+    assert.match(missing.payload.message, /needs a symbology/);
+});
+
+test('print_template fills in the template data', async () => {
+    const saved = await client.request('save_template', {
+        name: 'thanks',
+        template: { document: { lines: [{ type: 'text', text: 'Thank you {{customer}}' }] } }
+    });
+    assert.strictEqual(saved.payload.success, true, saved.payload.message);
+
+    const data = await printed('print_template', { printerName: 'Receipts', template: 'thanks', data: { customer: 'Asha' } });
+    assert.ok(includes(data, 'Thank you Asha'));
+});
+
+test('templates can be listed, previewed, fetched and deleted', async () => {
+    const saved = await client.request('save_template', {
+        name: 'bill',
+        template: {
+            description: 'Table bill',
+            sampleData: { items: [{ name: 'Chai', price: 1 }] },
+            document: { lines: [{ type: 'each', items: 'items', lines: [{ type: 'columns', columns: ['{{name}}', '{{price | money}}'] }] }] }
+        }
+    });
+    assert.strictEqual(saved.payload.success, true, saved.payload.message);
+
+    const list = await client.request('list_templates');
+    assert.ok(list.payload.templates.some(template => template.name === 'bill' && template.description === 'Table bill'));
+
+    const sample = await client.request('preview_template', { name: 'bill', printerName: 'Receipts' });
+    assert.match(sample.payload.text, /^Chai +1\.00$/m);
+    const preview = await client.request('preview_template', { name: 'bill', data: { items: [{ name: 'Vada', price: 2.5 }] } });
+    assert.match(preview.payload.text, /^Vada +2\.50$/m);
+
+    const fetched = await client.request('get_template', { name: 'bill' });
+    assert.strictEqual(fetched.payload.template.sampleData.items[0].name, 'Chai');
+
+    assert.strictEqual((await client.request('delete_template', { name: 'bill' })).payload.success, true);
+    const gone = await client.request('print_template', { printerName: 'Receipts', template: 'bill', data: {} });
+    assert.strictEqual(gone.payload.code, 'NOT_FOUND');
+    assert.strictEqual((await client.request('delete_template', { name: 'bill' })).payload.code, 'NOT_FOUND');
+
+    const broken = await client.request('save_template', { name: 'broken', template: { document: { lines: [{ type: 'hologram' }] } } });
+    assert.strictEqual(broken.payload.success, false);
+});
+
+test('print_label renders ZPL for a ZPL printer', async () => {
+    const data = await printed('print_label', {
+        printerName: 'Labels',
+        label: {
+            width: 50,
+            height: 30,
+            quantity: 2,
+            fields: [
+                { type: 'text', x: 2, y: 2, text: 'Basmati 1kg' },
+                { type: 'barcode', x: 2, y: 10, data: '8901234567890', symbology: 'EAN13' }
+            ]
+        }
+    });
+    const zpl = data.toString('utf8');
+    assert.ok(zpl.startsWith('^XA'));
+    assert.ok(zpl.includes('^FDBasmati 1kg^FS'));
+    assert.ok(zpl.includes('^PQ2'));
+    assert.ok(zpl.trim().endsWith('^XZ'));
+});
+
+test('print_label renders TSPL at the printer resolution and sends raw code as is', async () => {
+    const added = await client.request('add_file_printer', { name: 'Shelf' });
+    assert.strictEqual(added.payload.success, true, added.payload.message);
+    const saved = await client.request('set_printer_settings', { printerName: 'Shelf', settings: { language: 'tspl', dpi: 300 } });
+    assert.strictEqual(saved.payload.success, true, saved.payload.message);
+
+    const tspl = (await printed('print_label', {
+        printerName: 'Shelf',
+        label: { width: 40, height: 25, fields: [{ type: 'text', x: 1, y: 1, text: 'Ghee 500ml' }] }
+    })).toString('utf8');
+    assert.ok(tspl.startsWith('SIZE 40 mm,25 mm\r\n'));
+    assert.ok(tspl.includes('TEXT 12,12,"3",0,1,1,"Ghee 500ml"'));
+    assert.ok(tspl.endsWith('PRINT 1,1\r\n'));
+
+    const raw = 'SIZE 40 mm,25 mm\r\nCLS\r\nPRINT 1\r\n';
+    const data = await printed('print_label', { printerName: 'Shelf', raw });
+    assert.strictEqual(data.toString('utf8'), raw);
+
+    const testPrint = await client.request('test_print', { printerName: 'Shelf' });
+    assert.strictEqual(testPrint.payload.success, true, testPrint.payload.message);
+    const [testLabel] = captures(testPrint.requestId);
+    assert.ok(testLabel.data.toString('utf8').includes('"AARAVPOS AGENT"'));
+    assert.ok(!includes(testLabel.data, escpos.FEED_AND_CUT));
+});
+
+test('print_label is refused on a receipt printer', async () => {
+    const reply = await client.request('print_label', { printerName: 'Receipts', raw: '^XA^XZ' });
+    assert.strictEqual(reply.payload.success, false);
+    assert.strictEqual(reply.payload.code, 'NOT_SUPPORTED');
+
+    const invalid = await client.request('print_label', { printerName: 'Labels', label: { width: 50, height: 30, fields: [{ type: 'circle' }] } });
+    assert.strictEqual(invalid.payload.success, false);
+    assert.strictEqual(invalid.payload.code, 'INVALID_PAYLOAD');
+});
+
+test('print_text passes label code to a label printer unchanged', async () => {
+    const zpl = '^XA^FO10,10^A0N,30,30^FDRaw label^FS^XZ';
+    const data = await printed('print_text', { printerName: 'Labels', text: zpl });
+    assert.strictEqual(data.toString('utf8'), zpl);
+});
+
+test('open_cash_drawer is refused on a label printer', async () => {
+    const reply = await client.request('open_cash_drawer', { printerName: 'Labels' });
+    assert.strictEqual(reply.payload.success, false);
+    assert.strictEqual(reply.payload.code, 'NOT_SUPPORTED');
+});
+
+test('open_cash_drawer sends a drawer kick on the requested pin', async () => {
+    const reply = await client.request('open_cash_drawer', { printerName: 'Receipts', pin: 5, onMs: 100, offMs: 200 });
+    assert.strictEqual(reply.type, 'cash_drawer_response');
+    assert.strictEqual(reply.payload.success, true, reply.payload.message);
+
+    const [capture] = captures(reply.requestId);
+    assert.ok(includes(capture.data, escpos.drawerKick({ pin: 5, onMs: 100, offMs: 200 })));
+});
+
+test('open_cash_drawer uses the printer drawer defaults and can send the kick alone', async () => {
+    const added = await client.request('add_file_printer', { name: 'Till' });
+    assert.strictEqual(added.payload.success, true, added.payload.message);
+    const saved = await client.request('set_printer_settings', {
+        printerName: 'Till',
+        settings: { drawer: { pin: 5, onMs: 60, kickOnly: true } }
+    });
+    assert.strictEqual(saved.payload.success, true, saved.payload.message);
+
+    const kickOnly = await client.request('open_cash_drawer', { printerName: 'Till' });
+    assert.strictEqual(kickOnly.payload.success, true, kickOnly.payload.message);
+    const [bare] = captures(kickOnly.requestId);
+    assert.ok(bare.data.equals(escpos.drawerKick({ pin: 5, onMs: 60, offMs: 500 })));
+
+    // A request option wins over the stored default
+    const withText = await client.request('open_cash_drawer', { printerName: 'Till', kickOnly: false });
+    assert.strictEqual(withText.payload.success, true, withText.payload.message);
+    const [full] = captures(withText.requestId);
+    assert.ok(includes(full.data, 'OPENING CASH DRAWER'));
+    assert.ok(includes(full.data, escpos.drawerKick({ pin: 5, onMs: 60, offMs: 500 })));
+});
+
+test('test_print prints the test receipt', async () => {
+    const reply = await client.request('test_print', { printerName: 'Receipts' });
+    assert.strictEqual(reply.type, 'test_print_response');
+    assert.strictEqual(reply.payload.success, true, reply.payload.message);
+
+    const [capture] = captures(reply.requestId);
+    assert.ok(includes(capture.data, 'AARAVPOS AGENT TEST PRINT'));
+});
+
+test('print_order prints one ticket per station', async () => {
+    const reply = await client.request('print_order', {
+        order: {
+            id: 'A17',
+            table: 4,
+            items: [
+                { name: 'Paneer Tikka', quantity: 2, station: 'kitchen' },
+                { name: 'Mango Lassi', quantity: 1, station: 'bar' }
+            ]
+        },
+        routes: { kitchen: 'Kitchen', bar: 'Bar' }
+    });
+    assert.strictEqual(reply.type, 'order_response');
+    assert.strictEqual(reply.payload.success, true, reply.payload.message);
+    assert.deepStrictEqual(reply.payload.stations.map(station => station.printedBy).sort(), ['Bar', 'Kitchen']);
+
+    const tickets = captures(reply.requestId);
+    const kitchen = tickets.find(ticket => ticket.printerName === 'Kitchen');
+    const bar = tickets.find(ticket => ticket.printerName === 'Bar');
+    assert.ok(includes(kitchen.data, 'Paneer Tikka') && !includes(kitchen.data, 'Mango Lassi'));
+    assert.ok(includes(bar.data, 'Mango Lassi') && !includes(bar.data, 'Paneer Tikka'));
+});
+
+test('print_order reports each station so only the failed one is reprinted', async () => {
+    const order = {
+        id: 'A18',
+        items: [
+            { name: 'Veg Biryani', station: 'kitchen' },
+            { name: 'Masala Chai', station: 'dessert' }
+        ]
+    };
+    const reply = await client.request('print_order', { order, routes: { kitchen: 'Kitchen' }, fullCopy: 'counter' });
+    assert.strictEqual(reply.payload.success, false);
+    const byStation = Object.fromEntries(reply.payload.stations.map(station => [station.station, station]));
+    assert.strictEqual(byStation.kitchen.success, true);
+    assert.strictEqual(byStation.kitchen.printedBy, 'Kitchen');
+    assert.strictEqual(byStation.dessert.success, false);
+    assert.strictEqual(byStation.dessert.code, 'INVALID_PAYLOAD');
+    assert.strictEqual(byStation.counter.fullCopy, true);
+    assert.strictEqual(byStation.counter.success, false);
+
+    const reprint = await client.request('print_order', {
+        order,
+        routes: { dessert: 'Bar', counter: 'Receipts' },
+        fullCopy: 'counter',
+        stations: ['dessert', 'counter']
+    });
+    assert.strictEqual(reprint.payload.success, true, reprint.payload.message);
+    const tickets = captures(reprint.requestId);
+    assert.deepStrictEqual(tickets.map(ticket => ticket.printerName).sort(), ['Bar', 'Receipts']);
+    assert.ok(tickets.every(ticket => includes(ticket.data, '*** REPRINT ***')));
+});
+
+test('roles route jobs to the assigned printer', async () => {
+    const assigned = await client.request('set_role', { role: 'receipt', printerName: 'Receipts' });
+    assert.strictEqual(assigned.payload.success, true, assigned.payload.message);
+
+    const data = await printed('print_text', { role: 'receipt', text: 'Routed by role' });
+    assert.ok(includes(data, 'Routed by role'));
+});
+
+test('health reports the role map and unassigned roles are refused', async () => {
+    const health = await client.request('health');
+    assert.strictEqual(health.payload.roles.receipt, 'Receipts');
+    assert.ok(health.payload.unassignedRoles.includes('bar'));
+
+    const unassigned = await client.request('print_text', { role: 'bar', text: 'Nobody home' });
+    assert.strictEqual(unassigned.payload.success, false);
+    assert.strictEqual(unassigned.payload.code, 'ROLE_NOT_ASSIGNED');
+
+    const unknown = await client.request('print_text', { role: 'patio', text: 'Nowhere' });
+    assert.strictEqual(unknown.payload.code, 'INVALID_PAYLOAD');
+
+    const response = await http('POST', '/print', { role: 'bar', text: 'Nobody home' });
+    assert.strictEqual(response.status, 409);
+});
+
+test('a role can be a new role name or point at a failover group', async () => {
+    const group = await client.request('set_printer_group', { name: 'pass', printers: ['Kitchen', 'Receipts'] });
+    assert.strictEqual(group.payload.success, true, group.payload.message);
+    const assigned = await client.request('set_role', { role: 'expo', printerName: 'pass' });
+    assert.strictEqual(assigned.payload.success, true, assigned.payload.message);
+    assert.strictEqual(assigned.payload.roles.expo, 'pass');
+
+    const reply = await client.request('print_text', { role: 'expo', text: 'Table 4 ready' });
+    assert.strictEqual(reply.payload.success, true, reply.payload.message);
+    const outcome = await client.job(reply.requestId);
+    assert.strictEqual(outcome.payload.job.printedBy, 'Kitchen');
+
+    const cleared = await client.request('set_role', { role: 'expo', printerName: null });
+    assert.ok(cleared.payload.unassignedRoles.includes('expo'));
+});
+
+test('a network printer receives the same bytes as a file printer', async (t) => {
+    const received = [];
+    const printer = net.createServer((socket) => {
+        const chunks = [];
+        socket.on('data', chunk => chunks.push(chunk));
+        socket.on('end', () => received.push(Buffer.concat(chunks)));
+    });
+    await new Promise(resolve => printer.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => printer.close(resolve)));
+
+    const added = await client.request('add_network_printer', { name: 'Counter LAN', host: '127.0.0.1', port: printer.address().port });
+    assert.strictEqual(added.payload.success, true, added.payload.message);
+
+    const reply = await client.request('print_text', { printerName: 'Counter LAN', text: 'Over the wire' });
+    assert.strictEqual(reply.payload.success, true, reply.payload.message);
+    assert.strictEqual((await client.job(reply.requestId)).type, 'job_completed');
+
+    const expected = await printed('print_text', { printerName: 'Receipts', text: 'Over the wire' });
+    assert.deepStrictEqual(received, [expected]);
+});
+
+test('a network printer that refuses connections fails the job with PRINTER_OFFLINE', async () => {
+    const closed = await freePort();
+    const added = await client.request('add_network_printer', { name: 'Switched Off', host: '127.0.0.1', port: closed });
+    assert.strictEqual(added.payload.success, true, added.payload.message);
+
+    const reply = await client.request('print_text', { printerName: 'Switched Off', text: 'lost' });
+    assert.strictEqual(reply.payload.success, true, reply.payload.message);
+    const outcome = await client.job(reply.requestId);
+    assert.strictEqual(outcome.type, 'job_failed');
+    assert.strictEqual(outcome.payload.code, 'PRINTER_OFFLINE');
+});
+
+test('a simulated offline printer fails the job with PRINTER_OFFLINE', async () => {
+    const added = await client.request('add_file_printer', { name: 'Unplugged', simulate: { fail: 'offline' } });
+    assert.strictEqual(added.payload.success, true, added.payload.message);
+
+    const reply = await client.request('print_text', { printerName: 'Unplugged', text: 'lost' });
+    assert.strictEqual(reply.payload.success, true, reply.payload.message);
+    const outcome = await client.job(reply.requestId);
+    assert.strictEqual(outcome.type, 'job_failed');
+    assert.strictEqual(outcome.payload.code, 'PRINTER_OFFLINE');
+});
+
+/* ============================
+   PREVIEWS
+============================ */
+test('render_preview returns HTML without printing', async () => {
+    const reply = await client.request('render_preview', { text: 'Preview <b>me</b>', paperWidth: '80mm' });
+    assert.strictEqual(reply.type, 'preview_response');
+    assert.strictEqual(reply.payload.success, true, reply.payload.message);
+    assert.strictEqual(reply.payload.columns, 48);
+    assert.ok(reply.payload.html.includes('Preview &lt;b&gt;me&lt;/b&gt;'));
+    assert.strictEqual(captures(reply.requestId).length, 0);
+});
+
+test('jobs sent to the Preview printer are rendered and kept, not printed', async () => {
+    const reply = await client.request('print_text', { printerName: 'Preview', text: 'Dry run 7' });
+    assert.strictEqual(reply.payload.success, true, reply.payload.message);
+    assert.strictEqual((await client.job(reply.requestId)).type, 'job_completed');
+    assert.strictEqual(captures(reply.requestId).length, 0);
+
+    const [latest] = server.previews;
+    assert.strictEqual(latest.printerName, 'Preview');
+    assert.ok(latest.html.includes('Dry run 7'));
+    assert.ok(latest.html.includes('✂'));
+});
+
+test('render_preview renders for the target printer paper and code page', async () => {
+    const reply = await client.request('render_preview', {
+        printerName: 'Receipts',
+        document: { lines: [{ type: 'text', text: 'Crème €2' }, { type: 'barcode', data: 'A-1' }] }
+    });
+    assert.strictEqual(reply.payload.success, true, reply.payload.message);
+    assert.strictEqual(reply.payload.columns, 48);
+    // What a CP437 printer would print: no euro sign in that table
+    assert.ok(reply.payload.html.includes('Crème EUR2'));
+    assert.ok(reply.payload.html.includes('CODE128'));
+
+    const narrow = await client.request('render_preview', { text: 'Narrow', paperWidth: '58mm' });
+    assert.strictEqual(narrow.payload.columns, 32);
+});
+
+test('render_preview refuses raster images wider than the paper', async () => {
+    // GS v 0 claiming 4096 bytes per row (32768 dots) and 65535 rows
+    const data = Buffer.from([0x1D, 0x76, 0x30, 0x00, 0x00, 0x10, 0xFF, 0xFF, 0xAA]).toString('base64');
+    const reply = await client.request('render_preview', { data });
+    assert.strictEqual(reply.payload.success, false);
+    assert.strictEqual(reply.payload.code, 'INVALID_PAYLOAD');
+});
+
+/* ============================
+   PRINTER NAMES
+============================ */
+// Names that would be dangerous if they reached a shell or a device path
+const HOSTILE_NAMES = {
+    'Front Desk"; rm -rf ~; echo "': 'PRINTER_NOT_FOUND',
+    "Front Desk' || true": 'PRINTER_NOT_FOUND',
+    'Front Desk; reboot': 'PRINTER_NOT_FOUND',
+    'Front $(reboot)': 'PRINTER_NOT_FOUND',
+    'Front `id`': 'PRINTER_NOT_FOUND',
+    '..\\..\\Windows\\System32': 'INVALID_PAYLOAD',
+    'Front\nDesk': 'INVALID_PAYLOAD',
+    'Front\x1b@Desk': 'INVALID_PAYLOAD',
+    'Ghost Printer': 'PRINTER_NOT_FOUND'
+};
+
+test('print jobs for hostile or undiscovered printer names are refused before queueing', async () => {
+    for (const [printerName, code] of Object.entries(HOSTILE_NAMES)) {
+        const reply = await client.request('print_text', { printerName, text: 'nope' });
+        assert.strictEqual(reply.payload.success, false, JSON.stringify(printerName));
+        assert.strictEqual(reply.payload.code, code, JSON.stringify(printerName));
+        assert.strictEqual(reply.payload.jobId, undefined);
+
+        const jobs = await client.request('list_jobs', { printerName });
+        assert.deepStrictEqual(jobs.payload.jobs, [], JSON.stringify(printerName));
+    }
+});
+
+test('commands that wait for the printer refuse hostile names too', async () => {
+    for (const type of ['open_cash_drawer', 'test_print']) {
+        const reply = await client.request(type, { printerName: 'Front $(reboot)' });
+        assert.strictEqual(reply.payload.success, false);
+        assert.strictEqual(reply.payload.code, 'PRINTER_NOT_FOUND');
+    }
+});
+
+test('spooler jobs pass the printer name as one argument and the data on stdin', { skip: os.platform() !== 'linux' && 'uses lp' }, async (t) => {
+    // Stand-in for CUPS lp that records its arguments and input
+    const bin = fs.mkdtempSync(path.join(os.tmpdir(), 'aaravpos-lp-'));
+    t.after(() => fs.rmSync(bin, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(bin, 'lp'), '#!/bin/sh\nprintf "%s\\n" "$@" > "$(dirname "$0")/args"\ncat > "$(dirname "$0")/input"\n', { mode: 0o755 });
+    const PATH = process.env.PATH;
+    process.env.PATH = `${bin}${path.delimiter}${PATH}`;
+    t.after(() => { process.env.PATH = PATH; });
+
+    const reply = await client.request('print_text', { printerName: 'Front Desk', text: 'Spooled $(id)' });
+    assert.strictEqual(reply.payload.success, true, reply.payload.message);
+    const outcome = await client.job(reply.requestId);
+    assert.strictEqual(outcome.type, 'job_completed', outcome.payload.message);
+    assert.deepStrictEqual(fs.readFileSync(path.join(bin, 'args'), 'utf8').split('\n'), ['-d', 'Front Desk', '-o', 'raw', '']);
+    assert.ok(includes(fs.readFileSync(path.join(bin, 'input')), 'Spooled $(id)'));
+});
+
+test('device printers must name a printer or serial port', async () => {
+    const added = await client.request('add_device_printer', { name: 'Disk', device: '/dev/sda' });
+    assert.strictEqual(added.payload.success, false);
+    assert.strictEqual(added.payload.code, 'INVALID_PAYLOAD');
+
+    const switched = await client.request('set_printer_settings', {
+        printerName: 'Receipts',
+        settings: { transport: 'device', device: '/dev/null' }
+    });
+    assert.strictEqual(switched.payload.success, false);
+    assert.strictEqual(switched.payload.code, 'INVALID_PAYLOAD');
+});
+
+test('the HTTP API answers an unknown printer with 404', async () => {
+    const response = await fetch(`http://127.0.0.1:${port}/print`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ printerName: 'Ghost Printer', text: 'nope' })
+    });
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual((await response.json()).code, 'PRINTER_NOT_FOUND');
+});
+
+test('a group with an unknown member fails over without retrying it', async () => {
+    const grouped = await client.request('set_printer_group', { name: 'Counter', printers: ['Ghost Printer', 'Receipts'] });
+    assert.strictEqual(grouped.payload.success, true, grouped.payload.message);
+
+    const reply = await client.request('print_text', { printerName: 'Counter', text: 'Failed over' });
+    assert.strictEqual(reply.payload.success, true, reply.payload.message);
+    const outcome = await client.job(reply.requestId);
+    assert.strictEqual(outcome.type, 'job_completed', outcome.payload.message);
+    assert.strictEqual(outcome.payload.job.printedBy, 'Receipts');
+    assert.strictEqual(outcome.payload.job.attempts, 2);
+});
+
+/* ============================
+   CUSTOMER DISPLAY
+============================ */
+// Waits until a file transport has written at least `count` captures
+async function capturedFiles(directory, count) {
+    const deadline = Date.now() + REPLY_TIMEOUT;
+    for (;;) {
+        const files = fs.existsSync(directory) ? fs.readdirSync(directory).filter(name => name.endsWith('.bin')).sort() : [];
+        if (files.length >= count || Date.now() > deadline) {
+            return files.map(name => fs.readFileSync(path.join(directory, name)));
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+test('file displays cannot write outside the agent data directory', async () => {
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'aaravpos-outside-'));
+    try {
+        const reply = await client.request('set_display_settings', { settings: { transport: 'file', directory: outside } });
+        assert.strictEqual(reply.payload.success, false);
+        assert.strictEqual(reply.payload.code, 'INVALID_PAYLOAD');
+
+        const escaping = path.join(dataDir, 'virtual-printers', '..', '..');
+        const traversal = await client.request('set_display_settings', { settings: { transport: 'file', directory: escaping } });
+        assert.strictEqual(traversal.payload.success, false);
+
+        const settings = await client.request('get_display_settings');
+        assert.strictEqual(settings.payload.settings, null);
+        assert.deepStrictEqual(fs.readdirSync(outside), []);
+    } finally {
+        fs.rmSync(outside, { recursive: true, force: true });
+    }
+});
+
+test('a file display writes under virtual-printers and shows display_text', async () => {
+    const saved = await client.request('set_display_settings', { settings: { transport: 'file', commandSet: 'cd5220', welcome: 'Welcome' } });
+    assert.strictEqual(saved.payload.success, true, saved.payload.message);
+    assert.strictEqual(saved.payload.active, true);
+
+    const shown = await client.request('display_text', { lines: ['Latte', 'Rs 180.00'] });
+    assert.strictEqual(shown.payload.success, true, shown.payload.message);
+
+    const directory = path.join(dataDir, 'virtual-printers', 'Customer_display');
+    const writes = Buffer.concat(await capturedFiles(directory, 2));
+    assert.ok(includes(writes, Buffer.concat([Buffer.from([0x1B, 0x51, 0x41]), Buffer.from('Latte')])));
+    assert.ok(includes(writes, Buffer.concat([Buffer.from([0x1B, 0x51, 0x42]), Buffer.from('Rs 180.00')])));
+
+    const settings = await client.request('get_display_settings');
+    assert.strictEqual(settings.payload.settings.commandSet, 'cd5220');
+    assert.strictEqual(settings.payload.active, true);
+
+    const before = (await capturedFiles(directory, 0)).length;
+    const total = await client.request('display_total', { amount: 240.5, currency: 'Rs ', label: 'To pay' });
+    assert.strictEqual(total.payload.success, true, total.payload.message);
+    const totalWrite = (await capturedFiles(directory, before + 1))[before];
+    assert.ok(includes(totalWrite, Buffer.concat([Buffer.from([0x1B, 0x51, 0x41]), Buffer.from('To pay')])));
+    assert.ok(includes(totalWrite, 'Rs 240.50'));
+
+    const cleared = await client.request('display_clear');
+    assert.strictEqual(cleared.payload.success, true, cleared.payload.message);
+    assert.deepStrictEqual([...(await capturedFiles(directory, before + 2))[before + 1]], [0x0C]);
+
+    const removed = await client.request('set_display_settings', { settings: null });
+    assert.strictEqual(removed.payload.success, true, removed.payload.message);
+});
+
+/* ============================
+   CONNECTIONS, JOBS AND EVENTS
+============================ */
+test('ping answers pong with the agent time', async () => {
+    const reply = await client.request('ping');
+    assert.strictEqual(reply.type, 'pong');
+    assert.ok(!Number.isNaN(Date.parse(reply.payload.time)));
+});
+
+test('job_status and list_jobs report queued jobs', async () => {
+    const reply = await client.request('print_text', { printerName: 'Receipts', text: 'Tracked job' });
+    assert.strictEqual(reply.payload.success, true, reply.payload.message);
+    await client.job(reply.requestId);
+
+    const status = await client.request('job_status', { jobId: reply.payload.jobId });
+    assert.strictEqual(status.payload.job.status, 'completed');
+    assert.strictEqual(status.payload.job.printedBy, 'Receipts');
+    assert.strictEqual(status.payload.job.data, undefined);
+
+    const listed = await client.request('list_jobs', { printerName: 'Receipts', status: 'completed', limit: 1 });
+    assert.deepStrictEqual(listed.payload.jobs.map(job => job.id), [reply.payload.jobId]);
+
+    const unknown = await client.request('job_status', { jobId: 'no-such-job' });
+    assert.strictEqual(unknown.payload.success, false);
+    assert.strictEqual(unknown.payload.code, 'NOT_FOUND');
+});
+
+test('subscribers receive job events until they unsubscribe', async () => {
+    const watcher = await connect();
+    try {
+        const subscribed = await watcher.request('subscribe', { topics: ['jobs'] });
+        assert.deepStrictEqual(subscribed.payload.topics, ['jobs']);
+
+        const reply = await client.request('print_text', { printerName: 'Receipts', text: 'Watched job' });
+        const completed = await watcher.waitFor(message => message.type === 'job_status_changed' &&
+            message.payload.jobId === reply.payload.jobId && message.payload.status === 'completed', 'job_status_changed');
+        assert.strictEqual(completed.payload.job.printedBy, 'Receipts');
+
+        const unsubscribed = await watcher.request('unsubscribe', { topics: ['jobs'] });
+        assert.deepStrictEqual(unsubscribed.payload.topics, []);
+    } finally {
+        watcher.close();
+    }
+});
+
+test('subscribe refuses unknown topics and reports the topics in effect', async () => {
+    const watcher = await connect();
+    try {
+        const unknown = await watcher.request('subscribe', { topics: ['jobs', 'kitchen'] });
+        assert.strictEqual(unknown.payload.success, false);
+        assert.strictEqual(unknown.payload.code, 'INVALID_PAYLOAD');
+
+        const subscribed = await watcher.request('subscribe', { topics: ['jobs', 'scale', 'jobs'] });
+        assert.deepStrictEqual(subscribed.payload.topics, ['jobs', 'scale']);
+    } finally {
+        watcher.close();
+    }
+});
+
+test('clients that never subscribe keep the drawer and agent events', async () => {
+    const legacy = await connect();
+    const jobsOnly = await connect();
+    try {
+        await jobsOnly.request('subscribe', { topics: ['jobs'] });
+        server.drawerMonitor.emit('opened', { printerName: 'Till', at: new Date().toISOString() });
+
+        const event = await legacy.waitFor(message => message.type === 'drawer_opened', 'drawer_opened');
+        assert.deepStrictEqual([event.topic, event.payload.printerName], ['drawer', 'Till']);
+        // Events are sent before later replies on the same socket
+        await jobsOnly.request('ping');
+        assert.ok(!jobsOnly.received.some(message => message.type === 'drawer_opened'));
+
+        const unsubscribed = await legacy.request('unsubscribe', { topics: ['drawer'] });
+        assert.deepStrictEqual(unsubscribed.payload.topics, ['agent']);
+    } finally {
+        legacy.close();
+        jobsOnly.close();
+    }
+});
+
+test('printer_status_changed follows a printer going offline and coming back', async () => {
+    const added = await client.request('add_file_printer', { name: 'Flaky', simulate: { fail: 'offline' } });
+    assert.strictEqual(added.payload.success, true, added.payload.message);
+    const watcher = await connect();
+    try {
+        await watcher.request('subscribe', { topics: ['printers'] });
+        const failing = await client.request('print_text', { printerName: 'Flaky', text: 'Lost' });
+        assert.strictEqual((await client.job(failing.requestId)).payload.code, 'PRINTER_OFFLINE');
+        const offline = await watcher.waitFor(message => message.type === 'printer_status_changed' &&
+            message.payload.printerName === 'Flaky' && message.payload.status === 'OFFLINE', 'OFFLINE');
+        assert.strictEqual(offline.topic, 'printers');
+
+        // Settings are merged, so the simulation goes with the printer
+        await client.request('remove_printer', { printerName: 'Flaky' });
+        await client.request('add_file_printer', { name: 'Flaky' });
+        const working = await client.request('print_text', { printerName: 'Flaky', text: 'Found' });
+        assert.strictEqual((await client.job(working.requestId)).type, 'job_completed');
+        const back = await watcher.waitFor(message => message.type === 'printer_status_changed' &&
+            message.payload.printerName === 'Flaky' && message.payload.status === 'READY', 'READY');
+        assert.strictEqual(back.payload.previous, 'OFFLINE');
+    } finally {
+        watcher.close();
+        await client.request('remove_printer', { printerName: 'Flaky' });
+    }
+});
+
+/* ============================
+   PRINTER STATUS
+============================ */
+// Network printer answering each DLE EOT n with statuses[n]
+async function statusPrinter(t, statuses) {
+    const printer = net.createServer((socket) => {
+        let pending = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            pending = Buffer.concat([pending, chunk]);
+            while (pending.length >= 3 && pending[0] === 0x10 && pending[1] === 0x04) {
+                socket.write(Buffer.from([statuses[pending[2]]]));
+                pending = pending.subarray(3);
+            }
+        });
+        socket.on('error', () => {});
+    });
+    await new Promise(resolve => printer.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => printer.close(resolve)));
+    return printer.address().port;
+}
+
+test('printer_status decodes the DLE EOT replies of a network printer', async (t) => {
+    // Online with the drawer pin high; paper out
+    const statusPort = await statusPrinter(t, { 1: 0x16, 2: 0x12, 3: 0x12, 4: 0x72 });
+    const added = await client.request('add_network_printer', { name: 'Status LAN', host: '127.0.0.1', port: statusPort });
+    assert.strictEqual(added.payload.success, true, added.payload.message);
+
+    const reply = await client.request('printer_status', { printerName: 'Status LAN' });
+    assert.strictEqual(reply.payload.success, true, reply.payload.message);
+    assert.strictEqual(reply.payload.status.status, 'PAPER_OUT');
+    assert.strictEqual(reply.payload.status.online, true);
+    assert.strictEqual(reply.payload.status.drawerOpen, true);
+
+    const drawer = await client.request('drawer_status', { printerName: 'Status LAN' });
+    assert.strictEqual(drawer.payload.success, true, drawer.payload.message);
+    assert.strictEqual(drawer.payload.open, true);
+});
+
+test('file printers report their simulated conditions', async () => {
+    const added = await client.request('add_file_printer', { name: 'Cover Open', simulate: { coverOpen: true } });
+    assert.strictEqual(added.payload.success, true, added.payload.message);
+
+    const reply = await client.request('printer_status', { printerName: 'Cover Open' });
+    assert.strictEqual(reply.payload.success, true, reply.payload.message);
+    assert.strictEqual(reply.payload.status.status, 'COVER_OPEN');
+});
+
+test('spooler printers cannot answer status queries', async () => {
+    const reply = await client.request('printer_status', { printerName: 'Front Desk' });
+    assert.strictEqual(reply.payload.success, false);
+    assert.strictEqual(reply.payload.code, 'NOT_SUPPORTED');
+});
+
+/* ============================
+   SCALES AND SCANNERS
+============================ */
+test('read_weight returns the next stable reading and subscribers get weight events', async (t) => {
+    // The scale's serial port is a stream the test writes frames into
+    const serial = new PassThrough();
+    t.mock.method(DeviceTransport.prototype, 'openInput', async () => serial);
+
+    const added = await client.request('add_input_device', { name: 'Deli', kind: 'scale', device: '/dev/ttyUSB3' });
+    assert.strictEqual(added.payload.success, true, added.payload.message);
+    const watcher = await connect();
+    try {
+        await watcher.request('subscribe', { topics: ['scale'] });
+
+        const weighing = client.request('read_weight', { name: 'Deli', timeout: 2000 });
+        serial.write('US,GS,+0001.190kg\r\n');
+        const stableFrames = setInterval(() => serial.write('ST,GS,+0001.250kg\r\n'), 20);
+        const reply = await weighing.finally(() => clearInterval(stableFrames));
+        assert.strictEqual(reply.payload.success, true, reply.payload.message);
+        assert.deepStrictEqual([reply.payload.name, reply.payload.weight, reply.payload.unit, reply.payload.stable], ['Deli', 1.25, 'kg', true]);
+
+        const event = await watcher.waitFor(message => message.type === 'weight' && message.payload.weight === 1.25, 'weight event');
+        assert.strictEqual(event.payload.name, 'Deli');
+
+        const netFrames = setInterval(() => serial.write('ST,NT,+0000.500kg\r\n'), 20);
+        const response = await http('GET', '/weight').finally(() => clearInterval(netFrames));
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(await response.json().then(body => [body.weight, body.tare]), [0.5, true]);
+    } finally {
+        watcher.close();
+        await client.request('remove_input_device', { name: 'Deli' });
+    }
+});
+
+test('scans from a scanner reach subscribed clients', async (t) => {
+    const serial = new PassThrough();
+    t.mock.method(DeviceTransport.prototype, 'openInput', async () => serial);
+
+    const added = await client.request('add_input_device', { name: 'Till Scanner', kind: 'scanner', device: '/dev/ttyACM0' });
+    assert.strictEqual(added.payload.success, true, added.payload.message);
+    const watcher = await connect();
+    try {
+        await watcher.request('subscribe', { topics: ['scanner'] });
+        serial.write(']E04006381333931\r\n');
+        const event = await watcher.waitFor(message => message.type === 'scan', 'scan event');
+        assert.deepStrictEqual([event.payload.name, event.payload.data, event.payload.symbology], ['Till Scanner', '4006381333931', 'EAN13']);
+    } finally {
+        watcher.close();
+        await client.request('remove_input_device', { name: 'Till Scanner' });
+    }
+});
+
+/* ============================
+   PAIRING
+============================ */
+async function pairingSocket() {
+    return connect('protocol=2', { token: null, origin: POS_ORIGIN });
+}
+
+test('unpaired sockets may only ask to pair', async () => {
+    const stranger = await connect('protocol=2', { token: null });
+    try {
+        const reply = await stranger.request('print_text', { printerName: 'Receipts', text: 'nope' });
+        assert.strictEqual(reply.payload.code, 'UNAUTHORIZED');
+    } finally {
+        stranger.close();
+    }
+
+    const evil = await connect('protocol=2', { token: null, origin: 'https://evil.example' });
+    try {
+        const reply = await evil.request('pair_request', { clientName: 'Evil' });
+        assert.strictEqual(reply.payload.success, false);
+        assert.strictEqual(reply.payload.code, 'UNAUTHORIZED');
+    } finally {
+        evil.close();
+    }
+});
+
+test('pairing needs the code shown on the agent and the token is bound to the origin', async () => {
+    const till = await pairingSocket();
+    let token;
+    try {
+        const pending = await till.request('pair_request', { clientName: 'Till 2' });
+        assert.strictEqual(pending.type, 'pair_pending');
+        assert.strictEqual(pending.payload.code, undefined);
+
+        const [request] = server.pairing.listPending().filter(item => item.clientName === 'Till 2');
+        const wrong = await till.request('pair_confirm', { code: request.code === '000000' ? '111111' : '000000' });
+        assert.strictEqual(wrong.payload.success, false);
+        assert.strictEqual(wrong.payload.attemptsLeft, 2);
+
+        const paired = await till.request('pair_confirm', { code: request.code });
+        assert.strictEqual(paired.payload.success, true, paired.payload.message);
+        token = paired.payload.token;
+        assert.strictEqual((await till.request('ping')).type, 'pong');
+    } finally {
+        till.close();
+    }
+
+    const again = await connect('protocol=2', { token, origin: POS_ORIGIN });
+    assert.strictEqual((await again.request('ping')).type, 'pong');
+
+    // The same token from a native client (no origin) is not accepted
+    const native = await connect('protocol=2', { token });
+    try {
+        assert.strictEqual((await native.request('ping')).payload.code, 'UNAUTHORIZED');
+    } finally {
+        native.close();
+    }
+
+    const [paired] = server.pairing.listClients().filter(item => item.name === 'Till 2');
+    server.pairing.revoke(paired.id);
+    assert.strictEqual(await again.closed, 4001);
+});
+
+/* ============================
+   LOGOS
+============================ */
+// 8x8 black grayscale PNG
+function blackPng() {
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(zlib.crc32(body));
+        return Buffer.concat([length, body, crc]);
+    };
+    const header = Buffer.from([0, 0, 0, 8, 0, 0, 0, 8, 8, 0, 0, 0, 0]);
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(Buffer.alloc(8 * 9))),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+test('uploaded logos print in receipts and inline in text', async () => {
+    const saved = await client.request('save_logo', { name: 'shop-logo', image: blackPng().toString('base64') });
+    assert.strictEqual(saved.payload.success, true, saved.payload.message);
+    assert.deepStrictEqual([saved.payload.logo.width, saved.payload.logo.height], [8, 8]);
+
+    const listed = await client.request('list_logos');
+    assert.ok(listed.payload.logos.some(logo => logo.name === 'shop-logo'));
+
+    // GS v 0, 1 byte per row, 8 rows of black dots
+    const raster = Buffer.concat([Buffer.from([0x1D, 0x76, 0x30, 0x00, 1, 0, 8, 0]), Buffer.alloc(8, 0xFF)]);
+    const receipt = await printed('print_receipt', { printerName: 'Receipts', document: { lines: [{ type: 'image', logo: 'shop-logo' }] } });
+    assert.ok(includes(receipt, raster));
+    const text = await printed('print_text', { printerName: 'Receipts', text: '[[logo:shop-logo]]\nWelcome' });
+    assert.ok(includes(text, raster));
+
+    const deleted = await client.request('delete_logo', { name: 'shop-logo' });
+    assert.strictEqual(deleted.payload.success, true, deleted.payload.message);
+    const missing = await client.request('print_receipt', { printerName: 'Receipts', document: { lines: [{ type: 'image', logo: 'shop-logo' }] } });
+    assert.strictEqual(missing.payload.success, false);
+    assert.match(missing.payload.message, /Unknown logo/);
+});
+
+test('logos that are not PNG images are refused', async () => {
+    const reply = await client.request('save_logo', { name: 'bogus', image: Buffer.from('GIF89a').toString('base64') });
+    assert.strictEqual(reply.payload.success, false);
+    assert.strictEqual(reply.payload.code, 'INVALID_PAYLOAD');
+});
+
+/* ============================
+   HTTP API
+============================ */
+test('the HTTP API prints, reports jobs and lists printers', async () => {
+    const health = await http('GET', '/health');
+    assert.strictEqual(health.status, 200);
+
+    const printers = await (await http('GET', '/printers')).json();
+    assert.ok(printers.printers.some(printer => printer.name === 'Receipts'));
+
+    const queued = await http('POST', '/print', { printerName: 'Receipts', text: 'Over HTTP' });
+    assert.strictEqual(queued.status, 202);
+    const { jobId } = await queued.json();
+    let job;
+    for (let i = 0; i < 100; i++) {
+        job = (await (await http('GET', `/jobs/${jobId}`)).json()).job;
+        if (job.status === 'completed') break;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.strictEqual(job.status, 'completed');
+
+    const receipt = await http('POST', '/print', { printerName: 'Receipts', document: { lines: [{ type: 'text', text: 'HTTP receipt' }] } });
+    assert.strictEqual(receipt.status, 202);
+
+    const drawer = await http('POST', '/drawer/open', { printerName: 'Receipts' });
+    assert.strictEqual(drawer.status, 200);
+    assert.strictEqual((await http('GET', '/jobs/no-such-job')).status, 404);
+});
+
+test('the HTTP API refuses bad tokens, unknown routes and wrong methods', async () => {
+    assert.strictEqual((await http('GET', '/health', undefined, { Authorization: 'Bearer wrong-token' })).status, 401);
+    assert.strictEqual((await http('GET', '/nowhere')).status, 404);
+    const wrongMethod = await http('GET', '/print');
+    assert.strictEqual(wrongMethod.status, 405);
+    assert.strictEqual((await wrongMethod.json()).code, 'UNKNOWN_COMMAND');
+});
+
+test('the HTTP API rejects bodies that are not JSON objects or are too large', async () => {
+    const invalid = await fetch(`http://127.0.0.1:${port}/print`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' },
+        body: '{ "printerName": '
+    });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual((await invalid.json()).code, 'INVALID_MESSAGE');
+
+    const list = await http('POST', '/print', ['Receipts']);
+    assert.strictEqual(list.status, 400);
+
+    const tooLarge = await http('POST', '/print', { printerName: 'Receipts', text: 'x'.repeat(10 * 1024 * 1024) });
+    assert.strictEqual(tooLarge.status, 413);
+    assert.strictEqual((await tooLarge.json()).code, 'INVALID_MESSAGE');
+});
+
+test('the HTTP API answers CORS preflights for allowed origins only', async () => {
+    const preflight = (origin) => fetch(`http://127.0.0.1:${port}/print`, {
+        method: 'OPTIONS',
+        headers: {
+            Origin: origin,
+            'Access-Control-Request-Method': 'POST',
+            'Access-Control-Request-Private-Network': 'true'
+        }
+    });
+
+    const allowed = await preflight(POS_ORIGIN);
+    assert.strictEqual(allowed.status, 204);
+    assert.strictEqual(allowed.headers.get('access-control-allow-origin'), POS_ORIGIN);
+    assert.match(allowed.headers.get('access-control-allow-headers'), /Authorization/);
+    assert.strictEqual(allowed.headers.get('access-control-allow-private-network'), 'true');
+
+    const other = await preflight('https://evil.example.com');
+    assert.strictEqual(other.status, 403);
+    assert.strictEqual(other.headers.get('access-control-allow-origin'), null);
+
+    const request = await http('GET', '/health', undefined, { Origin: POS_ORIGIN, 'X-Request-Id': 'http-42' });
+    assert.strictEqual(request.status, 200);
+    assert.strictEqual(request.headers.get('access-control-allow-origin'), POS_ORIGIN);
+    assert.strictEqual(request.headers.get('x-request-id'), 'http-42');
+
+    // The agent token is not accepted from pages on other origins
+    const foreign = await http('GET', '/health', undefined, { Origin: 'https://evil.example.com' });
+    assert.strictEqual(foreign.status, 401);
+    assert.strictEqual(foreign.headers.get('access-control-allow-origin'), null);
+});
@@ -0,0 +1,66 @@
+// printer-status.test.js - DLE EOT STATUS DECODING
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const printerStatus = require('../printer-status.js');
+
+// Transport answering DLE EOT n with statuses[n]
+function fakeTransport(statuses) {
+    const sent = [];
+    return {
+        sent,
+        async request(commands) {
+            sent.push(...commands.map(command => [...command]));
+            return commands.map(command => Buffer.from(statuses[command[2]] === undefined ? [] : [statuses[command[2]]]));
+        }
+    };
+}
+
+const READY = { 1: 0x12, 2: 0x12, 3: 0x12, 4: 0x12 };
+
+test('status bytes have bits 1 and 4 set and bits 0 and 7 clear', () => {
+    assert.strictEqual(printerStatus.isStatusByte(0x12), true);
+    assert.strictEqual(printerStatus.isStatusByte(0x7E), true);
+    assert.strictEqual(printerStatus.isStatusByte(0x13), false);
+    assert.strictEqual(printerStatus.isStatusByte(0x92), false);
+    assert.strictEqual(printerStatus.isStatusByte(0x00), false);
+});
+
+test('queryStatus asks all four status types in one request', async () => {
+    const transport = fakeTransport(READY);
+    const status = await printerStatus.queryStatus(transport);
+    assert.deepStrictEqual(transport.sent, [[0x10, 0x04, 1], [0x10, 0x04, 2], [0x10, 0x04, 3], [0x10, 0x04, 4]]);
+    assert.strictEqual(status.status, 'READY');
+    assert.strictEqual(status.online, true);
+    assert.strictEqual(status.error, false);
+});
+
+test('the most severe condition decides the summary', async () => {
+    const cases = [
+        [{ 1: 0x1A }, 'OFFLINE'],
+        [{ 4: 0x1E }, 'PAPER_LOW'],
+        [{ 2: 0x16 }, 'COVER_OPEN'],
+        [{ 3: 0x1A }, 'ERROR'],
+        [{ 2: 0x32 }, 'PAPER_OUT'],
+        [{ 4: 0x72, 2: 0x16 }, 'PAPER_OUT']
+    ];
+    for (const [overrides, expected] of cases) {
+        const status = await printerStatus.queryStatus(fakeTransport({ ...READY, ...overrides }));
+        assert.strictEqual(status.status, expected, JSON.stringify(overrides));
+    }
+});
+
+test('the drawer open level follows the drawer setting', async () => {
+    const pinHigh = fakeTransport({ ...READY, 1: 0x16 });
+    assert.strictEqual((await printerStatus.queryStatus(pinHigh)).drawerOpen, true);
+    assert.strictEqual((await printerStatus.queryStatus(pinHigh, { drawerOpenLevel: 'low' })).drawerOpen, false);
+
+    assert.strictEqual(await printerStatus.queryDrawerOpen(fakeTransport({ 1: 0x12 })), false);
+    assert.strictEqual(await printerStatus.queryDrawerOpen(fakeTransport({ 1: 0x12 }), { drawerOpenLevel: 'low' }), true);
+});
+
+test('missing or malformed replies are errors', async () => {
+    await assert.rejects(printerStatus.queryStatus(fakeTransport({ ...READY, 3: undefined })), /Invalid error status reply/);
+    await assert.rejects(printerStatus.queryStatus(fakeTransport({ ...READY, 1: 0x00 })), /Invalid printer status reply/);
+    await assert.rejects(printerStatus.queryDrawerOpen(fakeTransport({ 1: 0xFF })), /Invalid printer status reply/);
+});
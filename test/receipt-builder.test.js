@@ -0,0 +1,98 @@
+// receipt-builder.test.js - RECEIPT DOCUMENT LAYOUT
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const ReceiptBuilder = require('../receipt-builder.js');
+const escpos = require('../escpos.js');
+
+function text(document, options = { paperWidth: '58mm' }) {
+    return new ReceiptBuilder(options).toText(document).split('\n');
+}
+
+function includes(buffer, bytes) {
+    return buffer.indexOf(Buffer.from(bytes)) !== -1;
+}
+
+test('paper widths map to Font A columns', () => {
+    assert.strictEqual(ReceiptBuilder.resolveColumns({ paperWidth: '58mm' }), 32);
+    assert.strictEqual(ReceiptBuilder.resolveColumns({ paperWidth: '80mm' }), 48);
+    assert.strictEqual(ReceiptBuilder.resolveColumns({ columns: 42 }), 42);
+    assert.throws(() => ReceiptBuilder.resolveColumns({ paperWidth: '112mm' }), /Unsupported paper width/);
+    assert.throws(() => ReceiptBuilder.resolveColumns({ columns: 40 }), /Unsupported column count/);
+});
+
+test('a document starts with init and the code page and ends with a cut', () => {
+    const data = new ReceiptBuilder().build({ lines: ['Hello'] });
+    assert.deepStrictEqual([...data.subarray(0, 2)], [0x1B, 0x40]);
+    assert.ok(includes(data, 'Hello\n'));
+    assert.ok(data.subarray(-escpos.FEED_AND_CUT.length).equals(escpos.FEED_AND_CUT));
+
+    const uncut = new ReceiptBuilder().build({ lines: ['Hello'], cut: false });
+    assert.ok(!includes(uncut, escpos.FEED_AND_CUT));
+});
+
+test('text wraps at the column count, aligned as asked', () => {
+    assert.deepStrictEqual(text({ lines: [{ text: 'The quick brown fox jumps over the lazy dog', align: 'right' }] }), [
+        '  The quick brown fox jumps over',
+        '                    the lazy dog'
+    ]);
+});
+
+test('double-width text wraps at half the columns', () => {
+    const lines = text({ lines: [{ text: 'Grand opening sale today', width: 2 }] });
+    assert.ok(lines.every(line => line.length <= 16), lines.join('|'));
+});
+
+test('text sizes are clamped to the printer range before wrapping', () => {
+    // width 20 would wrap after every character; the printer stops at 8
+    const lines = text({ lines: [{ text: 'Thanks', width: 20, height: 'x' }] });
+    assert.deepStrictEqual(lines, ['Than', 'ks']);
+
+    const data = new ReceiptBuilder().build({ lines: [{ text: 'Big', width: 20, height: 3 }] });
+    assert.ok(includes(data, escpos.size(8, 3)));
+    assert.ok(includes(data, escpos.size(1, 1)));
+
+    const plain = new ReceiptBuilder().build({ lines: [{ text: 'Plain', width: 'wide' }] });
+    assert.ok(!includes(plain, [0x1D, 0x21]));
+});
+
+test('columns put the last cell on the right and size the first to the rest', () => {
+    assert.deepStrictEqual(text({ lines: [{ type: 'columns', columns: ['2 x Samosa', 'Rs 60.00'] }] }), [
+        '2 x Samosa              Rs 60.00'
+    ]);
+    assert.deepStrictEqual(text({ lines: [{ type: 'columns', columns: [{ text: 'Qty', width: 4 }, 'Item', 'Total'] }] }), [
+        'Qty  Item                  Total'
+    ]);
+});
+
+test('column widths must be whole numbers that fit', () => {
+    const row = width => ({ lines: [{ type: 'columns', columns: [{ text: 'A', width }, 'B'] }] });
+    assert.throws(() => text(row('wide')), /Invalid column width/);
+    assert.throws(() => text(row(2.5)), /Invalid column width/);
+    assert.throws(() => text(row(40)), /do not fit in 32 columns/);
+    assert.doesNotThrow(() => text(row('10')));
+});
+
+test('an empty sized-to-content cell keeps the row', () => {
+    assert.deepStrictEqual(text({ lines: [{ type: 'columns', columns: ['Total', ''] }] }), ['Total']);
+    assert.deepStrictEqual(text({ lines: [{ type: 'columns', columns: ['Qty', 'Item', {}] }] }), [`Qty${' '.repeat(23)}Item`]);
+});
+
+test('totals print a separator and a double-height grand total', () => {
+    const document = {
+        lines: [{ type: 'totals', items: [{ label: 'Subtotal', value: '100.00' }, { label: 'Total', value: '105.00', emphasis: true }] }]
+    };
+    assert.deepStrictEqual(text(document), [
+        '-'.repeat(32),
+        'Subtotal                  100.00',
+        'Total                     105.00'
+    ]);
+
+    const data = new ReceiptBuilder().build(document);
+    assert.ok(includes(data, escpos.size(1, 2)));
+});
+
+test('unknown line types are refused with their index', () => {
+    assert.throws(() => text({ lines: ['ok', { type: 'hologram' }] }), /Unknown receipt line type "hologram" at index 1/);
+    assert.throws(() => text({}), /"lines" array/);
+});
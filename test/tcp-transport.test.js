@@ -0,0 +1,87 @@
+// tcp-transport.test.js - RAW TCP PRINTERS AGAINST A LOCAL SERVER
+const { test } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+
+const TcpTransport = require('../tcp-transport.js');
+
+// Local "printer" that records what it receives and answers each byte
+// with `reply` when one is given
+async function createPrinter(t, reply) {
+    const received = [];
+    const server = net.createServer((socket) => {
+        const chunks = [];
+        socket.on('data', (chunk) => {
+            chunks.push(chunk);
+            if (reply) socket.write(reply);
+        });
+        socket.on('end', () => received.push(Buffer.concat(chunks)));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { port: server.address().port, received };
+}
+
+// A port nothing listens on
+async function closedPort() {
+    const server = net.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+async function waitUntil(check) {
+    for (let i = 0; i < 100 && !check(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+test('send delivers the exact bytes over one connection', async (t) => {
+    const printer = await createPrinter(t);
+    const transport = new TcpTransport({ host: '127.0.0.1', port: printer.port });
+    const data = Buffer.from([0x1B, 0x40, 0x48, 0x69, 0x0A, 0x1D, 0x56, 0x00, 0xFF]);
+
+    const result = await transport.send(data);
+    await waitUntil(() => printer.received.length === 1);
+    assert.strictEqual(result, `9 bytes sent to 127.0.0.1:${printer.port}`);
+    assert.deepStrictEqual(printer.received, [data]);
+});
+
+test('a refused connection is PRINTER_OFFLINE', async () => {
+    const transport = new TcpTransport({ host: '127.0.0.1', port: await closedPort() });
+    await assert.rejects(transport.send(Buffer.from('x')), { code: 'PRINTER_OFFLINE', message: /Cannot connect to/ });
+    assert.strictEqual(await transport.probe(), false);
+});
+
+test('a printer that never answers the connect times out as PRINTER_OFFLINE', async (t) => {
+    // A socket that is never connected stands in for an unreachable host
+    const pending = [];
+    t.mock.method(net, 'createConnection', () => {
+        const socket = new net.Socket();
+        pending.push(socket);
+        return socket;
+    });
+    const transport = new TcpTransport({ host: '192.0.2.1', connectTimeout: 50 });
+
+    await assert.rejects(transport.send(Buffer.from('x')), {
+        code: 'PRINTER_OFFLINE',
+        message: 'Connection to 192.0.2.1:9100 timed out after 50ms'
+    });
+    assert.ok(pending[0].destroyed);
+});
+
+test('request collects one status reply per command', async (t) => {
+    const printer = await createPrinter(t, Buffer.from([0x12]));
+    const transport = new TcpTransport({ host: '127.0.0.1', port: printer.port });
+
+    const replies = await transport.request([Buffer.from([0x10, 0x04, 1]), Buffer.from([0x10, 0x04, 4])]);
+    assert.deepStrictEqual(replies.map(reply => [...reply]), [[0x12], [0x12]]);
+    assert.strictEqual(await transport.probe(), true);
+});
+
+test('request times out when the printer stays silent', async (t) => {
+    const printer = await createPrinter(t);
+    const transport = new TcpTransport({ host: '127.0.0.1', port: printer.port });
+    await assert.rejects(transport.request([Buffer.from([0x10, 0x04, 1])], { timeout: 50 }), { code: 'TIMEOUT' });
+});
@@ -0,0 +1,113 @@
+// template-store.test.js - RECEIPT TEMPLATES
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TemplateStore = require('../template-store.js');
+
+const RECEIPT = {
+    description: 'Dine-in receipt',
+    sampleData: { shop: 'Corner Cafe', items: [{ name: 'Latte', price: 4.5 }], total: 4.5 },
+    document: {
+        lines: [
+            { type: 'text', text: '{{shop | upper}}', align: 'center' },
+            { type: 'each', items: 'items', lines: [{ type: 'columns', columns: ['{{@number}}. {{name}}', '{{price | money}}'] }] },
+            { type: 'if', condition: 'discount', lines: [{ type: 'text', text: 'Discount {{discount | money}}' }], else: [{ type: 'text', text: 'No discount' }] },
+            { type: 'totals', items: [{ label: 'Total', value: '{{total | money}}', emphasis: true }] }
+        ],
+        openDrawer: '{{openDrawer}}'
+    }
+};
+
+function createStore(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'aaravpos-templates-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return new TemplateStore({ directory });
+}
+
+/* ============================
+   RENDERING
+============================ */
+test('placeholders are filled in and filtered', () => {
+    const document = TemplateStore.render(RECEIPT, { shop: 'Chai Point', items: [], total: 3, customer: { name: 'Ravi' } });
+    assert.strictEqual(document.lines[0].text, 'CHAI POINT');
+    assert.strictEqual(document.lines.at(-1).items[0].value, '3.00');
+
+    const nested = TemplateStore.render({ document: { lines: ['Hi {{customer.name}}{{missing}}!'] } }, { customer: { name: 'Ravi' } });
+    assert.deepStrictEqual(nested.lines, ['Hi Ravi!']);
+});
+
+test('each repeats its lines per element with the element in scope', () => {
+    const document = TemplateStore.render(RECEIPT, {
+        shop: 'Cafe',
+        items: [{ name: 'Latte', price: 4.5 }, { name: 'Scone', price: '3' }],
+        total: 7.5
+    });
+    assert.deepStrictEqual(document.lines.slice(1, 3).map(line => line.columns), [['1. Latte', '4.50'], ['2. Scone', '3.00']]);
+
+    const names = TemplateStore.render({ document: { lines: [{ type: 'each', items: 'tags', lines: ['#{{this}}'] }] } }, { tags: ['hot', 'veg'] });
+    assert.deepStrictEqual(names.lines, ['#hot', '#veg']);
+});
+
+test('if picks its lines or the else branch', () => {
+    const withDiscount = TemplateStore.render(RECEIPT, { items: [], discount: 1 });
+    assert.ok(withDiscount.lines.some(line => line.text === 'Discount 1.00'));
+
+    const without = TemplateStore.render(RECEIPT, { items: [], discount: 0 });
+    assert.ok(without.lines.some(line => line.text === 'No discount'));
+});
+
+test('a lone placeholder keeps its type', () => {
+    assert.strictEqual(TemplateStore.render(RECEIPT, { openDrawer: true }).openDrawer, true);
+    assert.strictEqual(TemplateStore.render(RECEIPT, {}).openDrawer, '');
+});
+
+test('unknown filters are errors', () => {
+    assert.throws(() => TemplateStore.render({ document: { lines: ['{{total | euro}}'] } }, { total: 1 }), /Unknown template filter: euro/);
+});
+
+/* ============================
+   STORAGE
+============================ */
+test('templates are saved, listed, previewed and removed', (t) => {
+    const store = createStore(t);
+    assert.deepStrictEqual(store.save('dine-in', RECEIPT), { name: 'dine-in', description: 'Dine-in receipt', lines: 4 });
+    assert.deepStrictEqual(store.list(), [{ name: 'dine-in', description: 'Dine-in receipt', lines: 4 }]);
+
+    const preview = store.preview('dine-in');
+    assert.ok(preview.includes('CORNER CAFE'));
+    assert.ok(preview.includes('1. Latte'));
+    assert.ok(store.preview('dine-in', { shop: 'Other', items: [] }).includes('OTHER'));
+
+    assert.strictEqual(store.remove('dine-in'), true);
+    assert.strictEqual(store.remove('dine-in'), false);
+    assert.throws(() => store.load('dine-in'), { code: 'NOT_FOUND' });
+});
+
+test('names are checked and broken templates are refused', (t) => {
+    const store = createStore(t);
+    assert.throws(() => store.save('../escape', RECEIPT), /Invalid template name/);
+    assert.throws(() => store.save('bad', { document: {} }), /"lines" array/);
+    assert.throws(() => store.save('bad', { document: { lines: [{ type: 'hologram' }] } }), /Unknown receipt line type/);
+    assert.deepStrictEqual(store.list(), []);
+});
+
+test('templates round-trip through exported files', (t) => {
+    const store = createStore(t);
+    store.save('dine-in', RECEIPT);
+    const file = path.join(store.directory, '..', `${path.basename(store.directory)}-export.json`);
+    t.after(() => fs.rmSync(file, { force: true }));
+
+    store.exportFile('dine-in', file);
+    store.remove('dine-in');
+    assert.strictEqual(store.importFile(file).name, 'dine-in');
+    assert.deepStrictEqual(store.load('dine-in').document, RECEIPT.document);
+
+    // Files without a name are named after the file
+    const unnamed = path.join(store.directory, '..', `${path.basename(store.directory)}-takeaway.json`);
+    t.after(() => fs.rmSync(unnamed, { force: true }));
+    fs.writeFileSync(unnamed, JSON.stringify({ document: { lines: ['Takeaway'] } }));
+    assert.strictEqual(store.importFile(unnamed).name, `${path.basename(store.directory)}-takeaway`);
+});
@@ -0,0 +1,142 @@
+// weighing-scale.test.js - SERIAL WEIGHING SCALES
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Duplex } = require('stream');
+
+const WeighingScale = require('../weighing-scale.js');
+
+const { parseWeight } = WeighingScale;
+
+// Serial port stand-in: `frame()` feeds the scale, `writes` holds what it
+// sent and `answer(count)` gives the frame to send back for each write
+function fakePort() {
+    const writes = [];
+    const port = new Duplex({
+        read() {},
+        write(chunk, encoding, callback) {
+            writes.push(chunk);
+            if (port.answer) port.frame(port.answer(writes.length));
+            callback();
+        }
+    });
+    port.writes = writes;
+    port.frame = (text) => port.push(Buffer.from(text, 'latin1'));
+    return port;
+}
+
+function createScale(t, options = {}) {
+    const port = fakePort();
+    const scale = new WeighingScale({ name: 'Deli', device: '/dev/ttyUSB3', reconnectMs: 60000, ...options });
+    scale.transport.openInput = async () => port;
+    t.after(() => scale.stop());
+    return { scale, port };
+}
+
+async function started(scale) {
+    const connected = new Promise(resolve => scale.once('connected', resolve));
+    scale.start();
+    await connected;
+}
+
+/* ============================
+   FRAMES
+============================ */
+test('frames are parsed into weight, unit and status flags', () => {
+    const cases = [
+        ['ST,GS,+0001.250kg', { weight: 1.25, unit: 'kg', stable: true, tare: false, overload: false }],
+        ['US,NT,  0.84 lb', { weight: 0.84, unit: 'lb', stable: false, tare: true, overload: false }],
+        ['OL,GS,+9999.999kg', { weight: 9999.999, unit: 'kg', stable: true, tare: false, overload: true }],
+        ['\x02  -12,5 g M\x03', { weight: -12.5, unit: 'g', stable: false, tare: false, overload: false }],
+        ['  3.2 lbs NET', { weight: 3.2, unit: 'lb', stable: true, tare: true, overload: false }],
+        ['0.750', { weight: 0.75, unit: 'kg', stable: true, tare: false, overload: false }]
+    ];
+    for (const [frame, expected] of cases) {
+        const { raw, ...reading } = parseWeight(frame);
+        assert.deepStrictEqual(reading, expected, frame);
+        assert.strictEqual(raw, raw.trim());
+    }
+    assert.strictEqual(parseWeight('0.750', 'oz').unit, 'oz');
+    assert.strictEqual(parseWeight('ERR,ZERO'), null);
+    assert.strictEqual(parseWeight(''), null);
+});
+
+test('invalid protocols and units are refused', () => {
+    assert.throws(() => new WeighingScale({ device: '/dev/ttyUSB3', protocol: 'poll' }), /Invalid scale protocol: poll/);
+    assert.throws(() => new WeighingScale({ device: '/dev/ttyUSB3', unit: 'stone' }), /Invalid scale unit: stone/);
+    assert.throws(() => new WeighingScale({ device: 'C:\\scale' }), /Invalid device/);
+    assert.deepStrictEqual(WeighingScale.PROTOCOLS, ['continuous', 'enq']);
+});
+
+test('every frame is a reading, only changes are weight events', (t) => {
+    const { scale } = createScale(t, { unit: 'g' });
+    const readings = [];
+    const weights = [];
+    scale.on('reading', reading => readings.push(reading));
+    scale.on('weight', reading => weights.push(reading));
+
+    // Split across chunks, junk frames ignored
+    scale.receive(Buffer.from('ST,GS,+0'));
+    scale.receive(Buffer.from('250\r\nST,GS,+0250\r\n\r\nERR\r\nUS,GS,+0260\x03'));
+
+    assert.strictEqual(readings.length, 3);
+    assert.deepStrictEqual(weights.map(reading => [reading.weight, reading.unit, reading.stable]), [[250, 'g', true], [260, 'g', false]]);
+    assert.ok(!Number.isNaN(Date.parse(weights[0].at)));
+});
+
+/* ============================
+   READ
+============================ */
+test('read waits for a stable reading from a continuous scale', async (t) => {
+    const { scale, port } = createScale(t);
+    await started(scale);
+
+    const reading = scale.read({ timeout: 2000 });
+    port.frame('US,GS,+0001.190kg\r\n');
+    port.frame('ST,GS,+0001.250kg\r\n');
+    assert.deepStrictEqual(await reading.then(result => [result.weight, result.stable]), [1.25, true]);
+    // Continuous scales are never asked
+    assert.deepStrictEqual(port.writes, []);
+});
+
+test('ENQ scales are asked until the weight settles', async (t) => {
+    const { scale, port } = createScale(t, { protocol: 'enq' });
+    await started(scale);
+    port.answer = count => (count < 2 ? 'US,GS,+0000.400kg\r' : 'ST,GS,+0000.420kg\r');
+
+    const reading = await scale.read({ timeout: 2000 });
+    assert.strictEqual(reading.weight, 0.42);
+    assert.deepStrictEqual(port.writes.map(chunk => [...chunk]), [[0x05], [0x05]]);
+});
+
+test('read is waiting for a scale that is still connecting', async (t) => {
+    const { scale, port } = createScale(t);
+    const reading = scale.read({ timeout: 2000 });
+    scale.start();
+    await new Promise(resolve => scale.once('connected', resolve));
+    port.frame('ST,GS,+0002.000kg\n');
+    assert.strictEqual((await reading).weight, 2);
+});
+
+test('read failures explain what the scale did', async (t) => {
+    const offline = new WeighingScale({ name: 'Deli', device: '/dev/ttyUSB3' });
+    await assert.rejects(offline.read({ timeout: 20 }), { code: 'PRINTER_OFFLINE', message: /not connected/ });
+
+    const { scale, port } = createScale(t);
+    await started(scale);
+    await assert.rejects(scale.read({ timeout: 30 }), { code: 'TIMEOUT', message: /No reading from Deli within 30ms/ });
+
+    const unsettled = scale.read({ timeout: 30 });
+    port.frame('US,GS,+0001.000kg\r');
+    await assert.rejects(unsettled, { code: 'TIMEOUT', message: /did not settle within 30ms/ });
+
+    const overloaded = scale.read({ timeout: 30 });
+    port.frame('OL,GS,+9999.999kg\r');
+    await assert.rejects(overloaded, { code: 'TIMEOUT', message: /is overloaded/ });
+});
+
+test('ENQ requests to a port that cannot be written fail at once', async (t) => {
+    const { scale, port } = createScale(t, { protocol: 'enq' });
+    port.write = undefined;
+    await started(scale);
+    await assert.rejects(scale.read({ timeout: 2000 }), { code: 'NOT_SUPPORTED' });
+});
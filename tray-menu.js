@@ -2,10 +2,13 @@
 const { Menu } = require('electron');
 
 module.exports = {
-    createMenu: (status, onShowLogs, onShowStatus, onRestart, onQuit) => {
+    // settings: { autoStart, onToggleAutoStart(enabled), onChangePort, onResetToken, onOpenSettings,
+    //             pendingPairings, onDenyPairing(id) }
+    createMenu: (status, onShowLogs, onShowStatus, onRestart, onQuit, settings = {}) => {
         const isRunning = status.isRunning || false;
         const connections = status.connections || 0;
-        const port = status.port || 9988;
+        const port = status.port || 9978;
+        const pendingPairings = settings.pendingPairings || [];
 
         return [
             {
@@ -30,6 +33,27 @@ module.exports = {
                 // icon: connections > 0 ? 'assets/connected.png' : 'assets/disconnected.png'
             },
             { type: 'separator' },
+            // The cashier enters the code on the device that asked; it is never sent to it
+            ...pendingPairings.map(request => ({
+                label: `🔗 Pair "${request.clientName}" (code ${request.code})`,
+                submenu: [
+                    {
+                        label: `From: ${request.origin || 'unknown origin'}`,
+                        enabled: false
+                    },
+                    {
+                        label: `Enter ${request.code} on that device to pair it`,
+                        enabled: false
+                    },
+                    {
+                        label: 'Deny',
+                        click: () => {
+                            if (settings.onDenyPairing) settings.onDenyPairing(request.id);
+                        }
+                    }
+                ]
+            })),
+            ...(pendingPairings.length > 0 ? [{ type: 'separator' }] : []),
             {
                 label: 'Show Status Window',
                 click: onShowStatus,
@@ -56,21 +80,28 @@ module.exports = {
                     {
                         label: 'Auto-start on Boot',
                         type: 'checkbox',
-                        checked: true,
+                        checked: settings.autoStart !== false,
                         click: (menuItem) => {
-                            // Toggle auto-start logic
+                            if (settings.onToggleAutoStart) settings.onToggleAutoStart(menuItem.checked);
                         }
                     },
                     {
                         label: 'Change Port...',
                         click: () => {
-                            // Port change logic
+                            if (settings.onChangePort) settings.onChangePort();
                         }
                     },
                     {
                         label: 'Reset Token...',
                         click: () => {
-                            // Token reset logic
+                            if (settings.onResetToken) settings.onResetToken();
+                        }
+                    },
+                    { type: 'separator' },
+                    {
+                        label: 'All Settings...',
+                        click: () => {
+                            if (settings.onOpenSettings) settings.onOpenSettings();
                         }
                     }
                 ]
@@ -0,0 +1,151 @@
+// weighing-scale.js - SERIAL WEIGHING SCALES
+//
+// Two common ways scales report weight:
+//   continuous - the scale streams a frame several times a second
+//   enq        - the scale answers each ENQ (0x05) with one frame
+// Frames from most scales follow the same pattern: status flags and a
+// weight with its unit, e.g. "ST,GS,+0001.250kg" (A&D style) or "US,NT,  0.84 lb".
+// ST/US mark a stable/unstable (in motion) reading, GS/NT gross/net (tare
+// applied) and OL an overload.
+const SerialInput = require('./serial-input.js');
+
+const PROTOCOLS = ['continuous', 'enq'];
+const UNIT_NAMES = ['kg', 'g', 'lb', 'oz'];
+// Unit spellings in frames -> unit name
+const UNITS = { kg: 'kg', g: 'g', lb: 'lb', lbs: 'lb', oz: 'oz' };
+
+const ENQ = Buffer.from([0x05]);
+const DEFAULT_READ_TIMEOUT = 3000;
+// How often an ENQ scale is asked again while the weight settles
+const REQUEST_INTERVAL = 250;
+
+const WEIGHT = /([+-]?)\s*(\d+(?:[.,]\d+)?)\s*(kg|lbs?|oz|g)?(?![a-z])/i;
+
+// Normalized reading, or null for frames without a weight
+function parseWeight(text, defaultUnit = 'kg') {
+    const frame = String(text).replace(/[\x00-\x1f\x7f]/g, ' ').trim();
+    const match = WEIGHT.exec(frame);
+    if (!match) return null;
+
+    // Everything around the number holds the status flags
+    const flags = `${frame.slice(0, match.index)} ${frame.slice(match.index + match[0].length)}`.toUpperCase();
+    return {
+        weight: Number(`${match[1]}${match[2].replace(',', '.')}`),
+        unit: UNITS[(match[3] || defaultUnit).toLowerCase()],
+        stable: !/\b(US|M|MOTION)\b/.test(flags),
+        tare: /\b(NT|N|NET)\b/.test(flags),
+        overload: /\b(OL|OVER|OVERLOAD)\b/.test(flags),
+        raw: frame
+    };
+}
+
+function sameReading(a, b) {
+    return !!a && !!b && ['weight', 'unit', 'stable', 'tare', 'overload'].every(key => a[key] === b[key]);
+}
+
+/*
+ * Events: 'reading' (every frame with a weight)
+ *         'weight' (a reading that differs from the previous one)
+ *         plus those of SerialInput
+ */
+class WeighingScale extends SerialInput {
+    constructor(options = {}) {
+        super(options);
+
+        this.protocol = options.protocol || 'continuous';
+        if (!PROTOCOLS.includes(this.protocol)) {
+            throw new Error(`Invalid scale protocol: ${options.protocol} (expected ${PROTOCOLS.join(', ')})`);
+        }
+        // For scales that send bare numbers
+        this.unit = options.unit || 'kg';
+        if (!UNIT_NAMES.includes(this.unit)) {
+            throw new Error(`Invalid scale unit: ${options.unit} (expected ${UNIT_NAMES.join(', ')})`);
+        }
+        this.last = null;
+    }
+
+    handleFrame(frame) {
+        const parsed = parseWeight(frame.toString('latin1'), this.unit);
+        if (!parsed) return;
+
+        const reading = { ...parsed, at: new Date().toISOString() };
+        const changed = !sameReading(reading, this.last);
+        this.last = reading;
+
+        this.emit('reading', reading);
+        if (changed) {
+            this.emit('weight', reading);
+        }
+    }
+
+    // Resolves with the next stable, in-range reading; ENQ scales are asked
+    // until they give one. A scale still connecting is waited for.
+    read(options = {}) {
+        const timeout = options.timeout || DEFAULT_READ_TIMEOUT;
+
+        return new Promise((resolve, reject) => {
+            let latest = null;
+            let poll = null;
+            let settled = false;
+
+            const finish = (error, reading) => {
+                settled = true;
+                clearTimeout(timer);
+                clearInterval(poll);
+                this.off('reading', onReading);
+                this.off('connected', begin);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(reading);
+                }
+            };
+
+            const onReading = (reading) => {
+                latest = reading;
+                if (reading.stable && !reading.overload) {
+                    finish(null, reading);
+                }
+            };
+
+            const request = () => {
+                try {
+                    this.write(ENQ);
+                } catch (error) {
+                    finish(error);
+                }
+            };
+
+            const begin = () => {
+                if (this.protocol !== 'enq') return;
+                request();
+                if (!settled) poll = setInterval(request, REQUEST_INTERVAL);
+            };
+
+            const timer = setTimeout(() => {
+                if (!this.connected) {
+                    finish(SerialInput.inputError(`${this.name} is not connected (${this.transport.address})`, 'PRINTER_OFFLINE'));
+                } else if (latest && latest.overload) {
+                    finish(SerialInput.inputError(`${this.name} is overloaded`, 'TIMEOUT'));
+                } else if (latest) {
+                    finish(SerialInput.inputError(`Weight on ${this.name} did not settle within ${timeout}ms`, 'TIMEOUT'));
+                } else {
+                    finish(SerialInput.inputError(`No reading from ${this.name} within ${timeout}ms`, 'TIMEOUT'));
+                }
+            }, timeout);
+
+            this.on('reading', onReading);
+            if (this.connected) {
+                begin();
+            } else {
+                this.once('connected', begin);
+            }
+        });
+    }
+}
+
+WeighingScale.PROTOCOLS = PROTOCOLS;
+WeighingScale.UNITS = UNIT_NAMES;
+WeighingScale.parseWeight = parseWeight;
+
+module.exports = WeighingScale;